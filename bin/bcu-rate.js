@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * bcu-rate executable
+ * Entry point of the `bcu-rate` command (see src/cli/bcu-rate.js)
+ */
+
+// One-off shell queries: only errors on stderr, and no rate store files in
+// the working directory unless configured explicitly
+process.env.LOG_LEVEL ??= 'error';
+process.env.RATE_STORE_ENABLED ??= 'false';
+
+const { runCli } = await import('../src/cli/bcu-rate.js');
+process.exit(await runCli(process.argv.slice(2)));
@@ -0,0 +1,338 @@
+/**
+ * bcu-rate Command
+ * Query BCU exchange rates from the shell, without the HTTP server
+ *
+ * Usage:
+ *   bcu-rate <YYYY-MM-DD> [--previous]
+ *   bcu-rate latest
+ *   bcu-rate range <from> <to>
+ *
+ * Options select the currency (`--currency`, default USD) and the output
+ * format (`--json` or `--csv`, default a text table). Calls go straight to
+ * bcu-service.js, so the BCU_* settings of the API apply.
+ */
+
+import { parseArgs } from 'node:util';
+import { config, assertValidConfig } from '../config/index.js';
+import { validateDateParam, validateDateRange } from '../utils/helpers.js';
+import { RATE_COLUMNS, toCSV } from '../utils/response-formatter.js';
+import { sendLogsToStderr } from '../utils/logger.js';
+import { explainMissingRate } from '../services/calendar.js';
+import {
+  resolveCurrency,
+  getExchangeRateWithFallback,
+  getExchangeRatesByRange,
+  getLatestExchangeRate,
+} from '../services/bcu-service.js';
+
+/**
+ * Process exit codes
+ * Scripts can tell "BCU published nothing" apart from "BCU could not be
+ * queried" and retry only the latter
+ */
+export const EXIT_CODES = {
+  ok: 0,
+  noData: 1,
+  usage: 2,
+  upstreamError: 3,
+};
+
+const USAGE = `Usage:
+  bcu-rate <YYYY-MM-DD> [--previous]   Rate published on a date
+  bcu-rate latest                      Latest published rate
+  bcu-rate range <from> <to>           Rates published in a date range
+
+Options:
+  -c, --currency <id>  ISO code (e.g. EUR, USD-FONDO), BCU code or name (default: USD)
+  -p, --previous       Fall back to the previous published rate when the date has none
+      --json           Print JSON
+      --csv            Print CSV
+  -h, --help           Show this help
+
+Exit codes: 0 ok, 1 no data, 2 usage error, 3 BCU error`;
+
+/**
+ * Table headers for the rate columns
+ */
+const TABLE_HEADERS = {
+  date: 'Date',
+  currency: 'Currency',
+  isoCode: 'ISO',
+  issuer: 'Issuer',
+  buyRate: 'Buy',
+  sellRate: 'Sell',
+};
+
+/**
+ * Format records as a text table with aligned columns
+ * Numeric columns are right-aligned
+ *
+ * @param {Object[]} records - Records to format
+ * @param {string[]} columns - Column order
+ * @returns {string} Table with a header row
+ */
+function toTable(records, columns) {
+  const rows = [
+    columns.map(column => TABLE_HEADERS[column]),
+    ...records.map(record => columns.map(column => String(record[column]))),
+  ];
+  const widths = columns.map((_, index) =>
+    Math.max(...rows.map(row => row[index].length))
+  );
+  const numeric = columns.map(column =>
+    records.every(record => typeof record[column] === 'number')
+  );
+
+  return rows
+    .map(row =>
+      row
+        .map((cell, index) =>
+          numeric[index]
+            ? cell.padStart(widths[index])
+            : cell.padEnd(widths[index])
+        )
+        .join('  ')
+        .trimEnd()
+    )
+    .join('\n');
+}
+
+/**
+ * Print a result in the selected format
+ * @param {string} format - 'table', 'json' or 'csv'
+ * @param {Object} result - Result to print
+ * @param {Object} result.json - JSON document
+ * @param {Object[]} result.records - Rate records for the table and CSV
+ */
+function print(format, { json, records }) {
+  if (format === 'json') {
+    console.log(JSON.stringify(json, null, 2));
+  } else if (format === 'csv') {
+    process.stdout.write(toCSV(records, RATE_COLUMNS));
+  } else {
+    console.log(toTable(records, RATE_COLUMNS));
+  }
+}
+
+/**
+ * Query the rate published on a date
+ * @param {Object} currency - Resolved currency (`{ code, name }`)
+ * @param {string} dateISO - Date in YYYY-MM-DD format
+ * @param {boolean} previous - Fall back to the previous published rate
+ * @returns {Promise<Object|string>} Result to print, or a no-data message
+ */
+async function queryDate({ code, name }, dateISO, previous) {
+  const fallback = previous ? 'previous' : 'none';
+  const exchangeRate = await getExchangeRateWithFallback(
+    code,
+    dateISO,
+    fallback
+  );
+
+  if (!exchangeRate) {
+    const { explanation } = explainMissingRate(dateISO);
+    return previous
+      ? `No ${name} rate within ${config.bcu.fallbackWindowDays} days before ${dateISO}`
+      : `No ${name} rate for ${dateISO}: ${explanation} (use --previous for the previous rate)`;
+  }
+
+  if (exchangeRate.date !== dateISO) {
+    console.error(
+      `No rate for ${dateISO}; showing the previous rate (${exchangeRate.date})`
+    );
+  }
+
+  return {
+    json: {
+      currency: name,
+      requestedDate: dateISO,
+      date: exchangeRate.date,
+      fallbackApplied: exchangeRate.date !== dateISO,
+      isoCode: exchangeRate.isoCode,
+      issuer: exchangeRate.issuer,
+      buyRate: exchangeRate.buyRate,
+      sellRate: exchangeRate.sellRate,
+    },
+    records: [{ ...exchangeRate, currency: name }],
+  };
+}
+
+/**
+ * Query the latest published rate
+ * @param {Object} currency - Resolved currency (`{ code, name }`)
+ * @returns {Promise<Object|string>} Result to print, or a no-data message
+ */
+async function queryLatest({ code, name }) {
+  const exchangeRate = await getLatestExchangeRate(code);
+
+  if (!exchangeRate) {
+    return `No recent ${name} rate found`;
+  }
+
+  return {
+    json: {
+      currency: name,
+      date: exchangeRate.date,
+      isoCode: exchangeRate.isoCode,
+      issuer: exchangeRate.issuer,
+      buyRate: exchangeRate.buyRate,
+      sellRate: exchangeRate.sellRate,
+    },
+    records: [{ ...exchangeRate, currency: name }],
+  };
+}
+
+/**
+ * Query the rates published in a date range
+ * @param {Object} currency - Resolved currency (`{ code, name }`)
+ * @param {string} fromISO - Start date in YYYY-MM-DD format
+ * @param {string} toISO - End date in YYYY-MM-DD format
+ * @returns {Promise<Object|string>} Result to print, or a no-data message
+ */
+async function queryRange({ code, name }, fromISO, toISO) {
+  const exchangeRates = await getExchangeRatesByRange(code, fromISO, toISO);
+
+  if (exchangeRates.length === 0) {
+    return `No ${name} rates published from ${fromISO} to ${toISO}`;
+  }
+
+  const records = exchangeRates.map(rate => ({ ...rate, currency: name }));
+  return {
+    json: {
+      currency: name,
+      from: fromISO,
+      to: toISO,
+      count: records.length,
+      rates: records.map(({ date, isoCode, issuer, buyRate, sellRate }) => ({
+        date,
+        isoCode,
+        issuer,
+        buyRate,
+        sellRate,
+      })),
+    },
+    records,
+  };
+}
+
+/**
+ * Parse the command line into a query
+ * @param {string[]} argv - Command-line arguments
+ * @returns {{error: string}|{help: true}|{query: Object, options: Object}}
+ *   Usage error, help request, or the query to run with its options
+ */
+function parseCommand(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        currency: { type: 'string', short: 'c', default: 'USD' },
+        previous: { type: 'boolean', short: 'p', default: false },
+        json: { type: 'boolean', default: false },
+        csv: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+  if (values.json && values.csv) {
+    return { error: 'Use either --json or --csv' };
+  }
+
+  const options = {
+    currency: values.currency,
+    previous: values.previous,
+    format: values.json ? 'json' : values.csv ? 'csv' : 'table',
+  };
+  const [command, ...params] = positionals;
+
+  if (command === 'latest' && params.length === 0) {
+    return { query: { type: 'latest' }, options };
+  }
+
+  if (command === 'range' && params.length === 2) {
+    const range = validateDateRange(
+      params[0],
+      params[1],
+      config.bcu.maxRangeDays
+    );
+    return range.error
+      ? { error: range.error }
+      : { query: { type: 'range', ...range }, options };
+  }
+
+  if (
+    command &&
+    params.length === 0 &&
+    !['latest', 'range'].includes(command)
+  ) {
+    const error = validateDateParam('date', command);
+    return error
+      ? { error }
+      : { query: { type: 'date', dateISO: command }, options };
+  }
+
+  return { error: 'Missing or unexpected arguments' };
+}
+
+/**
+ * Run the command
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<number>} Process exit code (see EXIT_CODES)
+ */
+export async function runCli(argv) {
+  // stdout carries the result only, so it can be piped
+  sendLogsToStderr();
+
+  try {
+    assertValidConfig();
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.usage;
+  }
+
+  const command = parseCommand(argv);
+  if (command.help) {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+  if (command.error) {
+    console.error(`${command.error}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+
+  const { query, options } = command;
+  try {
+    const currency = await resolveCurrency(options.currency);
+    if (!currency) {
+      console.error(`Currency not found: ${options.currency}`);
+      return EXIT_CODES.usage;
+    }
+
+    const result =
+      query.type === 'latest'
+        ? await queryLatest(currency)
+        : query.type === 'range'
+          ? await queryRange(currency, query.fromISO, query.toISO)
+          : await queryDate(currency, query.dateISO, options.previous);
+
+    if (typeof result === 'string') {
+      console.error(result);
+      return EXIT_CODES.noData;
+    }
+
+    print(options.format, result);
+    return EXIT_CODES.ok;
+  } catch (error) {
+    console.error(`BCU query failed: ${error.message}`);
+    return EXIT_CODES.upstreamError;
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Type definitions for the BCU client library (src/client.js)
+ */
+
+/** BCU data source */
+export type BcuMode = 'live' | 'fixture' | 'replay';
+
+/** Where to look when a date has no published rate */
+export type RateFallback = 'none' | 'previous' | 'next';
+
+/** Logger receiving the client's diagnostic messages */
+export interface Logger {
+  error(message: string, data?: unknown): void;
+  warn(message: string, data?: unknown): void;
+  info(message: string, data?: unknown): void;
+  debug(message: string, data?: unknown): void;
+}
+
+export interface BcuClientOptions {
+  /**
+   * Base URL of the BCU servlets
+   * @default 'https://cotizaciones.bcu.gub.uy/wscotizaciones/servlet'
+   */
+  baseUrl?: string;
+  /** WSDL URLs of the individual services (default: derived from `baseUrl`) */
+  wsdl?: {
+    exchangeRates?: string;
+    currencies?: string;
+    lastClosing?: string;
+  };
+  /**
+   * `live` calls BCU; `fixture` answers from fixture files and `replay` from
+   * raw SOAP recordings (both offline)
+   * @default 'live'
+   */
+  mode?: BcuMode;
+  /** Fixture files for `mode: 'fixture'` (default: the bundled sample data) */
+  fixturesDir?: string;
+  /** Raw SOAP traffic recording (`live` mode), replayed by `mode: 'replay'` */
+  recording?: {
+    /** @default false */
+    enabled?: boolean;
+    /** @default 'data/recordings' */
+    dir?: string;
+  };
+  /** Directory with bundled WSDL copies used instead of downloading them */
+  localWsdlDir?: string | null;
+  /**
+   * BCU currency group (2 = local exchange rates)
+   * @default 2
+   */
+  group?: number;
+  /** @default { wsdlMs: 10000, callMs: 15000 } */
+  timeouts?: {
+    /** Timeout for downloading a WSDL */
+    wsdlMs?: number;
+    /** Timeout for each SOAP call */
+    callMs?: number;
+  };
+  /** @default { failureThreshold: 5, resetTimeoutMs: 30000 } */
+  circuitBreaker?: {
+    /** Consecutive failures before a service's circuit opens */
+    failureThreshold?: number;
+    /** Time a circuit stays open before BCU is probed again */
+    resetTimeoutMs?: number;
+  };
+  /**
+   * Days searched by `fallback: 'previous' | 'next'`
+   * @default 10
+   */
+  fallbackWindowDays?: number;
+  /**
+   * Days scanned by getLatest() when the last closing service fails
+   * @default 31
+   */
+  maxDaysLookback?: number;
+  /**
+   * Maximum days in a getRange() query
+   * @default 366
+   */
+  maxRangeDays?: number;
+  /**
+   * How long the currency catalog is cached
+   * @default 21600000
+   */
+  currencyCacheTtlMs?: number;
+  /**
+   * Oldest last-known latest rate kept for the server's stale responses
+   * @default 259200000
+   */
+  staleLatestMaxAgeMs?: number;
+  /**
+   * Persist published past rates to a local NDJSON store and serve them
+   * from there (disabled by default)
+   */
+  store?: {
+    /** @default 'data/rates.ndjson' */
+    path?: string;
+    /** @default 'data/currencies.json' */
+    currenciesPath?: string;
+  } | null;
+  /** Logger for diagnostics (default: silent) */
+  logger?: Logger;
+}
+
+/** Options accepted by every client method */
+export interface CallOptions {
+  /** Cancels the BCU calls; the method then rejects with RequestAbortedError */
+  signal?: AbortSignal;
+}
+
+export interface CurrencyOptions extends CallOptions {
+  /**
+   * ISO code (e.g. 'EUR', 'USD-FONDO'), BCU code or currency name
+   * @default 'USD'
+   */
+  currency?: string | number;
+}
+
+export interface RateOptions extends CurrencyOptions {
+  /** @default 'none' */
+  fallback?: RateFallback;
+}
+
+export interface ListCurrenciesOptions extends CallOptions {
+  /** BCU currency group (default: the client's group) */
+  group?: number;
+}
+
+export interface ExchangeRate {
+  /** Date of the published rate (YYYY-MM-DD) */
+  date: string;
+  /** Currency name as published by BCU */
+  currency: string;
+  isoCode: string;
+  issuer: string;
+  buyRate: number;
+  sellRate: number;
+  arbitrage: number | null;
+  arbitrageMethod: string | null;
+}
+
+export interface Currency {
+  /** BCU currency code */
+  code: number;
+  name: string;
+  isoCode: string | null;
+  group: number;
+}
+
+export interface BcuClient {
+  /**
+   * Get the rate published on a date
+   * With a fallback, the returned `date` is the effective rate date
+   * @throws {TypeError} If the date is not a string
+   * @throws {RangeError} If the date is not a YYYY-MM-DD calendar date, or
+   *   the fallback or currency is unknown
+   */
+  getRate(date: string, options?: RateOptions): Promise<ExchangeRate | null>;
+  /** Get the latest published rate */
+  getLatest(options?: CurrencyOptions): Promise<ExchangeRate | null>;
+  /**
+   * Get the rates published in a date range, one per day in date order
+   * @throws {TypeError} If a date is not a string
+   * @throws {RangeError} If a date is not a YYYY-MM-DD calendar date, the
+   *   range is reversed or longer than `maxRangeDays`, or the currency is
+   *   unknown
+   */
+  getRange(
+    from: string,
+    to: string,
+    options?: CurrencyOptions
+  ): Promise<ExchangeRate[]>;
+  /** List the currencies published by BCU for a group */
+  listCurrencies(options?: ListCurrenciesOptions): Promise<Currency[]>;
+  /** Resolve a currency identifier; null if none matches */
+  resolveCurrency(
+    identifier: string | number,
+    options?: CallOptions
+  ): Promise<Currency | null>;
+  /** Get the date (YYYY-MM-DD) of the most recent closing published by BCU */
+  getLastClosingDate(options?: CallOptions): Promise<string | null>;
+}
+
+/**
+ * Create a BCU client with its own settings, caches and circuit breakers
+ * @throws {ConfigError} If an option is invalid
+ */
+export function createBcuClient(options?: BcuClientOptions): BcuClient;
+
+/** Thrown by createBcuClient() when options are invalid */
+export class ConfigError extends Error {
+  /** One message per invalid option */
+  errors: string[];
+}
+
+/** BCU service failure */
+export class UpstreamError extends Error {
+  /** HTTP status the server responds with for this failure */
+  statusCode: number;
+  /** BCU service name (e.g. 'awsbcucotizaciones') */
+  service: string;
+}
+
+/** A BCU service is failing and calls are rejected until its circuit resets */
+export class CircuitOpenError extends UpstreamError {
+  retryAfterSeconds: number;
+}
+
+/** A BCU service did not respond within the timeout */
+export class UpstreamTimeoutError extends UpstreamError {
+  timeoutMs: number;
+}
+
+/** The call was cancelled through its `signal` */
+export class RequestAbortedError extends UpstreamError {}
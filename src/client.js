@@ -0,0 +1,356 @@
+/**
+ * BCU Client Library
+ * Programmatic access to BCU exchange rates, without the HTTP server
+ *
+ * Usage:
+ *   import { createBcuClient } from 'bcu-usd-billete';
+ *   const bcu = createBcuClient({ timeouts: { callMs: 5000 } });
+ *   const rate = await bcu.getRate('2025-09-12', { fallback: 'previous' });
+ *
+ * Each client has its own settings, SOAP clients, circuit breakers and
+ * caches, built from the options passed in; environment variables and
+ * CONFIG_FILE (which configure the server) are not used. Types are in
+ * client.d.ts.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { BCU_DEFAULTS } from './config/bcu-defaults.js';
+import { ConfigError } from './utils/errors.js';
+import { validateDateParam, validateDateRange } from './utils/helpers.js';
+import {
+  runWithRequestContext,
+  shutdownSignal,
+} from './utils/request-context.js';
+import { createSOAPClientRegistry } from './utils/soap-client.js';
+import { createRateStore } from './services/rate-store.js';
+import { createBcuService } from './services/bcu-service.js';
+import { createCalendar } from './services/calendar.js';
+
+export {
+  ConfigError,
+  UpstreamError,
+  CircuitOpenError,
+  UpstreamTimeoutError,
+  RequestAbortedError,
+} from './utils/errors.js';
+
+/**
+ * Logger used unless one is passed: libraries stay quiet by default
+ */
+const silentLogger = {
+  error: () => {},
+  warn: () => {},
+  info: () => {},
+  debug: () => {},
+};
+
+/**
+ * Fixtures bundled with the package, used by `mode: 'fixture'`
+ */
+const BUNDLED_FIXTURES_DIR = fileURLToPath(
+  new URL('../fixtures/bcu', import.meta.url)
+);
+
+const MODES = ['live', 'fixture', 'replay'];
+const FALLBACKS = ['none', 'previous', 'next'];
+
+/**
+ * Check that a value is an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isHttpUrl = value => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Build the service settings for a client, validating the options
+ * @param {Object} options - createBcuClient options
+ * @returns {{bcuConfig: Object, storageConfig: Object}} Settings shaped like
+ *   `config.bcu` and `config.storage`
+ * @throws {ConfigError} Listing every invalid option
+ */
+function resolveClientConfig(options) {
+  const errors = [];
+
+  /**
+   * Read an integer option, recording an error when it is out of range
+   * @param {string} name - Option name (for messages)
+   * @param {*} value - Option value
+   * @param {number} fallback - Default value
+   * @param {number} [min=1] - Minimum value
+   * @returns {number} Option value
+   */
+  const integer = (name, value, fallback, min = 1) => {
+    if (value === undefined) {
+      return fallback;
+    }
+    if (!Number.isInteger(value) || value < min) {
+      errors.push(
+        `${name}: expected an integer of at least ${min}, got ${JSON.stringify(value)}`
+      );
+    }
+    return value;
+  };
+
+  const mode = options.mode ?? 'live';
+  if (!MODES.includes(mode)) {
+    errors.push(`mode: expected one of ${MODES.join(', ')}, got "${mode}"`);
+  }
+
+  const baseUrl = (options.baseUrl ?? BCU_DEFAULTS.baseUrl).replace(/\/+$/, '');
+  const wsdl = {
+    exchangeRates:
+      options.wsdl?.exchangeRates ?? `${baseUrl}/awsbcucotizaciones?wsdl`,
+    currencies: options.wsdl?.currencies ?? `${baseUrl}/awsbcumonedas?wsdl`,
+    lastClosing: options.wsdl?.lastClosing ?? `${baseUrl}/awsultimocierre?wsdl`,
+  };
+  for (const [name, url] of Object.entries(wsdl)) {
+    if (!isHttpUrl(url)) {
+      errors.push(`wsdl.${name}: expected an http(s) URL, got "${url}"`);
+    }
+  }
+
+  const recording = {
+    enabled: options.recording?.enabled ?? false,
+    dir: options.recording?.dir ?? 'data/recordings',
+  };
+  if (recording.enabled && mode !== 'live') {
+    errors.push("recording.enabled: only applies to mode 'live'");
+  }
+
+  const bcuConfig = {
+    mode,
+    fixturesDir: options.fixturesDir ?? BUNDLED_FIXTURES_DIR,
+    recording,
+    wsdl,
+    localWsdlDir: options.localWsdlDir ?? null,
+    localExchangeRatesGroup: integer(
+      'group',
+      options.group,
+      BCU_DEFAULTS.localExchangeRatesGroup,
+      0
+    ),
+    maxDaysLookback: integer(
+      'maxDaysLookback',
+      options.maxDaysLookback,
+      BCU_DEFAULTS.maxDaysLookback
+    ),
+    fallbackWindowDays: integer(
+      'fallbackWindowDays',
+      options.fallbackWindowDays,
+      BCU_DEFAULTS.fallbackWindowDays
+    ),
+    maxRangeDays: integer(
+      'maxRangeDays',
+      options.maxRangeDays,
+      BCU_DEFAULTS.maxRangeDays
+    ),
+    currencyCacheTtlMs: integer(
+      'currencyCacheTtlMs',
+      options.currencyCacheTtlMs,
+      BCU_DEFAULTS.currencyCacheTtlMs,
+      0
+    ),
+    timeouts: {
+      wsdlMs: integer(
+        'timeouts.wsdlMs',
+        options.timeouts?.wsdlMs,
+        BCU_DEFAULTS.timeouts.wsdlMs
+      ),
+      callMs: integer(
+        'timeouts.callMs',
+        options.timeouts?.callMs,
+        BCU_DEFAULTS.timeouts.callMs
+      ),
+    },
+    circuitBreaker: {
+      failureThreshold: integer(
+        'circuitBreaker.failureThreshold',
+        options.circuitBreaker?.failureThreshold,
+        BCU_DEFAULTS.circuitBreaker.failureThreshold
+      ),
+      resetTimeoutMs: integer(
+        'circuitBreaker.resetTimeoutMs',
+        options.circuitBreaker?.resetTimeoutMs,
+        BCU_DEFAULTS.circuitBreaker.resetTimeoutMs
+      ),
+    },
+    staleLatestMaxAgeMs: integer(
+      'staleLatestMaxAgeMs',
+      options.staleLatestMaxAgeMs,
+      BCU_DEFAULTS.staleLatestMaxAgeMs,
+      0
+    ),
+  };
+
+  // The rate store is opt-in: a library should not write files unasked
+  const storageConfig = {
+    enabled: Boolean(options.store),
+    path: options.store?.path ?? 'data/rates.ndjson',
+    currenciesPath: options.store?.currenciesPath ?? 'data/currencies.json',
+  };
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return { bcuConfig, storageConfig };
+}
+
+/**
+ * Create a BCU client
+ * @param {Object} [options] - Client options (see BcuClientOptions in client.d.ts)
+ * @returns {Object} Client with getRate(), getLatest(), getRange(),
+ *   listCurrencies(), resolveCurrency() and getLastClosingDate()
+ * @throws {ConfigError} If an option is invalid
+ */
+export function createBcuClient(options = {}) {
+  const { bcuConfig, storageConfig } = resolveClientConfig(options);
+  const logger = options.logger ?? silentLogger;
+
+  const service = createBcuService({
+    bcuConfig,
+    soapClients: createSOAPClientRegistry(bcuConfig, { logger }),
+    rateStore: createRateStore(storageConfig, { logger }),
+    // The standard banking calendar: server overrides don't apply
+    calendar: createCalendar(),
+    logger,
+  });
+
+  /**
+   * Run a service call, cancelled when the caller's signal aborts
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @param {Function} fn - Service call
+   * @returns {Promise<*>} Result of the call
+   */
+  const withSignal = (signal, fn) =>
+    signal
+      ? runWithRequestContext(
+          { signal: AbortSignal.any([signal, shutdownSignal]) },
+          fn
+        )
+      : fn();
+
+  /**
+   * Check a date argument
+   * @param {string} name - Argument name (for messages)
+   * @param {*} value - Argument value
+   * @throws {TypeError} If the value is not a string
+   * @throws {RangeError} If the value is not a YYYY-MM-DD calendar date
+   */
+  const assertDate = (name, value) => {
+    if (typeof value !== 'string') {
+      throw new TypeError(`${name} must be a YYYY-MM-DD string`);
+    }
+    const dateError = validateDateParam(name, value);
+    if (dateError) {
+      throw new RangeError(dateError);
+    }
+  };
+
+  /**
+   * Resolve a currency identifier, failing on unknown currencies
+   * @param {string|number} identifier - ISO code, BCU code or name
+   * @returns {Promise<Object>} Resolved currency
+   * @throws {RangeError} If no currency matches
+   */
+  const requireCurrency = async identifier => {
+    const currency = await service.resolveCurrency(identifier);
+    if (!currency) {
+      throw new RangeError(`Unknown currency: ${identifier}`);
+    }
+    return currency;
+  };
+
+  return {
+    /**
+     * Get the rate published on a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {Object} [options] - `{ currency = 'USD', fallback = 'none', signal }`
+     * @returns {Promise<Object|null>} Exchange rate (its `date` is the
+     *   effective rate date) or null if none is published
+     */
+    async getRate(date, { currency = 'USD', fallback = 'none', signal } = {}) {
+      assertDate('date', date);
+      if (!FALLBACKS.includes(fallback)) {
+        throw new RangeError(
+          `Invalid fallback. Use one of: ${FALLBACKS.join(', ')}`
+        );
+      }
+
+      return withSignal(signal, async () => {
+        const { code } = await requireCurrency(currency);
+        return service.getExchangeRateWithFallback(code, date, fallback);
+      });
+    },
+
+    /**
+     * Get the latest published rate
+     * @param {Object} [options] - `{ currency = 'USD', signal }`
+     * @returns {Promise<Object|null>} Exchange rate or null if none is found
+     */
+    async getLatest({ currency = 'USD', signal } = {}) {
+      return withSignal(signal, async () => {
+        const { code } = await requireCurrency(currency);
+        return service.getLatestExchangeRate(code);
+      });
+    },
+
+    /**
+     * Get the rates published in a date range (one per day)
+     * @param {string} from - Start date in YYYY-MM-DD format (inclusive)
+     * @param {string} to - End date in YYYY-MM-DD format (inclusive)
+     * @param {Object} [options] - `{ currency = 'USD', signal }`
+     * @returns {Promise<Object[]>} Exchange rates ordered by date
+     */
+    async getRange(from, to, { currency = 'USD', signal } = {}) {
+      assertDate('from', from);
+      assertDate('to', to);
+      const range = validateDateRange(from, to, bcuConfig.maxRangeDays);
+      if (range.error) {
+        throw new RangeError(range.error);
+      }
+
+      return withSignal(signal, async () => {
+        const { code } = await requireCurrency(currency);
+        return service.getExchangeRatesByRange(
+          code,
+          range.fromISO,
+          range.toISO
+        );
+      });
+    },
+
+    /**
+     * List the currencies published by BCU for a group
+     * @param {Object} [options] - `{ group, signal }` (default: the client's group)
+     * @returns {Promise<Object[]>} Currencies
+     */
+    async listCurrencies({ group, signal } = {}) {
+      return withSignal(signal, () => service.getCurrencies(group));
+    },
+
+    /**
+     * Resolve a currency identifier (ISO code, BCU code or name)
+     * @param {string|number} identifier - Currency identifier
+     * @param {Object} [options] - `{ signal }`
+     * @returns {Promise<Object|null>} Currency or null if none matches
+     */
+    async resolveCurrency(identifier, { signal } = {}) {
+      return withSignal(signal, () => service.resolveCurrency(identifier));
+    },
+
+    /**
+     * Get the date of the most recent closing published by BCU
+     * @param {Object} [options] - `{ signal }`
+     * @returns {Promise<string|null>} Closing date (YYYY-MM-DD) or null
+     */
+    async getLastClosingDate({ signal } = {}) {
+      return withSignal(signal, () => service.getLastClosingDate());
+    },
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * BCU Defaults
+ * Default BCU settings, shared by the server configuration (config/index.js)
+ * and the library client (src/client.js)
+ *
+ * Kept free of imports and environment access so the library can use them
+ * without loading the server configuration.
+ */
+
+/**
+ * Defaults of the BCU settings
+ * See `config.bcu` in config/index.js for what each setting does
+ */
+export const BCU_DEFAULTS = {
+  baseUrl: 'https://cotizaciones.bcu.gub.uy/wscotizaciones/servlet',
+  localExchangeRatesGroup: 2,
+  maxDaysLookback: 31,
+  fallbackWindowDays: 10,
+  maxRangeDays: 366,
+  currencyCacheTtlMs: 6 * 60 * 60 * 1000,
+  timeouts: { wsdlMs: 10000, callMs: 15000 },
+  circuitBreaker: { failureThreshold: 5, resetTimeoutMs: 30000 },
+  staleLatestMaxAgeMs: 72 * 60 * 60 * 1000,
+};
@@ -0,0 +1,24 @@
+/**
+ * Currency Definitions
+ * ISO 4217 codes mapped to the name patterns BCU uses in awsbcumonedas
+ *
+ * BCU only returns a numeric code and a free-text name for each currency,
+ * so ISO codes are resolved by matching normalized names against these patterns.
+ */
+
+export const ISO_CURRENCIES = {
+  USD: {
+    patterns: ['DOLAR USA', 'DLS USA', 'DLS. USA', 'DLS.USA'],
+    // Entries preferred when several BCU currencies share the ISO code
+    preferred: ['BILLETE', 'CASH'],
+  },
+  EUR: { patterns: ['EURO'] },
+  BRL: { patterns: ['REAL'] },
+  ARS: { patterns: ['PESO ARG'] },
+  CLP: { patterns: ['PESO CHILENO'] },
+  PYG: { patterns: ['GUARANI'] },
+  GBP: { patterns: ['LIBRA'] },
+  JPY: { patterns: ['YEN'] },
+  CHF: { patterns: ['FRANCO SUIZO'] },
+  MXN: { patterns: ['PESO MEXICANO'] },
+};
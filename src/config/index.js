@@ -1,36 +1,636 @@
 /**
  * Application Configuration
  * Central configuration for all environment variables and constants
+ *
+ * Every setting can be overridden by an environment variable. An optional
+ * JSON file (CONFIG_FILE) may provide the same variables, e.g.
+ * `{ "BCU_GROUP": 2, "LOG_LEVEL": "debug" }`; environment variables take
+ * precedence over the file, and the file over the defaults below.
+ *
+ * Settings are read on first access to `config`, not on import, so modules
+ * shared with the library client can import this one without side effects.
+ * Invalid values fall back to their default and are reported by
+ * assertValidConfig(), which the server and scripts call at startup.
  */
 
-export const config = {
-  // Server Configuration
-  server: {
-    port: process.env.PORT || 3000,
-    env: process.env.NODE_ENV || 'production',
-  },
-
-  // BCU Web Service Endpoints
-  bcu: {
-    wsdl: {
-      exchangeRates:
-        'https://cotizaciones.bcu.gub.uy/wscotizaciones/servlet/awsbcucotizaciones?wsdl',
-      currencies:
-        'https://cotizaciones.bcu.gub.uy/wscotizaciones/servlet/awsbcumonedas?wsdl',
-      lastClosing:
-        'https://cotizaciones.bcu.gub.uy/wscotizaciones/servlet/awsultimocierre?wsdl',
-    },
-
-    // Group 2 = Local Exchange Rates (according to BCU documentation)
-    localExchangeRatesGroup: 2,
-
-    // Maximum days to look back for latest rate fallback
-    maxDaysLookback: 31,
-  },
-
-  // Application Constants
-  app: {
-    name: 'BCU USD Exchange Rate API',
-    version: '2.0.0',
-  },
+import fs from 'node:fs';
+import { ConfigError } from '../utils/errors.js';
+import { ROUNDING_MODES } from '../utils/decimal.js';
+import { isValidCalendarDate } from '../utils/helpers.js';
+import { BCU_DEFAULTS } from './bcu-defaults.js';
+
+/**
+ * Validation problems found while reading the configuration
+ * @type {string[]}
+ */
+const configErrors = [];
+
+/**
+ * Where each setting's value came from ('env', 'file' or 'default')
+ * @type {Object<string, string>}
+ */
+const configSources = {};
+
+/**
+ * Load the optional JSON configuration file
+ * @param {string} filePath - Path from CONFIG_FILE
+ * @returns {Object} Settings keyed by environment variable name
+ */
+function loadConfigFile(filePath) {
+  if (!filePath) {
+    return {};
+  }
+
+  try {
+    const settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error('expected a JSON object of settings');
+    }
+    return settings;
+  } catch (error) {
+    configErrors.push(`CONFIG_FILE: cannot load ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/** @type {Object} Settings from CONFIG_FILE, read by loadConfig() */
+let fileSettings = {};
+
+/**
+ * Read a raw setting from the environment or the config file
+ * File values may be numbers, booleans or arrays (joined with commas)
+ *
+ * @param {string} name - Environment variable name
+ * @returns {string|undefined} Raw value, or undefined when not set
+ */
+function readSetting(name) {
+  if (process.env[name] !== undefined) {
+    configSources[name] = 'env';
+    return process.env[name];
+  }
+
+  if (fileSettings[name] !== undefined && fileSettings[name] !== null) {
+    configSources[name] = 'file';
+    const value = fileSettings[name];
+    return Array.isArray(value) ? value.join(',') : String(value);
+  }
+
+  configSources[name] = 'default';
+  return undefined;
+}
+
+/**
+ * Record an invalid value
+ * @param {string} name - Environment variable name
+ * @param {string} expected - Description of valid values
+ * @param {string} raw - Value provided
+ */
+const reportInvalid = (name, expected, raw) =>
+  configErrors.push(`${name}: expected ${expected}, got "${raw}"`);
+
+/**
+ * Read a string setting (empty values use the default)
+ * @param {string} name - Environment variable name
+ * @param {string} fallback - Default value
+ * @returns {string} Setting value
+ */
+const string = (name, fallback) => readSetting(name) || fallback;
+
+/**
+ * Read an integer setting
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @param {Object} range - Allowed range
+ * @param {number} [range.min=0] - Minimum value
+ * @param {number} [range.max] - Maximum value
+ * @returns {number} Setting value
+ */
+function integer(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER }) {
+  const raw = readSetting(name);
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    reportInvalid(name, `an integer between ${min} and ${max}`, raw);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Read a boolean setting (true/false, 1/0, yes/no)
+ * @param {string} name - Environment variable name
+ * @param {boolean} fallback - Default value
+ * @returns {boolean} Setting value
+ */
+function boolean(name, fallback) {
+  const raw = readSetting(name);
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+
+  const normalized = raw.trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(normalized)) {
+    return true;
+  }
+  if (['false', '0', 'no'].includes(normalized)) {
+    return false;
+  }
+  reportInvalid(name, 'true or false', raw);
+  return fallback;
+}
+
+/**
+ * Read a setting restricted to a set of values
+ * @param {string} name - Environment variable name
+ * @param {string} fallback - Default value
+ * @param {string[]} allowed - Allowed values
+ * @returns {string} Setting value
+ */
+function oneOf(name, fallback, allowed) {
+  const raw = readSetting(name);
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+
+  if (!allowed.includes(raw)) {
+    reportInvalid(name, `one of ${allowed.join(', ')}`, raw);
+    return fallback;
+  }
+  return raw;
+}
+
+/**
+ * Read an http(s) URL setting
+ * @param {string} name - Environment variable name
+ * @param {string} fallback - Default value
+ * @returns {string} Setting value
+ */
+function httpUrl(name, fallback) {
+  const raw = readSetting(name);
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+
+  try {
+    const { protocol } = new URL(raw);
+    if (protocol === 'http:' || protocol === 'https:') {
+      return raw;
+    }
+  } catch {
+    // Reported below
+  }
+  reportInvalid(name, 'an http(s) URL', raw);
+  return fallback;
+}
+
+/**
+ * Read a comma-separated list setting
+ * @param {string} name - Environment variable name
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+const list = name =>
+  (readSetting(name) || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Check that list entries start with a YYYY-MM-DD calendar date
+ * @param {string} name - Environment variable name
+ * @param {string[]} entries - List entries
+ * @returns {string[]} Valid entries
+ */
+const withValidDates = (name, entries) =>
+  entries.filter(entry => {
+    const valid = isValidCalendarDate(entry.split(':')[0]);
+    if (!valid) {
+      reportInvalid(name, 'calendar dates in YYYY-MM-DD format', entry);
+    }
+    return valid;
+  });
+
+/**
+ * Read the API key list: `name:key[:requestsPerWindow]` entries
+ * Errors name the client only, so keys never appear in logs
+ *
+ * @param {string} name - Environment variable name
+ * @returns {{name: string, key: string, limit: number|null}[]} API keys
+ */
+function apiKeys(name) {
+  const entries = list(name).map(entry => {
+    const [clientName, key, limit] = entry.split(':');
+    if (!clientName || !key || (limit !== undefined && !/^\d+$/.test(limit))) {
+      configErrors.push(
+        `${name}: expected entries as name:key[:requestsPerWindow], check the entry for "${clientName}"`
+      );
+      return null;
+    }
+    return { name: clientName, key, limit: limit ? Number(limit) : null };
+  });
+
+  const keys = entries.filter(Boolean);
+  if (new Set(keys.map(({ key }) => key)).size !== keys.length) {
+    configErrors.push(`${name}: API keys must be unique`);
+  }
+  return keys;
+}
+
+/**
+ * Read every setting from the environment and the config file
+ * Invalid values are recorded in configErrors
+ *
+ * @returns {Object} Configuration
+ */
+function loadConfig() {
+  fileSettings = loadConfigFile(process.env.CONFIG_FILE);
+  const packageJson = JSON.parse(
+    fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+  );
+
+  const nodeEnv = oneOf('NODE_ENV', 'production', [
+    'development',
+    'production',
+    'test',
+  ]);
+
+  // Base URL of the BCU servlets; each WSDL URL can also be set individually
+  const bcuBaseUrl = httpUrl('BCU_BASE_URL', BCU_DEFAULTS.baseUrl).replace(
+    /\/+$/,
+    ''
+  );
+
+  // `fixture` and `replay` serve BCU data from local files instead of the
+  // SOAP services
+  const bcuMode = oneOf('BCU_MODE', 'live', ['live', 'fixture', 'replay']);
+
+  const maxPrecision = integer('CONVERSION_MAX_PRECISION', 10, { max: 20 });
+
+  const corsOrigins = list('CORS_ORIGINS');
+
+  const settings = {
+    // Server Configuration
+    server: {
+      port: integer('PORT', 3000, { min: 1, max: 65535 }),
+      env: nodeEnv,
+
+      // Number of reverse proxies in front of the server, used to read the
+      // client IP from X-Forwarded-For (0 = use the socket address). Only set
+      // it behind a proxy: otherwise clients choose their own IP (and with it
+      // a fresh anonymous rate limit) through the header
+      trustProxy: integer('TRUST_PROXY', 0, { max: 10 }),
+    },
+
+    // Logging: error, warn, info or debug (debug by default in development)
+    logging: {
+      level: oneOf('LOG_LEVEL', nodeEnv === 'development' ? 'debug' : 'info', [
+        'error',
+        'warn',
+        'info',
+        'debug',
+      ]),
+    },
+
+    // Admin endpoints (/admin/*): bearer token required when set; without a
+    // token they are only available in development
+    admin: {
+      token: string('ADMIN_TOKEN', ''),
+    },
+
+    // API key authentication (optional unless required is set)
+    auth: {
+      required: boolean('AUTH_REQUIRED', false),
+      header: string('API_KEY_HEADER', 'X-API-Key'),
+      // API_KEYS=checkout:3f9a...:600,reporting:c41b...
+      apiKeys: apiKeys('API_KEYS'),
+    },
+
+    // Fixed-window rate limits (0 = unlimited), per API key and per client IP
+    // for requests without a key
+    rateLimit: {
+      windowMs: integer('RATE_LIMIT_WINDOW_MS', 60000, { min: 1000 }),
+      perApiKey: integer('RATE_LIMIT_PER_API_KEY', 600, {}),
+      perIp: integer('RATE_LIMIT_PER_IP', 60, {}),
+    },
+
+    // CORS policy for browser clients
+    cors: {
+      // Allowed origins; `*` allows any, wildcards match subdomains:
+      // CORS_ORIGINS=https://shop.example.com,https://*.example.com
+      origins: corsOrigins.length > 0 ? corsOrigins : ['*'],
+      // Allow cookies / Authorization with cross-origin requests
+      credentials: boolean('CORS_CREDENTIALS', false),
+      // How long browsers may cache a preflight response
+      maxAgeSeconds: integer('CORS_MAX_AGE', 600, { max: 86400 }),
+    },
+
+    // BCU Web Service Endpoints
+    bcu: {
+      // Where BCU data comes from: `live` calls the SOAP services, `fixture`
+      // answers every call from the fixture files in `fixturesDir` and `replay`
+      // from raw SOAP recordings in `recording.dir` (both offline)
+      mode: bcuMode,
+      fixturesDir: string('BCU_FIXTURES_DIR', 'fixtures/bcu'),
+
+      // Opt-in recording of raw SOAP envelopes (live mode), replayed with
+      // BCU_MODE=replay to reproduce parsing issues
+      recording: {
+        enabled: boolean('BCU_RECORD', false),
+        dir: string('BCU_RECORDINGS_DIR', 'data/recordings'),
+      },
+
+      wsdl: {
+        exchangeRates: httpUrl(
+          'BCU_WSDL_EXCHANGE_RATES',
+          `${bcuBaseUrl}/awsbcucotizaciones?wsdl`
+        ),
+        currencies: httpUrl(
+          'BCU_WSDL_CURRENCIES',
+          `${bcuBaseUrl}/awsbcumonedas?wsdl`
+        ),
+        lastClosing: httpUrl(
+          'BCU_WSDL_LAST_CLOSING',
+          `${bcuBaseUrl}/awsultimocierre?wsdl`
+        ),
+      },
+
+      // Directory with bundled WSDL copies (e.g. wsdl/awsbcumonedas.wsdl)
+      // Used instead of downloading the WSDL when a matching file exists
+      localWsdlDir: string('BCU_WSDL_DIR', 'wsdl'),
+
+      // Group 2 = Local Exchange Rates (according to BCU documentation)
+      localExchangeRatesGroup: integer(
+        'BCU_GROUP',
+        BCU_DEFAULTS.localExchangeRatesGroup,
+        { max: 99 }
+      ),
+
+      // Maximum days to look back for latest rate fallback
+      maxDaysLookback: integer(
+        'BCU_MAX_DAYS_LOOKBACK',
+        BCU_DEFAULTS.maxDaysLookback,
+        { min: 1, max: 366 }
+      ),
+
+      // Maximum days searched by the fallback=previous|next date option
+      fallbackWindowDays: integer(
+        'BCU_FALLBACK_WINDOW_DAYS',
+        BCU_DEFAULTS.fallbackWindowDays,
+        { min: 1, max: 31 }
+      ),
+
+      // Maximum number of days allowed in a single date-range query
+      maxRangeDays: integer('BCU_MAX_RANGE_DAYS', BCU_DEFAULTS.maxRangeDays, {
+        min: 1,
+        max: 3660,
+      }),
+
+      // How long the awsbcumonedas currency catalog is cached (6 hours)
+      currencyCacheTtlMs: integer(
+        'BCU_CURRENCY_CACHE_TTL_MS',
+        BCU_DEFAULTS.currencyCacheTtlMs,
+        {}
+      ),
+
+      // Timeouts for downloading a WSDL and for each SOAP method call
+      // (each covers connecting and receiving the full response)
+      timeouts: {
+        wsdlMs: integer('BCU_WSDL_TIMEOUT_MS', BCU_DEFAULTS.timeouts.wsdlMs, {
+          min: 1,
+        }),
+        callMs: integer('BCU_CALL_TIMEOUT_MS', BCU_DEFAULTS.timeouts.callMs, {
+          min: 1,
+        }),
+      },
+
+      // Circuit breaker per BCU service: open after N consecutive failures,
+      // fail fast while open and probe again after the reset timeout
+      circuitBreaker: {
+        failureThreshold: integer(
+          'BCU_CIRCUIT_FAILURE_THRESHOLD',
+          BCU_DEFAULTS.circuitBreaker.failureThreshold,
+          { min: 1 }
+        ),
+        resetTimeoutMs: integer(
+          'BCU_CIRCUIT_RESET_TIMEOUT_MS',
+          BCU_DEFAULTS.circuitBreaker.resetTimeoutMs,
+          { min: 1 }
+        ),
+      },
+
+      // Oldest last-known-good latest rate served (flagged stale) during
+      // an outage (72 hours, covers a weekend)
+      staleLatestMaxAgeMs: integer(
+        'BCU_STALE_MAX_AGE_MS',
+        BCU_DEFAULTS.staleLatestMaxAgeMs,
+        {}
+      ),
+    },
+
+    // Closing watcher: polls awsultimocierre to detect newly published
+    // closings (0 = disabled)
+    closingWatcher: {
+      intervalMs: integer('CLOSING_POLL_INTERVAL_MS', 5 * 60 * 1000, {
+        min: 0,
+      }),
+    },
+
+    // Server-Sent Events stream of new closings (/usd-rate/stream)
+    stream: {
+      // Comment line sent to keep idle connections (and proxies) open
+      heartbeatMs: integer('STREAM_HEARTBEAT_MS', 15000, { min: 1000 }),
+      // Reconnection delay suggested to EventSource clients
+      retryMs: integer('STREAM_RETRY_MS', 5000, { min: 0 }),
+      maxClients: integer('STREAM_MAX_CLIENTS', 1000, { min: 1 }),
+    },
+
+    // Webhook subscriptions for new closings
+    webhooks: {
+      storePath: string('WEBHOOK_STORE_PATH', 'data/webhooks.json'),
+      // Timeout for each delivery attempt
+      timeoutMs: integer('WEBHOOK_TIMEOUT_MS', 10000, { min: 1 }),
+      // Attempts per delivery, retried with exponential backoff from the base
+      // delay (5s, 10s, 20s, ...)
+      maxAttempts: integer('WEBHOOK_MAX_ATTEMPTS', 6, { min: 1, max: 20 }),
+      retryBaseMs: integer('WEBHOOK_RETRY_BASE_MS', 5000, { min: 1 }),
+      // Delivery records kept per webhook
+      deliveryHistory: integer('WEBHOOK_DELIVERY_HISTORY', 50, { min: 1 }),
+      // Webhooks each API key may register
+      maxPerOwner: integer('WEBHOOK_MAX_PER_OWNER', 10, { min: 1 }),
+      // Allow callback URLs on loopback/private networks (local testing only)
+      allowPrivateTargets: boolean('WEBHOOK_ALLOW_PRIVATE_TARGETS', false),
+    },
+
+    // Readiness probe (/health/ready)
+    health: {
+      // Timeout and cache lifetime of the BCU WSDL reachability check
+      checkTimeoutMs: integer('HEALTH_CHECK_TIMEOUT_MS', 3000, { min: 1 }),
+      checkCacheMs: integer('HEALTH_CHECK_CACHE_MS', 30000, { min: 0 }),
+      // Degraded when no BCU call succeeded for this long (0 = not checked)
+      maxFetchAgeMs: integer('HEALTH_MAX_FETCH_AGE_MS', 60 * 60 * 1000, {
+        min: 0,
+      }),
+      // Report not ready (503) while degraded; turn off to keep instances in
+      // rotation during a BCU outage and serve last-known-good rates instead
+      requireBcu: boolean('HEALTH_READY_REQUIRES_BCU', true),
+    },
+
+    // Currency Conversion Defaults (/convert)
+    conversion: {
+      // Local currency: BCU rates are quoted in UYU per unit of foreign currency
+      baseCurrency: 'UYU',
+      defaultSide: oneOf('CONVERSION_DEFAULT_SIDE', 'sell', ['buy', 'sell']),
+      defaultPrecision: integer('CONVERSION_DEFAULT_PRECISION', 2, {
+        max: maxPrecision,
+      }),
+      maxPrecision,
+      defaultRounding: oneOf(
+        'CONVERSION_DEFAULT_ROUNDING',
+        'half-even',
+        ROUNDING_MODES
+      ),
+    },
+
+    // Banking Calendar Overrides
+    calendar: {
+      // Extra bank holidays: CALENDAR_EXTRA_HOLIDAYS=2025-01-02:Asueto,2025-12-24
+      extraHolidays: withValidDates(
+        'CALENDAR_EXTRA_HOLIDAYS',
+        list('CALENDAR_EXTRA_HOLIDAYS')
+      ).map(entry => {
+        const [date, ...name] = entry.split(':');
+        return { date, name: name.join(':') || 'Feriado bancario' };
+      }),
+
+      // Dates forced to be business days: CALENDAR_BUSINESS_DAYS=2025-05-18
+      businessDays: withValidDates(
+        'CALENDAR_BUSINESS_DAYS',
+        list('CALENDAR_BUSINESS_DAYS')
+      ),
+    },
+
+    // Historical Rate Store (append-only NDJSON file)
+    // (off by default in fixture and replay modes, so their data never mixes
+    // with real rates)
+    storage: {
+      enabled: boolean('RATE_STORE_ENABLED', bcuMode === 'live'),
+      path: string('RATE_STORE_PATH', 'data/rates.ndjson'),
+      currenciesPath: string('CURRENCY_STORE_PATH', 'data/currencies.json'),
+    },
+
+    // Application Constants
+    app: {
+      name: 'BCU USD Exchange Rate API',
+      version: packageJson.version,
+    },
+  };
+
+  if (settings.cors.credentials && settings.cors.origins.includes('*')) {
+    configErrors.push(
+      'CORS_CREDENTIALS: requires an explicit CORS_ORIGINS allowlist (not *)'
+    );
+  }
+
+  if (settings.bcu.recording.enabled && settings.bcu.mode !== 'live') {
+    configErrors.push('BCU_RECORD: only applies to BCU_MODE=live');
+  }
+
+  return settings;
+}
+
+/** @type {Object|null} Configuration, loaded on first use */
+let loadedConfig = null;
+
+/**
+ * Get the configuration, loading it on first use
+ * @returns {Object} Configuration
+ */
+const getConfig = () => {
+  if (!loadedConfig) {
+    loadedConfig = loadConfig();
+  }
+  return loadedConfig;
 };
+
+/**
+ * Application configuration, loaded on first property access
+ */
+export const config = new Proxy(
+  {},
+  {
+    get: (target, key) => Reflect.get(getConfig(), key),
+    set: (target, key, value) => Reflect.set(getConfig(), key, value),
+    has: (target, key) => Reflect.has(getConfig(), key),
+    ownKeys: () => Reflect.ownKeys(getConfig()),
+    getOwnPropertyDescriptor: (target, key) =>
+      Reflect.getOwnPropertyDescriptor(getConfig(), key),
+  }
+);
+
+/**
+ * Throw if any setting was invalid
+ * @throws {ConfigError} Listing every invalid setting
+ */
+export function assertValidConfig() {
+  getConfig();
+  if (configErrors.length > 0) {
+    throw new ConfigError(configErrors);
+  }
+}
+
+/**
+ * Settings that hold credentials, by path (array items share their parent's
+ * path). Listed exactly: a name pattern would also hide settings such as
+ * `rateLimit.perApiKey`
+ */
+const SECRET_PATHS = new Set(['admin.token', 'auth.apiKeys.key']);
+
+/**
+ * Copy a configuration value with credentials replaced by '[redacted]'
+ * Secrets are listed in SECRET_PATHS, and passwords embedded in URLs are masked
+ *
+ * @param {*} value - Configuration value
+ * @param {string} [path] - Dotted path of the value in the configuration
+ * @returns {*} Redacted copy
+ */
+function redact(value, path = '') {
+  if (SECRET_PATHS.has(path) && value) {
+    return '[redacted]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, path));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, child]) => [
+        childKey,
+        redact(child, path ? `${path}.${childKey}` : childKey),
+      ])
+    );
+  }
+
+  if (typeof value === 'string' && /^https?:\/\/[^/]*:[^/]*@/.test(value)) {
+    const url = new URL(value);
+    url.password = 'redacted';
+    return url.toString();
+  }
+
+  return value;
+}
+
+/**
+ * Get the effective configuration with credentials redacted
+ * @returns {{config: Object, sources: Object<string, string>, configFile: string|null}}
+ *   Redacted configuration, the source of each setting and the config file used
+ */
+export function getRedactedConfig() {
+  return {
+    config: redact(getConfig()),
+    sources: { ...configSources },
+    configFile: process.env.CONFIG_FILE || null,
+  };
+}
@@ -8,10 +8,26 @@
  */
 
 import express from 'express';
-import { config } from './config/index.js';
+import { config, assertValidConfig } from './config/index.js';
 import { logger } from './utils/logger.js';
+import { listEndpoints } from './openapi/spec.js';
+import { abortInFlightRequests } from './utils/request-context.js';
+import {
+  startClosingWatcher,
+  stopClosingWatcher,
+} from './services/closing-watcher.js';
+import {
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+} from './services/webhook-service.js';
+import { getLastNotifiedClosingDate } from './services/webhook-store.js';
 import {
   corsMiddleware,
+  securityHeadersMiddleware,
+  apiKeyAuthMiddleware,
+  rateLimitMiddleware,
+  metricsMiddleware,
+  requestContextMiddleware,
   requestLoggingMiddleware,
   jsonParserMiddleware,
   errorHandlerMiddleware,
@@ -21,7 +37,15 @@ import {
 // Route imports
 import healthRoutes from './routes/health.js';
 import exchangeRateRoutes from './routes/exchange-rates.js';
+import rateRoutes from './routes/rates.js';
+import currencyRoutes from './routes/currencies.js';
+import convertRoutes from './routes/convert.js';
+import calendarRoutes from './routes/calendar.js';
 import legacyRoutes from './routes/legacy.js';
+import docsRoutes from './routes/docs.js';
+import metricsRoutes from './routes/metrics.js';
+import adminRoutes from './routes/admin.js';
+import webhookRoutes from './routes/webhooks.js';
 
 /**
  * Create and configure Express application
@@ -31,17 +55,31 @@ export function createApp() {
   const app = express();
 
   // Trust proxy for accurate client IP detection
-  app.set('trust proxy', 1);
+  app.set('trust proxy', config.server.trustProxy);
+  app.disable('x-powered-by');
 
   // Apply global middleware
+  app.use(securityHeadersMiddleware);
   app.use(corsMiddleware);
+  app.use(metricsMiddleware);
+  app.use(requestContextMiddleware);
   app.use(requestLoggingMiddleware);
+  app.use(apiKeyAuthMiddleware);
+  app.use(rateLimitMiddleware);
   app.use(jsonParserMiddleware);
 
   // Mount route handlers
   app.use('/', healthRoutes);
   app.use('/', exchangeRateRoutes);
+  app.use('/', rateRoutes);
+  app.use('/', currencyRoutes);
+  app.use('/', convertRoutes);
+  app.use('/', calendarRoutes);
+  app.use('/', webhookRoutes);
   app.use('/', legacyRoutes);
+  app.use('/', docsRoutes);
+  app.use('/', metricsRoutes);
+  app.use('/', adminRoutes);
 
   // Apply error handling middleware (must be last)
   app.use(notFoundMiddleware);
@@ -67,16 +105,32 @@ export function startServer(app) {
         `${config.app.name} v${config.app.version} listening on http://localhost:${config.server.port}`
       );
       logger.info(`Environment: ${config.server.env}`);
+      if (config.bcu.mode === 'fixture') {
+        logger.warn(
+          `BCU fixture mode: serving recorded data from ${config.bcu.fixturesDir}`
+        );
+      }
+      if (config.bcu.mode === 'replay') {
+        logger.warn(
+          `BCU replay mode: answering SOAP calls from ${config.bcu.recording.dir}`
+        );
+      }
+      if (config.bcu.recording.enabled) {
+        logger.warn(
+          `Recording BCU SOAP traffic to ${config.bcu.recording.dir}`
+        );
+      }
       logger.info('Available endpoints:');
-      logger.info('  GET /health');
-      logger.info('  GET /health/detailed');
-      logger.info('  GET /usd-rate?date=YYYY-MM-DD');
-      logger.info('  GET /usd-rate/latest');
+      for (const { endpoint } of listEndpoints()) {
+        logger.info(`  ${endpoint}`);
+      }
       logger.info('Legacy endpoints (deprecated):');
+      for (const { endpoint, summary } of listEndpoints({ deprecated: true })) {
+        logger.info(`  ${endpoint} → ${summary}`);
+      }
       logger.info(
-        '  GET /usd-billete?date=YYYY-MM-DD → redirects to /usd-rate'
+        `API documentation: http://localhost:${config.server.port}/docs`
       );
-      logger.info('  GET /usd-billete/latest → redirects to /usd-rate/latest');
 
       resolve(server);
     });
@@ -103,6 +157,12 @@ export function setupGracefulShutdown(server) {
   const shutdown = signal => {
     logger.info(`Received ${signal}, starting graceful shutdown...`);
 
+    // Stop background work, then cancel in-flight BCU calls so open
+    // requests finish promptly
+    stopClosingWatcher();
+    stopWebhookDispatcher();
+    abortInFlightRequests(signal);
+
     server.close(error => {
       if (error) {
         logger.error('Error during server shutdown', error);
@@ -130,8 +190,8 @@ export function setupGracefulShutdown(server) {
     shutdown('uncaughtException');
   });
 
-  process.on('unhandledRejection', (reason, promise) => {
-    logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  process.on('unhandledRejection', reason => {
+    logger.error('Unhandled Rejection', reason);
     shutdown('unhandledRejection');
   });
 }
@@ -142,6 +202,9 @@ export function setupGracefulShutdown(server) {
  */
 export async function bootstrap() {
   try {
+    // Fail fast on invalid settings
+    assertValidConfig();
+
     // Create Express application
     const app = createApp();
 
@@ -151,6 +214,12 @@ export async function bootstrap() {
     // Setup graceful shutdown
     setupGracefulShutdown(server);
 
+    // Watch for new BCU closings and notify webhooks
+    startWebhookDispatcher();
+    startClosingWatcher({
+      initialClosingDate: await getLastNotifiedClosingDate(),
+    });
+
     return server;
   } catch (error) {
     logger.error('Failed to start application', error);
@@ -3,22 +3,172 @@
  * Common middleware functions for the application
  */
 
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { AsyncResource } from 'node:async_hooks';
 import express from 'express';
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
+import {
+  RESPONSE_FORMATS,
+  resolveResponseFormat,
+} from '../utils/response-formatter.js';
+import { validateQuery } from '../utils/query-validator.js';
+import { createFixedWindowLimiter } from '../utils/rate-limiter.js';
+import {
+  runWithRequestContext,
+  shutdownSignal,
+} from '../utils/request-context.js';
+import {
+  httpRequestsTotal,
+  httpRequestDuration,
+  rateLimitedRequestsTotal,
+  getRouteLabel,
+} from '../utils/metrics.js';
+import { openApiDocument, listEndpoints } from '../openapi/spec.js';
+
+/**
+ * Convert an allowed origin (optionally with `*` wildcards) to a matcher
+ * e.g. https://*.example.com matches https://shop.example.com
+ *
+ * @param {string} pattern - Allowed origin
+ * @returns {RegExp} Origin matcher
+ */
+const toOriginMatcher = pattern =>
+  new RegExp(
+    `^${pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('[\\w.-]*')}$`,
+    'i'
+  );
+
+const allowAnyOrigin = config.cors.origins.includes('*');
+const originMatchers = config.cors.origins.map(toOriginMatcher);
+
+/**
+ * Check whether a request origin is allowed by CORS_ORIGINS
+ * @param {string} origin - Origin request header
+ * @returns {boolean} True if allowed
+ */
+const isAllowedOrigin = origin =>
+  allowAnyOrigin || originMatchers.some(matcher => matcher.test(origin));
+
+/**
+ * Collect the HTTP methods of every registered route
+ * @param {Object[]} stack - Express router stack
+ * @param {Set<string>} methods - Methods found so far
+ * @returns {Set<string>} Upper-case method names
+ */
+const collectRouteMethods = (stack, methods = new Set()) => {
+  for (const layer of stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method !== '_all') {
+          methods.add(method.toUpperCase());
+        }
+      }
+      if (layer.route.methods.get) {
+        methods.add('HEAD');
+      }
+    } else if (layer.handle?.stack) {
+      collectRouteMethods(layer.handle.stack, methods);
+    }
+  }
+  return methods;
+};
+
+/**
+ * Allowed methods, computed from the app's routes on the first request
+ * @type {string|null}
+ */
+let allowedMethods = null;
 
 /**
  * CORS Middleware
- * Enable Cross-Origin Resource Sharing for all routes
+ * Apply the configured CORS policy (CORS_ORIGINS, CORS_CREDENTIALS,
+ * CORS_MAX_AGE); preflight requests are answered here with the methods the
+ * app actually routes
  */
 export const corsMiddleware = (req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  const origin = req.get('Origin');
+  res.vary('Origin');
+
+  if (origin && isAllowedOrigin(origin)) {
+    // A credentialed response must name the origin, never '*'
+    res.header(
+      'Access-Control-Allow-Origin',
+      allowAnyOrigin && !config.cors.credentials ? '*' : origin
+    );
+    if (config.cors.credentials) {
+      res.header('Access-Control-Allow-Credentials', 'true');
+    }
+    res.header(
+      'Access-Control-Expose-Headers',
+      'X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After, Content-Disposition'
+    );
+  }
 
-  // Handle preflight requests
+  // Handle preflight requests (disallowed origins get no CORS headers)
   if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+    if (origin && isAllowedOrigin(origin)) {
+      allowedMethods ??= [
+        ...collectRouteMethods(req.app.router.stack),
+        'OPTIONS',
+      ].join(', ');
+      res.header('Access-Control-Allow-Methods', allowedMethods);
+      res.header(
+        'Access-Control-Allow-Headers',
+        `Content-Type, Authorization, X-Request-Id, ${config.auth.header}`
+      );
+      res.header('Access-Control-Max-Age', String(config.cors.maxAgeSeconds));
+    }
+    return res.status(204).end();
+  }
+
+  next();
+};
+
+/**
+ * Content Security Policy for API responses (JSON, CSV, NDJSON)
+ */
+const API_CONTENT_SECURITY_POLICY =
+  "default-src 'none'; frame-ancestors 'none'";
+
+/**
+ * Content Security Policy for the self-hosted Swagger UI at /docs
+ * (scripts, styles and the spec are same-origin; the UI uses inline styles
+ * and data: images)
+ */
+const DOCS_CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+/**
+ * Security Headers Middleware
+ * Standard hardening headers for browser clients
+ */
+export const securityHeadersMiddleware = (req, res, next) => {
+  res.set({
+    'Content-Security-Policy': /^\/docs(\/|$)/.test(req.path)
+      ? DOCS_CONTENT_SECURITY_POLICY
+      : API_CONTENT_SECURITY_POLICY,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+  });
+
+  // Browsers ignore HSTS over plain HTTP; behind a TLS proxy req.secure
+  // relies on TRUST_PROXY
+  if (req.secure) {
+    res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
   }
 
   next();
@@ -26,19 +176,78 @@ export const corsMiddleware = (req, res, next) => {
 
 /**
  * Request Logging Middleware
- * Log incoming requests (only in development)
+ * Log every completed request with its status and duration
+ * Must run after requestContextMiddleware so the entry carries the request ID
  */
 export const requestLoggingMiddleware = (req, res, next) => {
-  if (config.server.env === 'development') {
-    const start = Date.now();
+  const start = Date.now();
 
-    res.on('finish', () => {
-      const duration = Date.now() - start;
-      logger.info(
-        `${req.method} ${req.url} - ${res.statusCode} (${duration}ms)`
-      );
-    });
-  }
+  // 'finish' fires outside the request's async context, so bind it
+  res.on(
+    'finish',
+    AsyncResource.bind(() => {
+      logger.info(`${req.method} ${req.originalUrl} - ${res.statusCode}`, {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Date.now() - start,
+      });
+    })
+  );
+
+  next();
+};
+
+/**
+ * Accepted format for client-supplied request IDs
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request Context Middleware
+ * Give each request an ID and an abort signal, available to every function
+ * it calls (including log lines from the BCU service and SOAP client)
+ *
+ * - The ID is taken from a valid `X-Request-Id` header or generated, and is
+ *   echoed in the response header
+ * - The signal fires when the client disconnects before the response is sent,
+ *   or when the server shuts down, so in-flight BCU calls are cancelled
+ */
+export const requestContextMiddleware = (req, res, next) => {
+  const providedId = req.get('X-Request-Id');
+  const requestId = REQUEST_ID_PATTERN.test(providedId ?? '')
+    ? providedId
+    : randomUUID();
+  res.set('X-Request-Id', requestId);
+
+  const controller = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
+
+  const signal = AbortSignal.any([controller.signal, shutdownSignal]);
+  runWithRequestContext({ requestId, signal }, next);
+};
+
+/**
+ * Metrics Middleware
+ * Record HTTP request counts and latency by route template and status
+ */
+export const metricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: getRouteLabel(req),
+      status: res.statusCode,
+    };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
 
   next();
 };
@@ -52,11 +261,255 @@ export const jsonParserMiddleware = express.json({
   type: 'application/json',
 });
 
+/**
+ * Content Negotiation Middleware
+ * Resolve the response format (JSON, CSV or NDJSON) for record endpoints
+ * from the `format` query parameter or the Accept header
+ */
+export const contentNegotiationMiddleware = (req, res, next) => {
+  const format = resolveResponseFormat(req);
+
+  if (!format && req.query.format !== undefined) {
+    return res.status(400).json({
+      error: `Invalid format. Allowed values: ${Object.keys(RESPONSE_FORMATS).join(', ')}`,
+      provided: req.query.format,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (!format) {
+    return res.status(406).json({
+      error: `Not acceptable. Supported media types: ${Object.values(RESPONSE_FORMATS).join(', ')}`,
+      provided: req.get('Accept'),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.locals.format = format;
+  next();
+};
+
+/**
+ * Query Validation Middleware
+ * Validate query parameters against the OpenAPI operation for a path
+ *
+ * @param {string} path - OpenAPI path (e.g. '/rates/{currency}')
+ * @param {string} method - HTTP method (default: 'get')
+ * @returns {Function} Express middleware
+ */
+export const validateQueryMiddleware = (path, method = 'get') => {
+  const operation = openApiDocument.paths[path]?.[method];
+  if (!operation) {
+    throw new Error(`No OpenAPI operation defined for ${method} ${path}`);
+  }
+
+  const parameters = operation.parameters || [];
+
+  return (req, res, next) => {
+    const errors = validateQuery(parameters, req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: errors[0].message,
+        provided: errors[0].provided,
+        ...(errors.length > 1 && { errors }),
+        ...(operation['x-example'] && { example: operation['x-example'] }),
+        documentation: '/docs',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Paths exempt from API key authentication and rate limiting
+ * (probes, scrapers and documentation; /admin has its own token)
+ */
+const UNMETERED_PATH_PATTERN =
+  /^\/(health|metrics|docs|openapi\.json|admin)(\/|$)/;
+
+/**
+ * API keys by key value
+ */
+const apiKeysByValue = new Map(
+  config.auth.apiKeys.map(entry => [entry.key, entry])
+);
+
+/**
+ * API Key Auth Middleware
+ * Identify the client from the API key header
+ *
+ * - A valid key identifies the client as that key's name
+ * - An unknown key is rejected with 401
+ * - Without a key the client is anonymous (by IP), or rejected with 401
+ *   when AUTH_REQUIRED is set
+ *
+ * The client is stored in `res.locals.client` as `{ type, id, limit }`
+ */
+export const apiKeyAuthMiddleware = (req, res, next) => {
+  if (UNMETERED_PATH_PATTERN.test(req.path)) {
+    return next();
+  }
+
+  const providedKey = req.get(config.auth.header);
+
+  if (providedKey) {
+    const apiKey = apiKeysByValue.get(providedKey);
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        header: config.auth.header,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.locals.client = {
+      type: 'api-key',
+      id: apiKey.name,
+      limit: apiKey.limit ?? config.rateLimit.perApiKey,
+    };
+    return next();
+  }
+
+  if (config.auth.required) {
+    return res.status(401).json({
+      error: 'API key required',
+      header: config.auth.header,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.locals.client = {
+    type: 'anonymous',
+    id: req.ip,
+    limit: config.rateLimit.perIp,
+  };
+  next();
+};
+
+const rateLimiter = createFixedWindowLimiter({
+  windowMs: config.rateLimit.windowMs,
+});
+
+/**
+ * Rate Limit Middleware
+ * Apply the fixed-window quota of the client identified by
+ * apiKeyAuthMiddleware, reporting it in RateLimit-* headers
+ * Requests over the quota get 429 with Retry-After
+ */
+export const rateLimitMiddleware = (req, res, next) => {
+  const { client } = res.locals;
+  if (!client || client.limit === 0) {
+    return next();
+  }
+
+  const { allowed, limit, remaining, resetSeconds } = rateLimiter.consume(
+    `${client.type}:${client.id}`,
+    client.limit
+  );
+
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${Math.round(config.rateLimit.windowMs / 1000)}`,
+  });
+
+  if (!allowed) {
+    rateLimitedRequestsTotal.inc({ client_type: client.type });
+    logger.warn(`Rate limit exceeded for ${client.type} client ${client.id}`);
+
+    return res.status(429).set('Retry-After', String(resetSeconds)).json({
+      error: 'Rate limit exceeded',
+      limit,
+      retryAfter: resetSeconds,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require API Key Middleware
+ * Reject anonymous clients for endpoints whose resources belong to a client
+ * (e.g. webhooks); in development anonymous clients are allowed
+ * Must run after apiKeyAuthMiddleware
+ */
+export const requireApiKeyMiddleware = (req, res, next) => {
+  if (
+    res.locals.client?.type === 'api-key' ||
+    config.server.env === 'development'
+  ) {
+    return next();
+  }
+
+  return res.status(401).json({
+    error: 'API key required',
+    header: config.auth.header,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Admin Auth Middleware
+ * Require `Authorization: Bearer <ADMIN_TOKEN>` for admin endpoints
+ * Without a configured token they are only available in development
+ */
+export const adminAuthMiddleware = (req, res, next) => {
+  const { token } = config.admin;
+
+  if (!token) {
+    if (config.server.env === 'development') {
+      return next();
+    }
+    return res.status(403).json({
+      error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const provided = Buffer.from(
+    (req.get('Authorization') || '').replace(/^Bearer\s+/i, '')
+  );
+  const expected = Buffer.from(token);
+
+  if (
+    provided.length !== expected.length ||
+    !timingSafeEqual(provided, expected)
+  ) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+      error: 'Invalid or missing admin token',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
 /**
  * Error Handler Middleware
  * Global error handling for unhandled errors
+ * Client errors raised by middleware (e.g. body-parser's malformed or
+ * oversized JSON) keep their 4xx status and never expose the stack
  */
 export const errorHandlerMiddleware = (error, req, res, _next) => {
+  const status = error.status ?? error.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    logger.warn('Rejected client request', {
+      path: req.path,
+      status,
+      type: error.type,
+    });
+    return res.status(status).json({
+      error: error.expose ? error.message : 'Invalid request',
+      ...(error.type && { type: error.type }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   logger.error('Unhandled application error', error);
 
   // Don't send error details in production
@@ -81,11 +534,8 @@ export const notFoundMiddleware = (req, res) => {
     error: 'Endpoint not found',
     path: req.path,
     method: req.method,
-    availableEndpoints: [
-      'GET /health',
-      'GET /usd-rate?date=YYYY-MM-DD',
-      'GET /usd-rate/latest',
-    ],
+    availableEndpoints: listEndpoints().map(({ endpoint }) => endpoint),
+    documentation: '/docs',
     timestamp: new Date().toISOString(),
   });
 };
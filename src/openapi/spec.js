@@ -0,0 +1,937 @@
+/**
+ * OpenAPI Specification
+ * Single source of truth for the public HTTP API
+ *
+ * The document is served at /openapi.json, rendered at /docs, used to
+ * validate query parameters (see validateQueryMiddleware) and to list
+ * available endpoints in startup logs and 404 responses.
+ */
+
+import { config } from '../config/index.js';
+import { ROUNDING_MODES } from '../utils/decimal.js';
+import { STATS_INTERVALS } from '../services/stats-service.js';
+
+/**
+ * Build a YYYY-MM-DD query parameter
+ * @param {string} name - Parameter name
+ * @param {boolean} required - Whether the parameter is required
+ * @param {string} description - Parameter description
+ * @returns {Object} OpenAPI parameter object
+ */
+const dateParameter = (name, required, description) => ({
+  name,
+  in: 'query',
+  required,
+  description,
+  schema: { type: 'string', format: 'date', example: '2025-09-12' },
+});
+
+const formatParameter = {
+  name: 'format',
+  in: 'query',
+  required: false,
+  description:
+    'Response format override (takes precedence over the Accept header)',
+  schema: { type: 'string', enum: ['json', 'csv', 'ndjson'] },
+};
+
+const fallbackParameter = {
+  name: 'fallback',
+  in: 'query',
+  required: false,
+  description: `Use the nearest published rate within ${config.bcu.fallbackWindowDays} days before (previous) or after (next) the date when it has none`,
+  schema: {
+    type: 'string',
+    enum: ['previous', 'next', 'none'],
+    default: 'none',
+  },
+};
+
+const rangeParameters = [
+  dateParameter('from', true, 'Start date (inclusive)'),
+  dateParameter('to', true, 'End date (inclusive)'),
+];
+
+const currencyPathParameter = {
+  name: 'currency',
+  in: 'path',
+  required: true,
+  description:
+    'ISO code (EUR), ISO code with qualifier (USD-FONDO), BCU code (2225) or currency name',
+  schema: { type: 'string', example: 'EUR' },
+};
+
+/**
+ * Build a JSON response with CSV / NDJSON alternatives
+ * @param {string} description - Response description
+ * @param {string} schemaName - Component schema name for the JSON body
+ * @returns {Object} OpenAPI response object
+ */
+const recordResponse = (description, schemaName) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: { $ref: `#/components/schemas/${schemaName}` },
+    },
+    'text/csv': { schema: { type: 'string' } },
+    'application/x-ndjson': { schema: { type: 'string' } },
+  },
+});
+
+/**
+ * Build an error response
+ * @param {string} description - Response description
+ * @returns {Object} OpenAPI response object
+ */
+const errorResponse = description => ({
+  description,
+  content: {
+    'application/json': { schema: { $ref: '#/components/schemas/Error' } },
+  },
+});
+
+/**
+ * Build a JSON-only response
+ * @param {string} description - Response description
+ * @param {string} schemaName - Component schema name
+ * @returns {Object} OpenAPI response object
+ */
+const jsonResponse = (description, schemaName) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: { $ref: `#/components/schemas/${schemaName}` },
+    },
+  },
+});
+
+const webhookIdParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Webhook ID',
+  schema: { type: 'string', format: 'uuid' },
+};
+
+const standardErrors = {
+  400: errorResponse('Invalid query parameters'),
+  401: errorResponse('Invalid API key, or API key required'),
+  429: errorResponse('Rate limit exceeded (see Retry-After)'),
+  500: errorResponse('BCU web service error'),
+  503: errorResponse(
+    'BCU web service unavailable (circuit breaker open, see Retry-After)'
+  ),
+  504: errorResponse('BCU web service did not respond in time'),
+};
+
+/**
+ * Errors of endpoints with CSV / NDJSON output
+ */
+const recordErrors = {
+  ...standardErrors,
+  406: errorResponse('The Accept header allows none of the response formats'),
+};
+
+export const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: config.app.name,
+    version: config.app.version,
+    description:
+      'Exchange rates published by the Central Bank of Uruguay (BCU), served as a REST API.',
+    license: { name: 'MIT' },
+  },
+  tags: [
+    { name: 'Exchange Rates', description: 'USD billete shortcuts' },
+    { name: 'Currencies', description: 'Any BCU-published currency' },
+    { name: 'Tools', description: 'Conversion and banking calendar' },
+    {
+      name: 'Webhooks',
+      description:
+        'Notifications of newly published closings (API key required)',
+    },
+    { name: 'System', description: 'Health checks and documentation' },
+    { name: 'Admin', description: 'Operational endpoints (admin token)' },
+    { name: 'Legacy', description: 'Deprecated redirects' },
+  ],
+  // API key is optional unless AUTH_REQUIRED is set
+  security: config.auth.required ? [{ apiKey: [] }] : [{ apiKey: [] }, {}],
+  paths: {
+    '/usd-rate': {
+      get: {
+        tags: ['Exchange Rates'],
+        summary: 'Get USD buy/sell rates for a specific date',
+        'x-example': '/usd-rate?date=2025-08-28',
+        parameters: [
+          dateParameter('date', true, 'Rate date'),
+          fallbackParameter,
+          formatParameter,
+        ],
+        responses: {
+          200: recordResponse('Exchange rate', 'DatedExchangeRate'),
+          ...recordErrors,
+          404: errorResponse('No rate published for the date'),
+        },
+      },
+    },
+    '/usd-rate/latest': {
+      get: {
+        tags: ['Exchange Rates'],
+        summary: 'Get the latest available USD exchange rate',
+        parameters: [formatParameter],
+        responses: {
+          200: recordResponse('Latest exchange rate', 'LatestExchangeRate'),
+          ...recordErrors,
+          404: errorResponse('No recent rate available'),
+        },
+      },
+    },
+    '/usd-rate/stream': {
+      get: {
+        tags: ['Exchange Rates'],
+        summary: 'Stream new USD closings (Server-Sent Events)',
+        description:
+          "Sends the latest rate on connect, then a `rate` event for every newly published closing. Event IDs are closing dates: reconnecting with `Last-Event-ID` replays the closings missed since that date. A `: heartbeat` comment is sent periodically; an `error` event is sent when the latest rate can't be fetched on connect.",
+        parameters: [
+          {
+            name: 'Last-Event-ID',
+            in: 'header',
+            required: false,
+            description: 'Last received closing date (sent by EventSource)',
+            schema: { type: 'string', format: 'date' },
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Event stream',
+            content: {
+              'text/event-stream': {
+                schema: { type: 'string' },
+                example:
+                  'id: 2025-01-15\nevent: rate\ndata: {"currency":"DLS. USA BILLETE","date":"2025-01-15","isoCode":"USD","issuer":"INTERBANCARIO","buyRate":43.1,"sellRate":43.1,"stale":false,"timestamp":"2025-01-16T18:05:00.000Z"}\n\n',
+              },
+            },
+          },
+          ...standardErrors,
+          503: errorResponse('Too many stream clients'),
+        },
+      },
+    },
+    '/usd-rate/range': {
+      get: {
+        tags: ['Exchange Rates'],
+        summary: 'Get daily USD rates for a date range (single BCU call)',
+        'x-example': '/usd-rate/range?from=2025-08-01&to=2025-08-31',
+        parameters: [...rangeParameters, formatParameter],
+        responses: {
+          200: recordResponse('Rates ordered by date', 'ExchangeRateRange'),
+          ...recordErrors,
+        },
+      },
+    },
+    '/usd-rate/stats': {
+      get: {
+        tags: ['Exchange Rates'],
+        summary: 'Get USD rate statistics per period',
+        'x-example':
+          '/usd-rate/stats?from=2025-01-01&to=2025-06-30&interval=month',
+        parameters: [
+          ...rangeParameters,
+          {
+            name: 'interval',
+            in: 'query',
+            required: false,
+            description: 'Aggregation period',
+            schema: {
+              type: 'string',
+              enum: STATS_INTERVALS,
+              default: 'month',
+            },
+          },
+          formatParameter,
+        ],
+        responses: {
+          200: recordResponse('Statistics per period', 'RateStatistics'),
+          ...recordErrors,
+        },
+      },
+    },
+    '/rates/{currency}': {
+      get: {
+        tags: ['Currencies'],
+        summary: 'Get rates for any currency on a specific date',
+        'x-example': '/rates/EUR?date=2025-08-28',
+        parameters: [
+          currencyPathParameter,
+          dateParameter('date', true, 'Rate date'),
+          fallbackParameter,
+          formatParameter,
+        ],
+        responses: {
+          200: recordResponse('Exchange rate', 'DatedExchangeRate'),
+          ...recordErrors,
+          404: errorResponse('Unknown currency or no rate for the date'),
+          502: errorResponse('BCU published a zero rate for a currency'),
+        },
+      },
+    },
+    '/rates/{currency}/latest': {
+      get: {
+        tags: ['Currencies'],
+        summary: 'Get the latest available rate for any currency',
+        parameters: [currencyPathParameter, formatParameter],
+        responses: {
+          200: recordResponse('Latest exchange rate', 'LatestExchangeRate'),
+          ...recordErrors,
+          404: errorResponse('Unknown currency or no recent rate'),
+        },
+      },
+    },
+    '/currencies': {
+      get: {
+        tags: ['Currencies'],
+        summary: 'List currencies published by BCU',
+        'x-example': '/currencies?group=2',
+        parameters: [
+          {
+            name: 'group',
+            in: 'query',
+            required: false,
+            description: 'BCU currency group (2 = Local Exchange Rates)',
+            schema: {
+              type: 'integer',
+              minimum: 0,
+              default: config.bcu.localExchangeRatesGroup,
+            },
+          },
+          formatParameter,
+        ],
+        responses: {
+          200: recordResponse('Currency catalog', 'CurrencyCatalog'),
+          ...recordErrors,
+        },
+      },
+    },
+    '/convert': {
+      get: {
+        tags: ['Tools'],
+        summary: 'Convert an amount between currencies at BCU buy/sell rates',
+        'x-example': '/convert?amount=1234.56&from=USD&to=UYU&date=2025-09-12',
+        parameters: [
+          {
+            name: 'amount',
+            in: 'query',
+            required: true,
+            description: 'Plain decimal amount (no thousands separators)',
+            schema: {
+              type: 'string',
+              pattern: '^-?\\d+(\\.\\d+)?$',
+              example: '1234.56',
+            },
+          },
+          {
+            name: 'from',
+            in: 'query',
+            required: true,
+            description: 'Source currency (UYU or any /rates identifier)',
+            schema: { type: 'string', example: 'USD' },
+          },
+          {
+            name: 'to',
+            in: 'query',
+            required: true,
+            description: 'Target currency (UYU or any /rates identifier)',
+            schema: { type: 'string', example: 'UYU' },
+          },
+          dateParameter('date', false, 'Rate date (latest when omitted)'),
+          {
+            name: 'side',
+            in: 'query',
+            required: false,
+            description: 'BCU rate side',
+            schema: {
+              type: 'string',
+              enum: ['buy', 'sell'],
+              default: config.conversion.defaultSide,
+            },
+          },
+          {
+            name: 'precision',
+            in: 'query',
+            required: false,
+            description: 'Fraction digits of the result',
+            schema: {
+              type: 'integer',
+              minimum: 0,
+              maximum: config.conversion.maxPrecision,
+              default: config.conversion.defaultPrecision,
+            },
+          },
+          {
+            name: 'rounding',
+            in: 'query',
+            required: false,
+            description: 'Rounding mode',
+            schema: {
+              type: 'string',
+              enum: ROUNDING_MODES,
+              default: config.conversion.defaultRounding,
+            },
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Conversion result',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Conversion' },
+              },
+            },
+          },
+          ...standardErrors,
+          404: errorResponse('Unknown currency or no rate for the date'),
+          502: errorResponse('BCU published a zero rate for a currency'),
+        },
+      },
+    },
+    '/calendar/business-days': {
+      get: {
+        tags: ['Tools'],
+        summary: 'List Uruguayan banking business days in a range',
+        'x-example': '/calendar/business-days?from=2025-04-01&to=2025-04-30',
+        parameters: [...rangeParameters, formatParameter],
+        responses: {
+          200: recordResponse('Calendar days', 'BusinessDays'),
+          400: errorResponse('Invalid query parameters'),
+          406: recordErrors[406],
+        },
+      },
+    },
+    '/webhooks': {
+      get: {
+        tags: ['Webhooks'],
+        summary: "List the client's webhooks",
+        responses: {
+          200: jsonResponse('Webhooks', 'WebhookList'),
+          401: errorResponse('API key required'),
+        },
+      },
+      post: {
+        tags: ['Webhooks'],
+        summary: 'Register a webhook for newly published closings',
+        description:
+          'Deliveries are POSTed with X-Webhook-Timestamp and X-Webhook-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`). Failed deliveries are retried with exponential backoff. Callback URLs must resolve to public addresses.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/WebhookRegistration' },
+            },
+          },
+        },
+        responses: {
+          201: jsonResponse(
+            'Webhook created; the signing secret is only returned here',
+            'Webhook'
+          ),
+          400: errorResponse(
+            'Invalid registration, non-public callback URL or unknown currency'
+          ),
+          401: errorResponse('API key required'),
+          409: errorResponse('Webhook limit reached for this client'),
+        },
+      },
+    },
+    '/webhooks/{id}': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'Get a webhook',
+        parameters: [webhookIdParameter],
+        responses: {
+          200: jsonResponse('Webhook', 'Webhook'),
+          404: errorResponse('Webhook not found'),
+        },
+      },
+      delete: {
+        tags: ['Webhooks'],
+        summary: 'Delete a webhook and its delivery records',
+        parameters: [webhookIdParameter],
+        responses: {
+          204: { description: 'Webhook deleted' },
+          404: errorResponse('Webhook not found'),
+        },
+      },
+    },
+    '/webhooks/{id}/deliveries': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'Delivery status and attempts of a webhook, newest first',
+        parameters: [webhookIdParameter],
+        responses: {
+          200: jsonResponse('Delivery records', 'WebhookDeliveryList'),
+          404: errorResponse('Webhook not found'),
+        },
+      },
+    },
+    '/health': {
+      get: {
+        tags: ['System'],
+        security: [],
+        summary: 'Basic health check',
+        responses: { 200: { description: 'Service is running' } },
+      },
+    },
+    '/health/live': {
+      get: {
+        tags: ['System'],
+        security: [],
+        summary: 'Liveness probe (does not check BCU)',
+        responses: { 200: { description: 'Process is alive' } },
+      },
+    },
+    '/health/ready': {
+      get: {
+        tags: ['System'],
+        security: [],
+        summary: 'Readiness probe',
+        description:
+          'Reports BCU WSDL reachability (cached), the age of the last successful BCU call and circuit breaker states. Failing BCU checks set the status to degraded; they only cause a 503 with HEALTH_READY_REQUIRES_BCU=true.',
+        responses: {
+          200: jsonResponse(
+            'Ready to serve traffic (possibly degraded)',
+            'Readiness'
+          ),
+          503: jsonResponse(
+            'Shutting down, or degraded with HEALTH_READY_REQUIRES_BCU',
+            'Readiness'
+          ),
+        },
+      },
+    },
+    '/health/detailed': {
+      get: {
+        tags: ['System'],
+        security: [],
+        summary: 'Detailed system health information',
+        responses: { 200: { description: 'Service and system details' } },
+      },
+    },
+    '/metrics': {
+      get: {
+        tags: ['System'],
+        security: [],
+        summary: 'Prometheus metrics',
+        responses: {
+          200: {
+            description: 'Metrics in Prometheus text exposition format',
+            content: { 'text/plain': { schema: { type: 'string' } } },
+          },
+        },
+      },
+    },
+    '/admin/config': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Effective configuration with credentials redacted',
+        description:
+          'Requires the ADMIN_TOKEN bearer token (open in development when no token is set)',
+        security: [{ adminToken: [] }],
+        responses: {
+          200: {
+            description:
+              'Configuration, the source of each setting (env, file or default) and the config file used',
+          },
+          401: errorResponse('Invalid or missing admin token'),
+          403: errorResponse('Admin endpoints disabled (no ADMIN_TOKEN)'),
+        },
+      },
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['System'],
+        security: [],
+        summary: 'OpenAPI specification',
+        responses: { 200: { description: 'This document' } },
+      },
+    },
+    '/docs': {
+      get: {
+        tags: ['System'],
+        security: [],
+        summary: 'Interactive API documentation',
+        responses: { 200: { description: 'Swagger UI page' } },
+      },
+    },
+    '/usd-billete': {
+      get: {
+        tags: ['Legacy'],
+        summary: 'Redirects to /usd-rate',
+        deprecated: true,
+        parameters: [dateParameter('date', false, 'Rate date')],
+        responses: { 301: { description: 'Redirect to /usd-rate' } },
+      },
+    },
+    '/usd-billete/latest': {
+      get: {
+        tags: ['Legacy'],
+        summary: 'Redirects to /usd-rate/latest',
+        deprecated: true,
+        responses: { 301: { description: 'Redirect to /usd-rate/latest' } },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: config.auth.header },
+      adminToken: { type: 'http', scheme: 'bearer' },
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error', 'timestamp'],
+        properties: {
+          error: { type: 'string' },
+          provided: {},
+          example: { type: 'string' },
+          suggestion: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      ExchangeRate: {
+        type: 'object',
+        properties: {
+          currency: { type: 'string', example: 'DLS. USA BILLETE' },
+          date: { type: 'string', format: 'date' },
+          isoCode: { type: 'string', example: 'USD' },
+          issuer: { type: 'string' },
+          buyRate: { type: 'number', example: 39.9 },
+          sellRate: { type: 'number', example: 40.1 },
+          source: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      LatestExchangeRate: {
+        allOf: [
+          { $ref: '#/components/schemas/ExchangeRate' },
+          {
+            type: 'object',
+            properties: {
+              stale: {
+                type: 'boolean',
+                description:
+                  'True when BCU is unreachable and the last known good rate is served',
+              },
+              ageSeconds: {
+                type: 'integer',
+                description: 'Age of a stale rate (only when stale)',
+              },
+              fetchedAt: {
+                type: 'string',
+                format: 'date-time',
+                description: 'When a stale rate was fetched (only when stale)',
+              },
+            },
+          },
+        ],
+      },
+      DatedExchangeRate: {
+        allOf: [
+          { $ref: '#/components/schemas/ExchangeRate' },
+          {
+            type: 'object',
+            properties: {
+              requestedDate: { type: 'string', format: 'date' },
+              fallback: { type: 'string', enum: ['previous', 'next', 'none'] },
+              fallbackApplied: { type: 'boolean' },
+            },
+          },
+        ],
+      },
+      ExchangeRateRange: {
+        type: 'object',
+        properties: {
+          currency: { type: 'string' },
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          count: { type: 'integer' },
+          rates: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                date: { type: 'string', format: 'date' },
+                isoCode: { type: 'string' },
+                issuer: { type: 'string' },
+                buyRate: { type: 'number' },
+                sellRate: { type: 'number' },
+              },
+            },
+          },
+          source: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            enum: ['ready', 'degraded', 'shutting-down'],
+          },
+          checks: {
+            type: 'object',
+            description:
+              'bcuReachability, lastFetch and circuitBreakers, each with status pass or fail',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                status: { type: 'string', enum: ['pass', 'fail'] },
+              },
+            },
+          },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      WebhookRegistration: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          url: {
+            type: 'string',
+            format: 'uri',
+            example: 'https://example.com/hooks/bcu',
+          },
+          currencies: {
+            type: 'array',
+            items: { type: 'string' },
+            default: ['USD'],
+            example: ['USD', 'EUR'],
+          },
+          description: { type: 'string', maxLength: 200 },
+        },
+      },
+      Webhook: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          url: { type: 'string', format: 'uri' },
+          currencies: { type: 'array', items: { type: 'string' } },
+          description: { type: 'string', nullable: true },
+          owner: { type: 'string' },
+          secret: {
+            type: 'string',
+            description: 'HMAC signing secret (only in the 201 response)',
+          },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      WebhookList: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          webhooks: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/Webhook' },
+          },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      WebhookDeliveryList: {
+        type: 'object',
+        properties: {
+          webhookId: { type: 'string', format: 'uuid' },
+          count: { type: 'integer' },
+          deliveries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                event: { type: 'string', example: 'closing.published' },
+                date: { type: 'string', format: 'date' },
+                status: {
+                  type: 'string',
+                  enum: ['pending', 'delivered', 'failed'],
+                },
+                nextAttemptAt: { type: 'string', format: 'date-time' },
+                attempts: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      at: { type: 'string', format: 'date-time' },
+                      statusCode: { type: 'integer', nullable: true },
+                      error: { type: 'string' },
+                      durationMs: { type: 'integer' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      RateSummary: {
+        type: 'object',
+        properties: {
+          average: { type: 'number' },
+          min: { type: 'number' },
+          max: { type: 'number' },
+          first: { type: 'number' },
+          last: { type: 'number' },
+          changePercent: { type: 'number', nullable: true },
+          standardDeviation: { type: 'number' },
+        },
+      },
+      RateStatistics: {
+        type: 'object',
+        properties: {
+          currency: { type: 'string' },
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          interval: { type: 'string', enum: STATS_INTERVALS },
+          count: { type: 'integer' },
+          periods: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                period: { type: 'string', example: '2025-09' },
+                start: { type: 'string', format: 'date' },
+                end: { type: 'string', format: 'date' },
+                count: { type: 'integer' },
+                firstDate: { type: 'string', format: 'date' },
+                lastDate: { type: 'string', format: 'date' },
+                buy: { $ref: '#/components/schemas/RateSummary' },
+                sell: { $ref: '#/components/schemas/RateSummary' },
+              },
+            },
+          },
+          source: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      CurrencyCatalog: {
+        type: 'object',
+        properties: {
+          group: { type: 'integer' },
+          count: { type: 'integer' },
+          currencies: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                code: { type: 'integer', example: 2225 },
+                name: { type: 'string', example: 'DLS. USA BILLETE' },
+                isoCode: { type: 'string', nullable: true, example: 'USD' },
+                group: { type: 'integer', example: 2 },
+              },
+            },
+          },
+          source: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      Conversion: {
+        type: 'object',
+        properties: {
+          amount: { type: 'string', example: '1234.56' },
+          from: { type: 'string', example: 'USD' },
+          to: { type: 'string', example: 'UYU' },
+          result: { type: 'string', example: '49258.94' },
+          side: { type: 'string', enum: ['buy', 'sell'] },
+          requestedDate: { type: 'string', format: 'date', nullable: true },
+          rates: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                currency: { type: 'string' },
+                isoCode: { type: 'string' },
+                date: { type: 'string', format: 'date', nullable: true },
+                rate: { type: 'number' },
+              },
+            },
+          },
+          rounding: {
+            type: 'object',
+            properties: {
+              mode: { type: 'string', enum: ROUNDING_MODES },
+              precision: { type: 'integer' },
+            },
+          },
+          source: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      BusinessDays: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          totalDays: { type: 'integer' },
+          businessDayCount: { type: 'integer' },
+          businessDays: {
+            type: 'array',
+            items: { type: 'string', format: 'date' },
+          },
+          days: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                date: { type: 'string', format: 'date' },
+                weekday: { type: 'string' },
+                isBusinessDay: { type: 'boolean' },
+                reason: {
+                  type: 'string',
+                  enum: ['weekend', 'holiday'],
+                  nullable: true,
+                },
+                holiday: { type: 'string', nullable: true },
+              },
+            },
+          },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * List documented endpoints as "METHOD /path" strings
+ * Path templates use Express syntax (/rates/:currency) and required query
+ * parameters are appended (e.g. "GET /usd-rate?date=YYYY-MM-DD")
+ *
+ * @param {Object} options - Listing options
+ * @param {boolean} options.deprecated - List deprecated (true) or current (false) endpoints
+ * @returns {Array<{endpoint: string, summary: string}>} Endpoints in document order
+ */
+export function listEndpoints({ deprecated = false } = {}) {
+  const endpoints = [];
+
+  for (const [path, operations] of Object.entries(openApiDocument.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      if (Boolean(operation.deprecated) !== deprecated) {
+        continue;
+      }
+
+      const query = (operation.parameters || [])
+        .filter(parameter => parameter.in === 'query' && parameter.required)
+        .map(
+          parameter =>
+            `${parameter.name}=${parameter.schema.format === 'date' ? 'YYYY-MM-DD' : parameter.schema.example || 'value'}`
+        )
+        .join('&');
+
+      endpoints.push({
+        endpoint: `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}${query ? `?${query}` : ''}`,
+        summary: operation.summary,
+      });
+    }
+  }
+
+  return endpoints;
+}
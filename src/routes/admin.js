@@ -0,0 +1,23 @@
+/**
+ * Admin Routes
+ * Operational endpoints protected by the admin token
+ */
+
+import { Router } from 'express';
+import { getRedactedConfig } from '../config/index.js';
+import { adminAuthMiddleware } from '../middleware/index.js';
+
+const router = Router();
+
+/**
+ * GET /admin/config
+ * Effective configuration with credentials redacted
+ */
+router.get('/admin/config', adminAuthMiddleware, (req, res) => {
+  res.json({
+    ...getRedactedConfig(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+export default router;
@@ -0,0 +1,77 @@
+/**
+ * Banking Calendar Routes
+ * Business day queries based on the Uruguayan banking calendar
+ */
+
+import { Router } from 'express';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { validateDateRange } from '../utils/helpers.js';
+import { getCalendarDays } from '../services/calendar.js';
+import {
+  contentNegotiationMiddleware,
+  validateQueryMiddleware,
+} from '../middleware/index.js';
+import { sendFormatted } from '../utils/response-formatter.js';
+
+const router = Router();
+
+/**
+ * GET /calendar/business-days?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * List each day in a range with its business day status
+ */
+router.get(
+  '/calendar/business-days',
+  validateQueryMiddleware('/calendar/business-days'),
+  contentNegotiationMiddleware,
+  (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const example = '/calendar/business-days?from=2025-04-01&to=2025-04-30';
+
+      // Validate range ordering and length (formats are checked by the schema)
+      const range = validateDateRange(from, to, config.bcu.maxRangeDays);
+      if (range.error) {
+        return res.status(400).json({
+          error: range.error,
+          provided: range.provided,
+          example,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { fromISO, toISO, days: totalDays } = range;
+      const days = getCalendarDays(fromISO, toISO);
+      const businessDays = days
+        .filter(day => day.isBusinessDay)
+        .map(day => day.date);
+
+      return sendFormatted(req, res, {
+        json: {
+          from: fromISO,
+          to: toISO,
+          totalDays,
+          businessDayCount: businessDays.length,
+          businessDays,
+          days,
+          timestamp: new Date().toISOString(),
+        },
+        records: days,
+        columns: ['date', 'weekday', 'isBusinessDay', 'reason', 'holiday'],
+        filename: `business-days-${fromISO}_${toISO}`,
+      });
+    } catch (error) {
+      logger.error('Error in /calendar/business-days endpoint', error);
+
+      // Return different error details based on environment
+      const isDevelopment = config.server.env === 'development';
+      return res.status(500).json({
+        error: 'Internal server error while computing business days',
+        ...(isDevelopment && { details: error.message }),
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,188 @@
+/**
+ * Currency Conversion Routes
+ * Convert amounts between UYU and BCU-published currencies
+ */
+
+import { Router } from 'express';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { normalizeString } from '../utils/helpers.js';
+import { validateQueryMiddleware } from '../middleware/index.js';
+import { recordNoData } from '../utils/metrics.js';
+import { explainMissingRate } from '../services/calendar.js';
+import {
+  parseDecimal,
+  multiply,
+  divide,
+  formatDecimal,
+} from '../utils/decimal.js';
+import {
+  resolveCurrency,
+  getExchangeRateByDate,
+  getLatestExchangeRate,
+} from '../services/bcu-service.js';
+import { UpstreamError, sendUpstreamError } from '../utils/errors.js';
+
+const router = Router();
+
+/**
+ * Resolve the UYU rate of a currency for the conversion
+ * UYU itself always has a rate of 1
+ *
+ * @param {string} identifier - Currency identifier (ISO code, BCU code or name)
+ * @param {string} side - Rate side ('buy' or 'sell')
+ * @param {string|null} dateISO - Date in YYYY-MM-DD format, or null for latest
+ * @returns {Promise<Object>} `{ currency }` when the currency is unknown,
+ *   `{ currency, exchangeRate: null }` when no rate is published,
+ *   otherwise the rate leg used for the conversion
+ */
+async function resolveRateLeg(identifier, side, dateISO) {
+  if (normalizeString(identifier) === config.conversion.baseCurrency) {
+    return {
+      currency: { name: 'PESO URUGUAYO', isoCode: 'UYU', code: null },
+      exchangeRate: { date: dateISO, rate: 1 },
+    };
+  }
+
+  const currency = await resolveCurrency(identifier);
+  if (!currency) {
+    return { currency: null };
+  }
+
+  const exchangeRate = dateISO
+    ? await getExchangeRateByDate(currency.code, dateISO)
+    : await getLatestExchangeRate(currency.code);
+
+  if (!exchangeRate) {
+    return { currency, exchangeRate: null };
+  }
+
+  return {
+    currency,
+    exchangeRate: {
+      date: exchangeRate.date,
+      rate: side === 'buy' ? exchangeRate.buyRate : exchangeRate.sellRate,
+    },
+  };
+}
+
+/**
+ * GET /convert?amount=&from=&to=&date=&side=buy|sell&precision=&rounding=
+ * Convert an amount between currencies using BCU buy or sell rates
+ */
+router.get(
+  '/convert',
+  validateQueryMiddleware('/convert'),
+  async (req, res) => {
+    try {
+      // Query parameters are validated against the OpenAPI schema
+      const { amount, from, to } = req.query;
+      const side = req.query.side || config.conversion.defaultSide;
+      const rounding = req.query.rounding || config.conversion.defaultRounding;
+      const precision = Number(
+        req.query.precision || config.conversion.defaultPrecision
+      );
+      const dateISO = req.query.date || null;
+
+      logger.debug(
+        `Converting ${amount} ${from} to ${to} (${side}, ${dateISO || 'latest'})`
+      );
+
+      // Resolve both legs: amount → UYU → target currency
+      const legs = [];
+      for (const identifier of [from, to]) {
+        const leg = await resolveRateLeg(identifier, side, dateISO);
+
+        if (!leg.currency) {
+          return res.status(404).json({
+            error: 'Currency not found',
+            provided: identifier,
+            suggestion: 'See GET /currencies for the available currencies',
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        if (!leg.exchangeRate) {
+          recordNoData(req);
+          return res.status(404).json({
+            error: dateISO
+              ? 'No exchange rate available for the specified date'
+              : 'Unable to determine the latest exchange rate',
+            currency: leg.currency.name,
+            ...(dateISO && { date: dateISO, ...explainMissingRate(dateISO) }),
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        // A zero rate (e.g. a side BCU does not quote) cannot convert amounts
+        if (!(leg.exchangeRate.rate > 0)) {
+          logger.warn(
+            `Unusable ${side} rate for ${leg.currency.name}`,
+            leg.exchangeRate
+          );
+          return res.status(502).json({
+            error: `BCU published no usable ${side} rate for this currency`,
+            currency: leg.currency.name,
+            date: leg.exchangeRate.date,
+            rate: leg.exchangeRate.rate,
+            timestamp: new Date().toISOString(),
+          });
+        }
+
+        legs.push(leg);
+      }
+
+      // The UYU leg has no rate date of its own: it is valid on the date of
+      // the other leg (null only when converting UYU to UYU)
+      for (const [index, leg] of legs.entries()) {
+        leg.exchangeRate.date ??= legs[1 - index].exchangeRate.date;
+      }
+
+      const [fromLeg, toLeg] = legs;
+      const amountInBase = multiply(
+        parseDecimal(amount),
+        parseDecimal(fromLeg.exchangeRate.rate)
+      );
+      const result = divide(
+        amountInBase,
+        parseDecimal(toLeg.exchangeRate.rate),
+        precision,
+        rounding
+      );
+
+      return res.json({
+        amount,
+        from: fromLeg.currency.isoCode || fromLeg.currency.name,
+        to: toLeg.currency.isoCode || toLeg.currency.name,
+        result: formatDecimal(result),
+        side,
+        requestedDate: dateISO,
+        rates: legs.map(({ currency, exchangeRate }) => ({
+          currency: currency.name,
+          isoCode: currency.isoCode,
+          date: exchangeRate.date,
+          rate: exchangeRate.rate,
+        })),
+        rounding: { mode: rounding, precision },
+        source: 'Central Bank of Uruguay - Exchange Rates Web Services',
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('Error in /convert endpoint', error);
+
+      if (error instanceof UpstreamError) {
+        return sendUpstreamError(res, error);
+      }
+
+      // Return different error details based on environment
+      const isDevelopment = config.server.env === 'development';
+      return res.status(500).json({
+        error: 'Internal server error while converting currency amount',
+        ...(isDevelopment && { details: error.message }),
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+export default router;
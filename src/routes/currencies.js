@@ -0,0 +1,68 @@
+/**
+ * Currency Catalog Routes
+ * Expose the normalized BCU currency list (awsbcumonedas)
+ */
+
+import { Router } from 'express';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { getCurrencies } from '../services/bcu-service.js';
+import {
+  contentNegotiationMiddleware,
+  validateQueryMiddleware,
+} from '../middleware/index.js';
+import { sendFormatted } from '../utils/response-formatter.js';
+import { UpstreamError, sendUpstreamError } from '../utils/errors.js';
+
+const router = Router();
+
+/**
+ * GET /currencies?group=N
+ * List currencies published by BCU for a group (default: Local Exchange Rates)
+ */
+router.get(
+  '/currencies',
+  validateQueryMiddleware('/currencies'),
+  contentNegotiationMiddleware,
+  async (req, res) => {
+    try {
+      // Group is validated against the OpenAPI schema (non-negative integer)
+      const group = Number(
+        req.query.group || config.bcu.localExchangeRatesGroup
+      );
+
+      logger.debug(`Requesting currency catalog for group: ${group}`);
+      const currencies = await getCurrencies(group);
+
+      return sendFormatted(req, res, {
+        json: {
+          group,
+          count: currencies.length,
+          currencies,
+          source:
+            'Central Bank of Uruguay - Exchange Rates Web Services (Currencies)',
+          timestamp: new Date().toISOString(),
+        },
+        records: currencies,
+        columns: ['code', 'name', 'isoCode', 'group'],
+        filename: `currencies-group-${group}`,
+      });
+    } catch (error) {
+      logger.error('Error in /currencies endpoint', error);
+
+      if (error instanceof UpstreamError) {
+        return sendUpstreamError(res, error);
+      }
+
+      // Return different error details based on environment
+      const isDevelopment = config.server.env === 'development';
+      return res.status(500).json({
+        error: 'Internal server error while querying currency catalog',
+        ...(isDevelopment && { details: error.message }),
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,46 @@
+/**
+ * API Documentation Routes
+ * Serve the OpenAPI specification and an interactive Swagger UI page
+ */
+
+import { Router, static as serveStatic } from 'express';
+// Only the path helper: the package entry point loads the full UI bundle into Node
+import getSwaggerUiPath from 'swagger-ui-dist/absolute-path.js';
+import { openApiDocument } from '../openapi/spec.js';
+
+const router = Router();
+
+/**
+ * GET /openapi.json
+ * OpenAPI 3 specification for every route
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * GET /docs/swagger-initializer.js
+ * Point the bundled Swagger UI at this API's specification
+ * (replaces the default initializer shipped with swagger-ui-dist)
+ */
+router.get('/docs/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(`window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: '/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout',
+    validatorUrl: null,
+  });
+};
+`);
+});
+
+/**
+ * GET /docs
+ * Interactive API documentation (Swagger UI static assets)
+ */
+router.use('/docs', serveStatic(getSwaggerUiPath(), { index: 'index.html' }));
+
+export default router;
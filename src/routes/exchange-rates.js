@@ -1,18 +1,57 @@
 /**
  * Exchange Rate Routes
- * REST API endpoints for USD exchange rate queries
+ * REST API endpoints for USD exchange rate queries (USD billete shortcuts)
  */
 
 import { Router } from 'express';
-import dayjs from 'dayjs';
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger.js';
-import { isValidDateFormat } from '../utils/helpers.js';
+import { isValidCalendarDate, validateDateRange } from '../utils/helpers.js';
+import { getRequestSignal } from '../utils/request-context.js';
 import {
   getUSDCurrencyCode,
-  getExchangeRateByDate,
-  getLatestUSDExchangeRate,
+  getExchangeRatesByRange,
 } from '../services/bcu-service.js';
+import { computeRateStatistics } from '../services/stats-service.js';
+import {
+  formatEvent,
+  getInitialEvents,
+  getStreamClientCount,
+  subscribe,
+} from '../services/rate-stream.js';
+import {
+  contentNegotiationMiddleware,
+  validateQueryMiddleware,
+} from '../middleware/index.js';
+import { RATE_COLUMNS, sendFormatted } from '../utils/response-formatter.js';
+import {
+  createRateByDateHandler,
+  createLatestRateHandler,
+} from './rate-handlers.js';
+import { UpstreamError, sendUpstreamError } from '../utils/errors.js';
+
+/**
+ * Column order for CSV / NDJSON statistics records
+ */
+const STATS_COLUMNS = [
+  'period',
+  'start',
+  'end',
+  'count',
+  'firstDate',
+  'lastDate',
+  ...['buy', 'sell'].flatMap(side =>
+    [
+      'average',
+      'min',
+      'max',
+      'first',
+      'last',
+      'changePercent',
+      'standardDeviation',
+    ].map(stat => `${side}.${stat}`)
+  ),
+];
 
 const router = Router();
 
@@ -20,129 +59,270 @@ const router = Router();
  * GET /usd-rate?date=YYYY-MM-DD
  * Get USD exchange rate for a specific date
  */
-router.get('/usd-rate', async (req, res) => {
-  try {
-    const dateParam = req.query.date;
-
-    // Validate required date parameter
-    if (!dateParam) {
-      return res.status(400).json({
-        error: 'Missing required parameter: date (format: YYYY-MM-DD)',
-        example: '/usd-rate?date=2025-08-28',
-        timestamp: new Date().toISOString(),
+router.get(
+  '/usd-rate',
+  validateQueryMiddleware('/usd-rate'),
+  contentNegotiationMiddleware,
+  createRateByDateHandler({
+    resolveCurrency: () => getUSDCurrencyCode(),
+  })
+);
+
+/**
+ * GET /usd-rate/range?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Get USD exchange rates for every published day within a date range
+ */
+router.get(
+  '/usd-rate/range',
+  validateQueryMiddleware('/usd-rate/range'),
+  contentNegotiationMiddleware,
+  async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const example = '/usd-rate/range?from=2025-08-01&to=2025-08-31';
+
+      // Validate range ordering and length (formats are checked by the schema)
+      const range = validateDateRange(from, to, config.bcu.maxRangeDays);
+      if (range.error) {
+        return res.status(400).json({
+          error: range.error,
+          provided: range.provided,
+          example,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { fromISO, toISO } = range;
+      logger.debug(`Requesting exchange rates for range: ${fromISO}..${toISO}`);
+
+      // Get currency code and all exchange rates with a single BCU call
+      const { code, name } = await getUSDCurrencyCode();
+      const exchangeRates = await getExchangeRatesByRange(code, fromISO, toISO);
+
+      // Return successful response (empty list when no day in range was published)
+      return sendFormatted(req, res, {
+        json: {
+          currency: name,
+          from: fromISO,
+          to: toISO,
+          count: exchangeRates.length,
+          rates: exchangeRates.map(exchangeRate => ({
+            date: exchangeRate.date,
+            isoCode: exchangeRate.isoCode,
+            issuer: exchangeRate.issuer,
+            buyRate: exchangeRate.buyRate,
+            sellRate: exchangeRate.sellRate,
+          })),
+          source: 'Central Bank of Uruguay - Exchange Rates Web Services',
+          timestamp: new Date().toISOString(),
+        },
+        records: exchangeRates.map(exchangeRate => ({
+          ...exchangeRate,
+          currency: name,
+        })),
+        columns: RATE_COLUMNS,
+        filename: `usd-rate-${fromISO}_${toISO}`,
       });
-    }
+    } catch (error) {
+      logger.error('Error in /usd-rate/range endpoint', error);
 
-    // Validate date format
-    if (!isValidDateFormat(dateParam)) {
-      return res.status(400).json({
-        error: 'Invalid date format. Please use YYYY-MM-DD',
-        provided: dateParam,
-        example: '/usd-rate?date=2025-08-28',
+      if (error instanceof UpstreamError) {
+        return sendUpstreamError(res, error);
+      }
+
+      // Return different error details based on environment
+      const isDevelopment = config.server.env === 'development';
+      return res.status(500).json({
+        error: 'Internal server error while querying exchange rate range',
+        ...(isDevelopment && { details: error.message }),
         timestamp: new Date().toISOString(),
       });
     }
+  }
+);
 
-    // Validate date is parseable
-    const date = dayjs(dateParam, 'YYYY-MM-DD', true);
-    if (!date.isValid()) {
-      return res.status(400).json({
-        error: 'Invalid date. Please provide a valid date in YYYY-MM-DD format',
-        provided: dateParam,
-        timestamp: new Date().toISOString(),
+/**
+ * GET /usd-rate/stats?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=month|week|year
+ * Get USD rate statistics per period (average, min/max, change, volatility)
+ */
+router.get(
+  '/usd-rate/stats',
+  validateQueryMiddleware('/usd-rate/stats'),
+  contentNegotiationMiddleware,
+  async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const interval = req.query.interval || 'month';
+      const example =
+        '/usd-rate/stats?from=2025-01-01&to=2025-06-30&interval=month';
+
+      // Validate range ordering and length (formats are checked by the schema)
+      const range = validateDateRange(from, to, config.bcu.maxRangeDays);
+      if (range.error) {
+        return res.status(400).json({
+          error: range.error,
+          provided: range.provided,
+          example,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { fromISO, toISO } = range;
+      logger.debug(
+        `Requesting exchange rate stats for range: ${fromISO}..${toISO} (${interval})`
+      );
+
+      // Get currency code and all exchange rates with a single BCU call
+      const { code, name } = await getUSDCurrencyCode();
+      const exchangeRates = await getExchangeRatesByRange(code, fromISO, toISO);
+
+      const periods = computeRateStatistics(exchangeRates, interval);
+
+      return sendFormatted(req, res, {
+        json: {
+          currency: name,
+          from: fromISO,
+          to: toISO,
+          interval,
+          count: exchangeRates.length,
+          periods,
+          source: 'Central Bank of Uruguay - Exchange Rates Web Services',
+          timestamp: new Date().toISOString(),
+        },
+        // Flatten buy/sell statistics into "buy.average", "sell.min", ... columns
+        records: periods.map(({ buy, sell, ...period }) => ({
+          ...period,
+          ...Object.fromEntries(
+            Object.entries({ buy, sell }).flatMap(([side, stats]) =>
+              Object.entries(stats).map(([stat, value]) => [
+                `${side}.${stat}`,
+                value,
+              ])
+            )
+          ),
+        })),
+        columns: STATS_COLUMNS,
+        filename: `usd-rate-stats-${interval}-${fromISO}_${toISO}`,
       });
-    }
+    } catch (error) {
+      logger.error('Error in /usd-rate/stats endpoint', error);
 
-    const dateISO = date.format('YYYY-MM-DD');
-    logger.debug(`Requesting exchange rate for date: ${dateISO}`);
-
-    // Get currency code and exchange rate
-    const { code, name } = await getUSDCurrencyCode();
-    const exchangeRate = await getExchangeRateByDate(code, dateISO);
-
-    // Handle case where no data is available
-    if (!exchangeRate) {
-      return res.status(404).json({
-        error:
-          'No exchange rate available for the specified date (may be holiday, weekend, or outside available range)',
-        currency: name,
-        date: dateISO,
-        suggestion: 'Try /usd-rate/latest for the most recent available rate',
+      if (error instanceof UpstreamError) {
+        return sendUpstreamError(res, error);
+      }
+
+      // Return different error details based on environment
+      const isDevelopment = config.server.env === 'development';
+      return res.status(500).json({
+        error: 'Internal server error while computing exchange rate statistics',
+        ...(isDevelopment && { details: error.message }),
         timestamp: new Date().toISOString(),
       });
     }
-
-    // Return successful response
-    return res.json({
-      currency: name,
-      date: exchangeRate.date,
-      isoCode: exchangeRate.isoCode,
-      issuer: exchangeRate.issuer,
-      buyRate: exchangeRate.buyRate,
-      sellRate: exchangeRate.sellRate,
-      source: 'Central Bank of Uruguay - Exchange Rates Web Services',
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    logger.error('Error in /usd-rate endpoint', error);
-
-    // Return different error details based on environment
-    const isDevelopment = config.server.env === 'development';
-    return res.status(500).json({
-      error:
-        'Internal server error while querying BCU web service. Please verify connectivity and service availability.',
-      ...(isDevelopment && { details: error.message }),
-      timestamp: new Date().toISOString(),
-    });
   }
-});
+);
 
 /**
  * GET /usd-rate/latest
  * Get the latest available USD exchange rate
  */
-router.get('/usd-rate/latest', async (req, res) => {
-  try {
-    logger.debug('Requesting latest exchange rate');
-
-    // Get currency code and latest exchange rate
-    const { code, name } = await getUSDCurrencyCode();
-    const exchangeRate = await getLatestUSDExchangeRate(code);
-
-    // Handle case where no recent data is available
-    if (!exchangeRate) {
-      return res.status(404).json({
-        error: 'Unable to determine the latest exchange rate',
-        currency: name,
-        suggestion:
-          'BCU service may be temporarily unavailable or no recent data exists',
-        timestamp: new Date().toISOString(),
-      });
+router.get(
+  '/usd-rate/latest',
+  validateQueryMiddleware('/usd-rate/latest'),
+  contentNegotiationMiddleware,
+  createLatestRateHandler({
+    resolveCurrency: () => getUSDCurrencyCode(),
+  })
+);
+
+/**
+ * GET /usd-rate/stream
+ * Server-Sent Events: the latest USD rate on connect, then one 'rate' event
+ * per newly published closing. Event IDs are closing dates, so clients
+ * resuming with Last-Event-ID receive the closings they missed
+ */
+router.get(
+  '/usd-rate/stream',
+  validateQueryMiddleware('/usd-rate/stream'),
+  async (req, res) => {
+    if (getStreamClientCount() >= config.stream.maxClients) {
+      return res
+        .status(503)
+        .set('Retry-After', String(Math.ceil(config.stream.retryMs / 1000)))
+        .json({
+          error: 'Too many stream clients, try again later',
+          timestamp: new Date().toISOString(),
+        });
     }
 
-    // Return successful response
-    return res.json({
-      currency: name,
-      date: exchangeRate.date,
-      isoCode: exchangeRate.isoCode,
-      issuer: exchangeRate.issuer,
-      buyRate: exchangeRate.buyRate,
-      sellRate: exchangeRate.sellRate,
-      source:
-        'Central Bank of Uruguay - Exchange Rates Web Services (Latest Closing)',
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    logger.error('Error in /usd-rate/latest endpoint', error);
-
-    // Return different error details based on environment
-    const isDevelopment = config.server.env === 'development';
-    return res.status(500).json({
-      error: 'Internal server error while querying latest exchange rate',
-      ...(isDevelopment && { details: error.message }),
-      timestamp: new Date().toISOString(),
+    const providedId = req.get('Last-Event-ID');
+    let lastSentId = isValidCalendarDate(providedId ?? '') ? providedId : null;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx-style proxies
+      'X-Accel-Buffering': 'no',
     });
+    res.flushHeaders();
+    res.write(`retry: ${config.stream.retryMs}\n\n`);
+
+    // Client disconnects and server shutdown both abort the request signal;
+    // nothing may be written once the response has ended
+    const signal = getRequestSignal();
+    const isClosed = () => signal.aborted || res.writableEnded;
+
+    // Closings are sent in date order; a closing already sent (e.g. by both
+    // the live listener and the initial events) is skipped
+    const send = event => {
+      if (isClosed()) {
+        return;
+      }
+      if (!event.id || !lastSentId || event.id > lastSentId) {
+        lastSentId = event.id ?? lastSentId;
+        res.write(formatEvent(event));
+      }
+    };
+
+    // Subscribe before fetching the initial events so no closing is lost
+    const unsubscribe = subscribe(send);
+    const heartbeat = setInterval(() => {
+      if (!isClosed()) {
+        res.write(': heartbeat\n\n');
+      }
+    }, config.stream.heartbeatMs);
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+    signal.addEventListener('abort', close, { once: true });
+    if (signal.aborted) {
+      return close();
+    }
+
+    try {
+      const initialEvents = await getInitialEvents(lastSentId);
+      if (isClosed()) {
+        return;
+      }
+      initialEvents.forEach(send);
+    } catch (error) {
+      if (isClosed()) {
+        return;
+      }
+      logger.warn('Latest rate unavailable for stream client', error.message);
+      send({
+        event: 'error',
+        data: {
+          error: 'Latest exchange rate unavailable; waiting for next closing',
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
   }
-});
+);
 
 export default router;
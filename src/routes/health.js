@@ -1,10 +1,14 @@
 /**
  * Health Check Routes
- * System health and status endpoints
+ * System health and status endpoints, plus liveness and readiness probes
  */
 
 import { Router } from 'express';
 import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { getCircuitBreakerStates } from '../utils/soap-client.js';
+import { getClosingWatcherStatus } from '../services/closing-watcher.js';
+import { getReadiness } from '../services/health-service.js';
 
 const router = Router();
 
@@ -29,15 +33,61 @@ router.get('/health', (req, res) => {
   });
 });
 
+/**
+ * GET /health/live
+ * Liveness probe: the process is up and serving requests
+ * Does not depend on BCU, so upstream outages don't restart the container
+ */
+router.get('/health/live', (req, res) => {
+  res.set('Cache-Control', 'no-store').json({
+    status: 'alive',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * GET /health/ready
+ * Readiness probe: 503 once shutting down. BCU checks (reachability, recent
+ * successful call, no open circuit) mark the status as degraded, and only
+ * cause a 503 with `config.health.requireBcu`
+ */
+router.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, status, checks } = await getReadiness();
+
+    return res
+      .status(ready ? 200 : 503)
+      .set('Cache-Control', 'no-store')
+      .json({
+        status,
+        checks,
+        timestamp: new Date().toISOString(),
+      });
+  } catch (error) {
+    logger.error('Error in /health/ready endpoint', error);
+
+    // Return different error details based on environment
+    const isDevelopment = config.server.env === 'development';
+    return res.status(503).json({
+      status: 'error',
+      ...(isDevelopment && { details: error.message }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
 /**
  * GET /health/detailed
- * Detailed health check with system information
+ * Detailed health check with system information and readiness checks
+ * Always answers 200; use /health/ready for routing decisions
  */
-router.get('/health/detailed', (req, res) => {
+router.get('/health/detailed', async (req, res) => {
   const memoryUsage = process.memoryUsage();
+  const { status, checks } = await getReadiness();
 
   res.json({
-    status: 'OK',
+    status: status === 'ready' ? 'OK' : 'DEGRADED',
     service: config.app.name,
     version: config.app.version,
     environment: config.server.env,
@@ -55,10 +105,14 @@ router.get('/health/detailed', (req, res) => {
       external: Math.round((memoryUsage.external / 1024 / 1024) * 100) / 100,
     },
     services: {
+      bcuMode: config.bcu.mode,
       bcuExchangeRates: config.bcu.wsdl.exchangeRates,
       bcuCurrencies: config.bcu.wsdl.currencies,
       bcuLastClosing: config.bcu.wsdl.lastClosing,
     },
+    checks,
+    circuitBreakers: getCircuitBreakerStates(),
+    closingWatcher: getClosingWatcherStatus(),
   });
 });
 
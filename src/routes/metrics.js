@@ -0,0 +1,26 @@
+/**
+ * Metrics Routes
+ * Prometheus scrape endpoint
+ */
+
+import { Router } from 'express';
+import { logger } from '../utils/logger.js';
+import { metricsRegistry } from '../utils/metrics.js';
+
+const router = Router();
+
+/**
+ * GET /metrics
+ * Metrics in Prometheus text exposition format
+ */
+router.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    return res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    logger.error('Error in /metrics endpoint', error);
+    return res.status(500).end();
+  }
+});
+
+export default router;
@@ -0,0 +1,242 @@
+/**
+ * Exchange Rate Route Handlers
+ * Shared request handlers for single-currency rate endpoints
+ *
+ * Each factory receives a `resolveCurrency(req)` function returning
+ * `{ code, name }` (or null when the requested currency is unknown), so the
+ * same handlers back both the USD shortcuts and the generic /rates routes.
+ * Query parameters must be validated beforehand with validateQueryMiddleware.
+ */
+
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import {
+  getExchangeRateWithFallback,
+  getLatestExchangeRate,
+  getLastKnownLatestRate,
+} from '../services/bcu-service.js';
+import { explainMissingRate } from '../services/calendar.js';
+import { RATE_COLUMNS, sendFormatted } from '../utils/response-formatter.js';
+import { recordNoData } from '../utils/metrics.js';
+import {
+  RequestAbortedError,
+  UpstreamError,
+  sendUpstreamError,
+} from '../utils/errors.js';
+
+/**
+ * Build a download filename base from the request path
+ * e.g. /rates/EUR/latest → rates-EUR-latest
+ * @param {express.Request} req - Express request
+ * @param {string} suffix - Optional suffix (e.g. the date)
+ * @returns {string} Filename without extension
+ */
+export const toFilename = (req, suffix = '') =>
+  `${req.path.slice(1).replace(/[^\w.-]+/g, '-')}${suffix ? `-${suffix}` : ''}`;
+
+/**
+ * Send the 404 response for an unknown currency identifier
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ */
+const sendCurrencyNotFound = (req, res) =>
+  res.status(404).json({
+    error: 'Currency not found',
+    provided: req.params.currency,
+    suggestion:
+      'Use an ISO code (e.g. EUR, USD-FONDO), a BCU currency code or a currency name',
+    timestamp: new Date().toISOString(),
+  });
+
+/**
+ * Create handler for exchange rate queries on a specific date
+ * @param {Object} options - Handler options
+ * @param {Function} options.resolveCurrency - Currency resolver for the request
+ * @returns {Function} Express request handler
+ */
+export function createRateByDateHandler({ resolveCurrency }) {
+  return async (req, res) => {
+    try {
+      // Query parameters are validated against the OpenAPI schema
+      const dateISO = req.query.date;
+      const fallback = req.query.fallback || 'none';
+
+      logger.debug(
+        `Requesting exchange rate for date: ${dateISO} (fallback: ${fallback})`
+      );
+
+      // Get currency code and exchange rate
+      const currency = await resolveCurrency(req);
+      if (!currency) {
+        return sendCurrencyNotFound(req, res);
+      }
+
+      const { code, name } = currency;
+      const exchangeRate = await getExchangeRateWithFallback(
+        code,
+        dateISO,
+        fallback
+      );
+
+      // Handle case where no data is available
+      if (!exchangeRate) {
+        const { reason, explanation, nextBusinessDay } =
+          explainMissingRate(dateISO);
+        recordNoData(req);
+
+        return res.status(404).json({
+          error:
+            fallback === 'none'
+              ? 'No exchange rate available for the specified date'
+              : `No exchange rate available within ${config.bcu.fallbackWindowDays} days ${fallback === 'previous' ? 'before' : 'after'} the specified date`,
+          currency: name,
+          date: dateISO,
+          fallback,
+          reason,
+          explanation,
+          nextBusinessDay,
+          suggestion:
+            fallback === 'none'
+              ? `Try ${req.path}?date=${dateISO}&fallback=previous or ${req.path}/latest for the nearest available rate`
+              : `Try ${req.path}/latest for the most recent available rate`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      // Return successful response (date is the effective rate date)
+      return sendFormatted(req, res, {
+        json: {
+          currency: name,
+          requestedDate: dateISO,
+          date: exchangeRate.date,
+          fallback,
+          fallbackApplied: exchangeRate.date !== dateISO,
+          isoCode: exchangeRate.isoCode,
+          issuer: exchangeRate.issuer,
+          buyRate: exchangeRate.buyRate,
+          sellRate: exchangeRate.sellRate,
+          source: 'Central Bank of Uruguay - Exchange Rates Web Services',
+          timestamp: new Date().toISOString(),
+        },
+        records: [{ ...exchangeRate, currency: name }],
+        columns: RATE_COLUMNS,
+        filename: toFilename(req, dateISO),
+      });
+    } catch (error) {
+      logger.error(`Error in ${req.route.path} endpoint`, error);
+
+      if (error instanceof UpstreamError) {
+        return sendUpstreamError(res, error);
+      }
+
+      // Return different error details based on environment
+      const isDevelopment = config.server.env === 'development';
+      return res.status(500).json({
+        error:
+          'Internal server error while querying BCU web service. Please verify connectivity and service availability.',
+        ...(isDevelopment && { details: error.message }),
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+}
+
+/**
+ * Send a latest exchange rate response
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {string} name - Currency name
+ * @param {Object} exchangeRate - Exchange rate data
+ * @param {Object} staleness - `{ stale: false }`, or the age of a stale rate
+ * @returns {express.Response} Express response
+ */
+const sendLatestRate = (req, res, name, exchangeRate, staleness) =>
+  sendFormatted(req, res, {
+    json: {
+      currency: name,
+      date: exchangeRate.date,
+      isoCode: exchangeRate.isoCode,
+      issuer: exchangeRate.issuer,
+      buyRate: exchangeRate.buyRate,
+      sellRate: exchangeRate.sellRate,
+      ...staleness,
+      source:
+        'Central Bank of Uruguay - Exchange Rates Web Services (Latest Closing)',
+      timestamp: new Date().toISOString(),
+    },
+    records: [{ ...exchangeRate, currency: name }],
+    columns: RATE_COLUMNS,
+    filename: toFilename(req),
+  });
+
+/**
+ * Create handler for latest exchange rate queries
+ * When BCU fails, the last known good rate is served flagged as stale
+ *
+ * @param {Object} options - Handler options
+ * @param {Function} options.resolveCurrency - Currency resolver for the request
+ * @returns {Function} Express request handler
+ */
+export function createLatestRateHandler({ resolveCurrency }) {
+  return async (req, res) => {
+    let currency;
+
+    try {
+      logger.debug('Requesting latest exchange rate');
+
+      // Get currency code and latest exchange rate
+      currency = await resolveCurrency(req);
+      if (!currency) {
+        return sendCurrencyNotFound(req, res);
+      }
+
+      const { code, name } = currency;
+      const exchangeRate = await getLatestExchangeRate(code);
+
+      // Handle case where no recent data is available
+      if (!exchangeRate) {
+        recordNoData(req);
+        return res.status(404).json({
+          error: 'Unable to determine the latest exchange rate',
+          currency: name,
+          suggestion:
+            'BCU service may be temporarily unavailable or no recent data exists',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      // Return successful response
+      return sendLatestRate(req, res, name, exchangeRate, { stale: false });
+    } catch (error) {
+      logger.error(`Error in ${req.route.path} endpoint`, error);
+
+      // Serve the last known good rate while BCU is unreachable
+      const lastKnown =
+        !(error instanceof RequestAbortedError) &&
+        currency &&
+        getLastKnownLatestRate(currency.code);
+      if (lastKnown) {
+        logger.warn(
+          `Serving stale latest rate for ${currency.name} (${lastKnown.ageSeconds}s old)`
+        );
+        return sendLatestRate(req, res, currency.name, lastKnown.exchangeRate, {
+          stale: true,
+          ageSeconds: lastKnown.ageSeconds,
+          fetchedAt: lastKnown.fetchedAt,
+        });
+      }
+
+      if (error instanceof UpstreamError) {
+        return sendUpstreamError(res, error);
+      }
+
+      // Return different error details based on environment
+      const isDevelopment = config.server.env === 'development';
+      return res.status(500).json({
+        error: 'Internal server error while querying latest exchange rate',
+        ...(isDevelopment && { details: error.message }),
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Multi-Currency Rate Routes
+ * REST API endpoints for any currency published by BCU
+ */
+
+import { Router } from 'express';
+import { resolveCurrency } from '../services/bcu-service.js';
+import {
+  contentNegotiationMiddleware,
+  validateQueryMiddleware,
+} from '../middleware/index.js';
+import {
+  createRateByDateHandler,
+  createLatestRateHandler,
+} from './rate-handlers.js';
+
+const router = Router();
+
+/**
+ * GET /rates/:currency?date=YYYY-MM-DD
+ * Get exchange rate for a currency (ISO code, BCU code or name) on a specific date
+ */
+router.get(
+  '/rates/:currency',
+  validateQueryMiddleware('/rates/{currency}'),
+  contentNegotiationMiddleware,
+  createRateByDateHandler({
+    resolveCurrency: req => resolveCurrency(req.params.currency),
+  })
+);
+
+/**
+ * GET /rates/:currency/latest
+ * Get the latest available exchange rate for a currency
+ */
+router.get(
+  '/rates/:currency/latest',
+  validateQueryMiddleware('/rates/{currency}/latest'),
+  contentNegotiationMiddleware,
+  createLatestRateHandler({
+    resolveCurrency: req => resolveCurrency(req.params.currency),
+  })
+);
+
+export default router;
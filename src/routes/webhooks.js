@@ -0,0 +1,250 @@
+/**
+ * Webhook Routes
+ * Manage subscriptions to newly published BCU closings
+ *
+ * Webhooks belong to the API key that registered them; each client only
+ * sees and deletes its own.
+ */
+
+import { Router } from 'express';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { requireApiKeyMiddleware } from '../middleware/index.js';
+import { resolveCurrency } from '../services/bcu-service.js';
+import {
+  registerWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  checkWebhookTarget,
+} from '../services/webhook-service.js';
+import { UpstreamError, sendUpstreamError } from '../utils/errors.js';
+
+const router = Router();
+
+router.use('/webhooks', requireApiKeyMiddleware);
+
+const EXAMPLE_BODY = {
+  url: 'https://example.com/hooks/bcu',
+  currencies: ['USD', 'EUR'],
+  description: 'Checkout price refresh',
+};
+
+/**
+ * Maximum number of currencies per webhook
+ */
+const MAX_CURRENCIES = 20;
+
+/**
+ * Get the client that owns webhooks created by this request
+ * @param {express.Response} res - Express response
+ * @returns {string} API key name, or 'anonymous' (development only)
+ */
+const getOwner = res =>
+  res.locals.client?.type === 'api-key' ? res.locals.client.id : 'anonymous';
+
+/**
+ * Validate a webhook registration body
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRegistration(body) {
+  const { url, currencies, description } = body || {};
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsedUrl.protocol) || url.length > 2048) {
+    return 'url must be an absolute http(s) URL';
+  }
+
+  if (
+    currencies !== undefined &&
+    (!Array.isArray(currencies) ||
+      currencies.length === 0 ||
+      currencies.length > MAX_CURRENCIES ||
+      !currencies.every(
+        currency => typeof currency === 'string' && currency.trim()
+      ))
+  ) {
+    return `currencies must be a list of 1 to ${MAX_CURRENCIES} currency identifiers`;
+  }
+
+  if (
+    description !== undefined &&
+    (typeof description !== 'string' || description.length > 200)
+  ) {
+    return 'description must be a string of up to 200 characters';
+  }
+
+  return null;
+}
+
+/**
+ * Send the 404 response for an unknown webhook
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ */
+const sendWebhookNotFound = (req, res) =>
+  res.status(404).json({
+    error: 'Webhook not found',
+    provided: req.params.id,
+    timestamp: new Date().toISOString(),
+  });
+
+/**
+ * Send the 500 response for a webhook endpoint failure
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Error} error - Error raised by the handler
+ */
+function sendWebhookError(req, res, error) {
+  logger.error(`Error in ${req.method} ${req.route.path} endpoint`, error);
+
+  if (error instanceof UpstreamError) {
+    return sendUpstreamError(res, error);
+  }
+
+  // Return different error details based on environment
+  const isDevelopment = config.server.env === 'development';
+  return res.status(500).json({
+    error: 'Internal server error while managing webhooks',
+    ...(isDevelopment && { details: error.message }),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * POST /webhooks
+ * Register a callback URL for newly published closings
+ * The response includes the signing secret, which is not shown again
+ */
+router.post('/webhooks', async (req, res) => {
+  try {
+    const validationError =
+      validateRegistration(req.body) ||
+      (await checkWebhookTarget(req.body.url));
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        provided: req.body,
+        example: EXAMPLE_BODY,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const currencies = (req.body.currencies || ['USD']).map(currency =>
+      currency.trim()
+    );
+
+    // Reject currencies BCU does not publish
+    for (const identifier of currencies) {
+      if (!(await resolveCurrency(identifier))) {
+        return res.status(400).json({
+          error: 'Currency not found',
+          provided: identifier,
+          example: EXAMPLE_BODY,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    const webhook = await registerWebhook(
+      {
+        url: req.body.url,
+        currencies,
+        description: req.body.description,
+      },
+      getOwner(res)
+    );
+    if (!webhook) {
+      return res.status(409).json({
+        error: `Webhook limit reached (${config.webhooks.maxPerOwner} per client)`,
+        suggestion: 'Delete an unused webhook with DELETE /webhooks/{id}',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return res.status(201).location(`/webhooks/${webhook.id}`).json(webhook);
+  } catch (error) {
+    return sendWebhookError(req, res, error);
+  }
+});
+
+/**
+ * GET /webhooks
+ * List the client's webhooks
+ */
+router.get('/webhooks', async (req, res) => {
+  try {
+    const webhooks = await listWebhooks(getOwner(res));
+    return res.json({
+      count: webhooks.length,
+      webhooks,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    return sendWebhookError(req, res, error);
+  }
+});
+
+/**
+ * GET /webhooks/:id
+ * Get one of the client's webhooks
+ */
+router.get('/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id, getOwner(res));
+    if (!webhook) {
+      return sendWebhookNotFound(req, res);
+    }
+    return res.json(webhook);
+  } catch (error) {
+    return sendWebhookError(req, res, error);
+  }
+});
+
+/**
+ * GET /webhooks/:id/deliveries
+ * Delivery records (status and attempts) of a webhook, newest first
+ */
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const deliveries = await listWebhookDeliveries(
+      req.params.id,
+      getOwner(res)
+    );
+    if (!deliveries) {
+      return sendWebhookNotFound(req, res);
+    }
+    return res.json({
+      webhookId: req.params.id,
+      count: deliveries.length,
+      deliveries,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    return sendWebhookError(req, res, error);
+  }
+});
+
+/**
+ * DELETE /webhooks/:id
+ * Delete one of the client's webhooks and its delivery records
+ */
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    if (!(await deleteWebhook(req.params.id, getOwner(res)))) {
+      return sendWebhookNotFound(req, res);
+    }
+    return res.status(204).end();
+  } catch (error) {
+    return sendWebhookError(req, res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+/**
+ * Rate Store Backfill Command
+ * Import a historical range of BCU rates into the local rate store
+ *
+ * Usage:
+ *   npm run backfill -- --from 2024-01-01 [--to 2024-12-31] [--currency USD]
+ *
+ * The range is split into chunks of `config.bcu.maxRangeDays` days, each
+ * fetched with a single awsbcucotizaciones call. Chunks whose closings are all
+ * stored already are read from the store without calling BCU, and only rates
+ * not stored yet are appended, so the command can be re-run safely after a
+ * partial failure.
+ */
+
+import { parseArgs } from 'node:util';
+import dayjs from 'dayjs';
+import { config, assertValidConfig } from '../config/index.js';
+import { isValidCalendarDate } from '../utils/helpers.js';
+import {
+  resolveCurrency,
+  getExchangeRatesByRange,
+} from '../services/bcu-service.js';
+
+/**
+ * Run the backfill
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<number>} Process exit code
+ */
+async function runBackfill(argv) {
+  assertValidConfig();
+
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      currency: { type: 'string', default: 'USD' },
+    },
+  });
+
+  const yesterday = dayjs().subtract(1, 'day').format('YYYY-MM-DD');
+  const from = values.from;
+  const to = values.to || yesterday;
+
+  if (!from || !isValidCalendarDate(from) || !isValidCalendarDate(to)) {
+    console.error(
+      'Usage: npm run backfill -- --from YYYY-MM-DD [--to YYYY-MM-DD] [--currency USD]'
+    );
+    return 1;
+  }
+
+  if (!config.storage.enabled) {
+    console.error('Rate store is disabled (RATE_STORE_ENABLED=false)');
+    return 1;
+  }
+
+  if (from > to) {
+    console.error('Invalid date range: --from must be on or before --to');
+    return 1;
+  }
+
+  const currency = await resolveCurrency(values.currency);
+  if (!currency) {
+    console.error(`Currency not found: ${values.currency}`);
+    return 1;
+  }
+
+  console.log(
+    `Backfilling ${currency.name} (Code: ${currency.code}) from ${from} to ${to} into ${config.storage.path}`
+  );
+
+  let total = 0;
+  let chunkStart = dayjs(from);
+  const end = dayjs(to);
+
+  while (!chunkStart.isAfter(end)) {
+    const chunkLimit = chunkStart.add(config.bcu.maxRangeDays - 1, 'day');
+    const chunkEnd = chunkLimit.isAfter(end) ? end : chunkLimit;
+
+    const fromISO = chunkStart.format('YYYY-MM-DD');
+    const toISO = chunkEnd.format('YYYY-MM-DD');
+    const rates = await getExchangeRatesByRange(currency.code, fromISO, toISO);
+
+    console.log(`  ${fromISO}..${toISO}: ${rates.length} rates`);
+    total += rates.length;
+    chunkStart = chunkEnd.add(1, 'day');
+  }
+
+  console.log(`Backfill complete: ${total} rates in store`);
+  return 0;
+}
+
+runBackfill(process.argv.slice(2))
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error('Backfill failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,114 @@
+/**
+ * BCU Stand-in SOAP Server
+ * Serve the three BCU SOAP services locally from the fixture files
+ *
+ * Usage:
+ *   npm run bcu:stub [-- --port 8081]
+ *   BCU_BASE_URL=http://localhost:8081/wscotizaciones/servlet npm start
+ *
+ * Implements awsbcumonedas, awsbcucotizaciones and awsultimocierre with the
+ * WSDLs in `<fixturesDir>/wsdl` and answers from the same fixtures as
+ * BCU_MODE=fixture, so the real SOAP client path (WSDL download, envelopes,
+ * timeouts, circuit breakers) can be exercised without internet access.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import soap from 'soap';
+import { config, assertValidConfig } from '../config/index.js';
+import { FIXTURE_SERVICES, getFixtureResponse } from '../utils/bcu-fixtures.js';
+
+/**
+ * Path of the BCU servlets, as in the real service URLs
+ */
+const SERVLET_PATH = '/wscotizaciones/servlet';
+
+/**
+ * Load a stand-in WSDL, pointing its service address at this server
+ * @param {string} serviceName - BCU service name (e.g. 'awsbcumonedas')
+ * @param {string} origin - Server origin (e.g. http://localhost:8081)
+ * @returns {Promise<string>} WSDL document
+ */
+async function loadWSDL(serviceName, origin) {
+  const wsdlPath = path.resolve(
+    config.bcu.fixturesDir,
+    'wsdl',
+    `${serviceName}.wsdl`
+  );
+  const wsdl = await fs.readFile(wsdlPath, 'utf8');
+  return wsdl.replace(/http:\/\/localhost:\d+/g, origin);
+}
+
+/**
+ * Start the stand-in server
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<http.Server|null>} Listening server, or null on bad usage
+ */
+async function startStubServer(argv) {
+  assertValidConfig();
+
+  const { values } = parseArgs({
+    args: argv,
+    options: { port: { type: 'string', default: '8081' } },
+  });
+
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error('Usage: npm run bcu:stub -- [--port 8081]');
+    return null;
+  }
+
+  // Requests outside the SOAP service paths
+  const server = http.createServer((req, res) => {
+    res.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(port, resolve));
+  const origin = `http://localhost:${server.address().port}`;
+
+  for (const serviceName of FIXTURE_SERVICES) {
+    // Service and port names in the WSDLs drop the servlet's leading "a";
+    // operations are named like the first name the client tries
+    // (Execute, or execute for awsultimocierre)
+    const name = serviceName.slice(1);
+    const wsdl = await loadWSDL(serviceName, origin);
+    const execute = args =>
+      getFixtureResponse(serviceName, args, config.bcu.fixturesDir);
+
+    soap.listen(
+      server,
+      `${SERVLET_PATH}/${serviceName}`,
+      {
+        [name]: {
+          [`${name}SoapPort`]: { Execute: execute, execute },
+        },
+      },
+      wsdl
+    );
+    console.log(`Serving ${origin}${SERVLET_PATH}/${serviceName}?wsdl`);
+  }
+
+  console.log(
+    `BCU stand-in ready (fixtures: ${config.bcu.fixturesDir}). Start the API with:`
+  );
+  console.log(`  BCU_BASE_URL=${origin}${SERVLET_PATH} npm start`);
+  return server;
+}
+
+startStubServer(process.argv.slice(2))
+  .then(server => {
+    if (!server) {
+      process.exit(1);
+    }
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.on(signal, () => {
+        server.close(() => process.exit(0));
+        server.closeAllConnections();
+      });
+    }
+  })
+  .catch(error => {
+    console.error('BCU stand-in server failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+/**
+ * WSDL Fetch Command
+ * Download the BCU WSDLs into the local WSDL directory
+ *
+ * Usage:
+ *   npm run wsdl:fetch
+ *
+ * Bundled copies let the SOAP client registry build clients without
+ * downloading and parsing the remote WSDLs on cold start.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { config, assertValidConfig } from '../config/index.js';
+import { getServiceName } from '../utils/soap-client.js';
+
+/**
+ * Download every configured WSDL
+ * @returns {Promise<number>} Process exit code
+ */
+async function fetchWSDLs() {
+  assertValidConfig();
+
+  await fs.mkdir(config.bcu.localWsdlDir, { recursive: true });
+
+  let failures = 0;
+  for (const wsdlUrl of Object.values(config.bcu.wsdl)) {
+    const target = path.join(
+      config.bcu.localWsdlDir,
+      `${getServiceName(wsdlUrl)}.wsdl`
+    );
+
+    try {
+      const response = await fetch(wsdlUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      await fs.writeFile(target, await response.text(), 'utf8');
+      console.log(`Saved ${wsdlUrl} → ${target}`);
+    } catch (error) {
+      failures++;
+      console.error(`Failed to fetch ${wsdlUrl}: ${error.message}`);
+    }
+  }
+
+  return failures === 0 ? 0 : 1;
+}
+
+fetchWSDLs()
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error('WSDL fetch failed:', error.message);
+    process.exit(1);
+  });
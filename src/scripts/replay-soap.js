@@ -0,0 +1,101 @@
+/**
+ * SOAP Replay Command
+ * Feed recorded BCU SOAP calls back through bcu-service.js
+ *
+ * Usage:
+ *   npm run bcu:replay -- <recording.json> [<recording.json> ...]
+ *
+ * Each recording (saved with BCU_RECORD=true in `config.bcu.recording.dir`)
+ * is replayed through the bcu-service function that made the original call,
+ * and the parsed result is printed as JSON. Responses are answered from the
+ * recordings in that directory, so a parsing issue seen in production can be
+ * reproduced and debugged offline.
+ */
+
+import fs from 'node:fs/promises';
+import { config, assertValidConfig } from '../config/index.js';
+import {
+  getCurrencies,
+  getExchangeRatesByRange,
+  getLastClosingDate,
+} from '../services/bcu-service.js';
+
+/**
+ * Replay functions by BCU service name, called with the recorded arguments
+ */
+const REPLAYERS = {
+  awsbcumonedas: args => getCurrencies(args.Entrada.Grupo),
+  awsbcucotizaciones: ({ Entrada }) =>
+    getExchangeRatesByRange(
+      [Entrada.Moneda.item].flat()[0],
+      Entrada.FechaDesde,
+      Entrada.FechaHasta
+    ),
+  awsultimocierre: () => getLastClosingDate(),
+};
+
+/**
+ * Replay one recording
+ * @param {string} filePath - Recording file
+ * @returns {Promise<boolean>} Whether the call succeeded
+ */
+async function replayRecording(filePath) {
+  try {
+    const recording = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const replay = REPLAYERS[recording.service];
+    if (!replay) {
+      throw new Error(`Unknown BCU service: ${recording.service}`);
+    }
+
+    const result = await replay(recording.args);
+    console.log(
+      JSON.stringify(
+        {
+          file: filePath,
+          service: recording.service,
+          recordedAt: recording.recordedAt,
+          result,
+        },
+        null,
+        2
+      )
+    );
+    return true;
+  } catch (error) {
+    console.error(`${filePath}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Run the replay
+ * @param {string[]} files - Recording files
+ * @returns {Promise<number>} Process exit code
+ */
+async function runReplay(files) {
+  assertValidConfig();
+
+  if (files.length === 0) {
+    console.error('Usage: npm run bcu:replay -- <recording.json> [...]');
+    return 1;
+  }
+  if (config.bcu.mode !== 'replay') {
+    console.error('Set BCU_MODE=replay to replay recordings');
+    return 1;
+  }
+
+  let failed = 0;
+  for (const filePath of files) {
+    if (!(await replayRecording(filePath))) {
+      failed++;
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+runReplay(process.argv.slice(2))
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error('Replay failed:', error.message);
+    process.exit(1);
+  });
@@ -1,228 +1,530 @@
 /**
  * BCU Service Layer
  * Handles all interactions with BCU SOAP web services
+ *
+ * createBcuService() builds the service for a given BCU configuration, SOAP
+ * client registry, rate store and calendar; the module-level exports belong
+ * to the default service, built from the global `config` on first use.
  */
 
 import dayjs from 'dayjs';
 import { config } from '../config/index.js';
-import { logger } from '../utils/logger.js';
-import { normalizeString } from '../utils/helpers.js';
-import { createSOAPClient, invokeSOAPMethod } from '../utils/soap-client.js';
+import { logger as defaultLogger } from '../utils/logger.js';
+import { ISO_CURRENCIES } from '../config/currencies.js';
+import { normalizeString, lazyFunctions } from '../utils/helpers.js';
+import { callSOAPService } from '../utils/soap-client.js';
+import { getCalendarDays } from './calendar.js';
+import {
+  getStoredRate,
+  getStoredRates,
+  saveRates,
+  getStoredCurrencies,
+  saveCurrencies,
+} from './rate-store.js';
 
 /**
- * Get the currency code for USD cash within Group 2 (Local Exchange Rates)
- * Prioritizes entries containing "CASH" or "BILLETE"
- *
- * @returns {Promise<{code: number, name: string}>} Currency code and name
- * @throws {Error} If USD currency not found or SOAP service fails
+ * Find the ISO code for a BCU currency name
+ * @param {string} name - Currency name as returned by BCU
+ * @returns {string|null} ISO 4217 code or null if unknown
  */
-export async function getUSDCurrencyCode() {
-  const client = await createSOAPClient(config.bcu.wsdl.currencies);
-  const args = { Entrada: { Grupo: config.bcu.localExchangeRatesGroup } };
-
-  const result = await invokeSOAPMethod(
-    client,
-    [
-      'Execute',
-      'awsbcumonedas',
-      'execute',
-      'WSBCUMONEDAS',
-      'WSCotizacionesMonedas',
-    ],
-    args
+function findISOCode(name) {
+  const normalizedName = normalizeString(name);
+  const match = Object.entries(ISO_CURRENCIES).find(([, definition]) =>
+    definition.patterns.some(pattern => normalizedName.includes(pattern))
   );
+  return match ? match[0] : null;
+}
 
-  if (!result) {
-    throw new Error(
-      'Failed to invoke BCU currencies web service (awsbcumonedas)'
+/**
+ * SOAP method names tried for the exchange rates service (awsbcucotizaciones)
+ */
+const EXCHANGE_RATE_METHODS = [
+  'Execute',
+  'awsbcucotizaciones',
+  'execute',
+  'WSBCUCOTIZACIONES',
+  'WSCotizaciones',
+];
+
+/**
+ * Convert a raw BCU record into the standardized exchange rate object
+ * @param {Object} record - Raw BCU record
+ * @returns {Object} Exchange rate data
+ */
+function toExchangeRate(record) {
+  return {
+    date: dayjs(record.Fecha).format('YYYY-MM-DD'),
+    currency: record?.Nombre,
+    isoCode: record?.CodigoISO,
+    issuer: record?.Emisor,
+    buyRate: Number(record?.TCC),
+    sellRate: Number(record?.TCV),
+    arbitrage: record?.ArbAct !== null ? Number(record.ArbAct) : null,
+    arbitrageMethod: record?.FormaArbitrar ?? null,
+  };
+}
+
+/**
+ * Create the BCU service
+ * @param {Object} dependencies - Service dependencies
+ * @param {Object} dependencies.bcuConfig - BCU settings, shaped like `config.bcu`
+ * @param {Object} dependencies.soapClients - SOAP client registry
+ *   (see createSOAPClientRegistry)
+ * @param {Object} dependencies.rateStore - Rate store (see createRateStore)
+ * @param {Object} dependencies.calendar - Banking calendar (see createCalendar)
+ * @param {Object} [dependencies.logger] - Logger
+ * @returns {Object} Service functions (getCurrencies, resolveCurrency,
+ *   getExchangeRateByDate, getExchangeRatesByRange, ...)
+ */
+export function createBcuService({
+  bcuConfig,
+  soapClients,
+  rateStore,
+  calendar,
+  logger = defaultLogger,
+}) {
+  /**
+   * In-memory currency catalog cache, keyed by BCU group
+   * The currency list rarely changes, so it is reused across requests
+   * @type {Map<number, {expiresAt: number, currencies: Object[]}>}
+   */
+  const currencyCache = new Map();
+
+  /**
+   * Last successfully fetched latest rate per currency code
+   * Served (flagged as stale) by the latest endpoints while BCU is unreachable
+   * @type {Map<number, {exchangeRate: Object, fetchedAt: number}>}
+   */
+  const lastKnownLatestRates = new Map();
+
+  /**
+   * Get the list of currencies published by BCU for a group
+   * Results are cached for `bcuConfig.currencyCacheTtlMs` and persisted to the
+   * rate store, which is used as a fallback when BCU is unreachable
+   *
+   * @param {number} group - BCU currency group (default: Local Exchange Rates)
+   * @returns {Promise<Array<{code: number, name: string, isoCode: string|null, group: number}>>}
+   *   Normalized currency list
+   * @throws {Error} If SOAP service fails
+   */
+  async function getCurrencies(group = bcuConfig.localExchangeRatesGroup) {
+    const cached = currencyCache.get(Number(group));
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.currencies;
+    }
+
+    let currencies;
+    try {
+      currencies = await fetchCurrencies(group);
+      await rateStore.saveCurrencies(group, currencies);
+    } catch (error) {
+      // Serve the stored catalog when BCU is unreachable
+      const storedCurrencies = await rateStore.getStoredCurrencies(group);
+      if (!storedCurrencies) {
+        throw error;
+      }
+      logger.warn(
+        `Currency service failed, using stored catalog for group ${group}`,
+        error.message
+      );
+      return storedCurrencies;
+    }
+
+    currencyCache.set(Number(group), {
+      expiresAt: Date.now() + bcuConfig.currencyCacheTtlMs,
+      currencies,
+    });
+
+    logger.debug(`Currency catalog cached for group ${group}`, {
+      count: currencies.length,
+    });
+    return currencies;
+  }
+
+  /**
+   * Fetch and normalize the currency list for a group from awsbcumonedas
+   *
+   * @param {number} group - BCU currency group
+   * @returns {Promise<Object[]>} Normalized currency list
+   * @throws {Error} If SOAP service fails
+   */
+  async function fetchCurrencies(group) {
+    const args = { Entrada: { Grupo: group } };
+
+    const result = await soapClients.callSOAPService(
+      bcuConfig.wsdl.currencies,
+      [
+        'Execute',
+        'awsbcumonedas',
+        'execute',
+        'WSBCUMONEDAS',
+        'WSCotizacionesMonedas',
+      ],
+      args
     );
+
+    if (!result) {
+      throw new Error(
+        'Failed to invoke BCU currencies web service (awsbcumonedas)'
+      );
+    }
+
+    // Extract currency list from various possible response structures
+    const currencyList =
+      result?.Salida?.['wsmonedasout.Linea'] ||
+      result?.wsmonedasout?.Monedas ||
+      result?.wsmonedasout ||
+      result?.return?.Monedas ||
+      result?.return ||
+      [];
+
+    const currencies = Array.isArray(currencyList)
+      ? currencyList
+      : Object.values(currencyList || {});
+
+    return currencies
+      .map(currency => ({
+        code: Number(currency?.Codigo),
+        name: (currency?.Nombre || '').trim(),
+        isoCode: findISOCode(currency?.Nombre),
+        group: Number(group),
+      }))
+      .filter(currency => Number.isFinite(currency.code));
   }
 
-  // Extract currency list from various possible response structures
-  const currencyList =
-    result?.Salida?.['wsmonedasout.Linea'] ||
-    result?.wsmonedasout?.Monedas ||
-    result?.wsmonedasout ||
-    result?.return?.Monedas ||
-    result?.return ||
-    [];
-
-  const currencies = Array.isArray(currencyList)
-    ? currencyList
-    : Object.values(currencyList || {});
-
-  // Search for USD using normalized text matching
-  const usdCandidates = currencies.filter(currency => {
-    const normalizedName = normalizeString(currency?.Nombre);
-    const originalName = currency?.Nombre || '';
+  /**
+   * Resolve a currency identifier against the BCU currency list
+   *
+   * Accepted identifiers:
+   * - BCU numeric code (e.g. "2225")
+   * - ISO 4217 code, optionally with a name qualifier (e.g. "EUR", "USD-FONDO")
+   * - Currency name or part of it, accents and case ignored (e.g. "peso argentino")
+   *
+   * @param {string|number} identifier - Currency identifier
+   * @param {number} group - BCU currency group (default: Local Exchange Rates)
+   * @returns {Promise<{code: number, name: string, isoCode: string|null, group: number}|null>}
+   *   Resolved currency or null if no currency matches
+   * @throws {Error} If SOAP service fails
+   */
+  async function resolveCurrency(
+    identifier,
+    group = bcuConfig.localExchangeRatesGroup
+  ) {
+    const query = normalizeString(identifier);
+    if (!query) {
+      return null;
+    }
+
+    const currencies = await getCurrencies(group);
+
+    // BCU numeric code
+    if (/^\d+$/.test(query)) {
+      return currencies.find(c => c.code === Number(query)) || null;
+    }
+
+    // ISO code with optional qualifier
+    const isoMatch = query.match(/^([A-Z]{3})(?:[-_ ](.+))?$/);
+    const definition = isoMatch && ISO_CURRENCIES[isoMatch[1]];
+    if (definition) {
+      const [, isoCode, qualifier] = isoMatch;
+      const candidates = currencies.filter(c => c.isoCode === isoCode);
+
+      if (qualifier) {
+        return (
+          candidates.find(c => normalizeString(c.name).includes(qualifier)) ||
+          null
+        );
+      }
+
+      // Prioritize preferred entries (e.g. "BILLETE" for USD)
+      const preferredEntry = candidates.find(c =>
+        (definition.preferred || []).some(keyword =>
+          normalizeString(c.name).includes(keyword)
+        )
+      );
+      return preferredEntry || candidates[0] || null;
+    }
+
+    // Currency name: exact match first, then partial match
     return (
-      normalizedName.includes('DOLAR USA') ||
-      normalizedName.includes('DLS USA') ||
-      normalizedName.includes('DLS. USA') ||
-      originalName.includes('DLS. USA')
+      currencies.find(c => normalizeString(c.name) === query) ||
+      currencies.find(c => normalizeString(c.name).includes(query)) ||
+      null
     );
-  });
+  }
 
-  if (usdCandidates.length === 0) {
-    logger.error(
-      'Available currencies:',
-      currencies.map(c => c?.Nombre).join(', ')
-    );
-    throw new Error(
-      'USD currency not found within Group 2 (Local Exchange Rates)'
+  /**
+   * Get the currency code for USD cash within Group 2 (Local Exchange Rates)
+   * Prioritizes entries containing "CASH" or "BILLETE"
+   *
+   * @returns {Promise<{code: number, name: string}>} Currency code and name
+   * @throws {Error} If USD currency not found or SOAP service fails
+   */
+  async function getUSDCurrencyCode() {
+    const currency = await resolveCurrency('USD');
+
+    if (!currency) {
+      throw new Error(
+        'USD currency not found within Group 2 (Local Exchange Rates). See GET /currencies for the available list'
+      );
+    }
+
+    logger.info(
+      `Selected USD currency: ${currency.name} (Code: ${currency.code})`
     );
+    return { code: currency.code, name: currency.name };
   }
 
-  // Prioritize entries containing "CASH" or "BILLETE"
-  const cashEntry = usdCandidates.find(
-    currency =>
-      normalizeString(currency?.Nombre).includes('BILLETE') ||
-      normalizeString(currency?.Nombre).includes('CASH')
-  );
+  /**
+   * Query the exchange rates service for a currency over a date range
+   * Handles the BCU status block, mapping error 100 (no data) to an empty list
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @param {string} fromISO - Start date in YYYY-MM-DD format
+   * @param {string} toISO - End date in YYYY-MM-DD format
+   * @returns {Promise<Object[]>} Raw BCU records (may be empty)
+   * @throws {Error} If SOAP service fails or returns error
+   */
+  async function queryExchangeRates(currencyCode, fromISO, toISO) {
+    const args = {
+      Entrada: {
+        Moneda: { item: [currencyCode] },
+        FechaDesde: fromISO,
+        FechaHasta: toISO,
+        Grupo: bcuConfig.localExchangeRatesGroup,
+      },
+    };
 
-  const selectedCurrency = cashEntry || usdCandidates[0];
-  const code = Number(selectedCurrency?.Codigo);
+    const result = await soapClients.callSOAPService(
+      bcuConfig.wsdl.exchangeRates,
+      EXCHANGE_RATE_METHODS,
+      args
+    );
 
-  if (!Number.isFinite(code)) {
-    throw new Error('Invalid currency code received from BCU service');
-  }
+    if (!result) {
+      throw new Error(
+        'Failed to invoke BCU exchange rates web service (awsbcucotizaciones)'
+      );
+    }
 
-  logger.info(
-    `Selected USD currency: ${selectedCurrency?.Nombre} (Code: ${code})`
-  );
-  return { code, name: selectedCurrency?.Nombre };
-}
+    logger.debug('BCU SOAP response received', result);
+
+    // Check response status for errors
+    const status =
+      result?.Salida?.respuestastatus ||
+      result?.wsbcucotizacionesout?.respuestastatus ||
+      result?.respuestastatus ||
+      result?.return?.respuestastatus;
+
+    const errorCode = Number(
+      status?.codigoerror ??
+        status?.Codigoerror ??
+        status?.Codigoerr ??
+        status?.Codigo ??
+        0
+    );
 
-/**
- * Query exchange rate for a specific currency and date
- *
- * @param {number} currencyCode - BCU currency code
- * @param {string} dateISO - Date in YYYY-MM-DD format
- * @returns {Promise<Object|null>} Exchange rate data or null if no data available
- * @throws {Error} If SOAP service fails or returns error
- */
-export async function getExchangeRateByDate(currencyCode, dateISO) {
-  const client = await createSOAPClient(config.bcu.wsdl.exchangeRates);
-  const args = {
-    Entrada: {
-      Moneda: { item: [currencyCode] },
-      FechaDesde: dateISO,
-      FechaHasta: dateISO,
-      Grupo: config.bcu.localExchangeRatesGroup,
-    },
-  };
+    if (Number.isFinite(errorCode) && errorCode !== 0) {
+      if (errorCode === 100) {
+        logger.info(
+          `No exchange rate data available for: ${fromISO}..${toISO}`
+        );
+        return []; // No data available for this range (normal for weekends/holidays)
+      }
+      const message =
+        status?.Mensaje || status?.mensaje || 'BCU web service error';
+      throw new Error(`BCU Error ${errorCode}: ${message}`);
+    }
 
-  const result = await invokeSOAPMethod(
-    client,
-    [
-      'Execute',
-      'awsbcucotizaciones',
-      'execute',
-      'WSBCUCOTIZACIONES',
-      'WSCotizaciones',
-    ],
-    args
-  );
+    // Extract exchange rate data from response
+    const exchangeData =
+      result?.Salida?.datoscotizaciones?.['datoscotizaciones.dato'] ||
+      result?.Salida?.datoscotizaciones ||
+      result?.wsbcucotizacionesout?.datoscotizaciones ||
+      result?.datoscotizaciones ||
+      result?.return?.datoscotizaciones ||
+      [];
+
+    // Handle both single object and array responses
+    // Single date queries return object, date ranges return array
+    let dataList;
+    if (Array.isArray(exchangeData)) {
+      dataList = exchangeData;
+    } else if (exchangeData && typeof exchangeData === 'object') {
+      dataList = [exchangeData]; // Wrap single object in array
+    } else {
+      dataList = Object.values(exchangeData || {});
+    }
 
-  if (!result) {
-    throw new Error(
-      'Failed to invoke BCU exchange rates web service (awsbcucotizaciones)'
-    );
+    return dataList.filter(r => Number(r?.Moneda) === Number(currencyCode));
   }
 
-  logger.debug('BCU SOAP response received', result);
-
-  // Check response status for errors
-  const status =
-    result?.Salida?.respuestastatus ||
-    result?.wsbcucotizacionesout?.respuestastatus ||
-    result?.respuestastatus ||
-    result?.return?.respuestastatus;
-
-  const errorCode = Number(
-    status?.codigoerror ??
-      status?.Codigoerror ??
-      status?.Codigoerr ??
-      status?.Codigo ??
-      0
-  );
+  /**
+   * Query exchange rate for a specific currency and date
+   * Reads through the local rate store: stored past rates are served without
+   * calling BCU, and newly fetched past rates are persisted
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @param {string} dateISO - Date in YYYY-MM-DD format
+   * @returns {Promise<Object|null>} Exchange rate data or null if no data available
+   * @throws {Error} If SOAP service fails or returns error
+   */
+  async function getExchangeRateByDate(currencyCode, dateISO) {
+    const storedRate = await rateStore.getStoredRate(currencyCode, dateISO);
+    if (storedRate) {
+      logger.debug(`Exchange rate served from store: ${dateISO}`);
+      return storedRate;
+    }
 
-  if (Number.isFinite(errorCode) && errorCode !== 0) {
-    if (errorCode === 100) {
-      logger.info(`No exchange rate data available for date: ${dateISO}`);
-      return null; // No data available for this date (normal for weekends/holidays)
+    const records = await queryExchangeRates(currencyCode, dateISO, dateISO);
+
+    // Find matching record for the requested date
+    const record = records.find(
+      r => dayjs(r?.Fecha).format('YYYY-MM-DD') === dateISO
+    );
+
+    if (!record) {
+      logger.debug(
+        `No matching record found for currency ${currencyCode} on ${dateISO}`
+      );
+      return null;
     }
-    const message =
-      status?.Mensaje || status?.mensaje || 'BCU web service error';
-    throw new Error(`BCU Error ${errorCode}: ${message}`);
+
+    const exchangeRate = toExchangeRate(record);
+    await rateStore.saveRates(currencyCode, [exchangeRate]);
+    return exchangeRate;
   }
 
-  // Extract exchange rate data from response
-  const exchangeData =
-    result?.Salida?.datoscotizaciones?.['datoscotizaciones.dato'] ||
-    result?.Salida?.datoscotizaciones ||
-    result?.wsbcucotizacionesout?.datoscotizaciones ||
-    result?.datoscotizaciones ||
-    result?.return?.datoscotizaciones ||
-    [];
-
-  // Handle both single object and array responses
-  // Single date queries return object, date ranges return array
-  let dataList;
-  if (Array.isArray(exchangeData)) {
-    dataList = exchangeData;
-  } else if (exchangeData && typeof exchangeData === 'object') {
-    dataList = [exchangeData]; // Wrap single object in array
-  } else {
-    dataList = Object.values(exchangeData || {});
+  /**
+   * Get a past date range from the rate store, if every closing in it is stored
+   * Closings are the banking business days of the calendar; a range missing
+   * any of them is queried from BCU instead
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @param {string} fromISO - Start date in YYYY-MM-DD format (inclusive)
+   * @param {string} toISO - End date in YYYY-MM-DD format (inclusive)
+   * @returns {Promise<Object[]|null>} Stored exchange rates ordered by date,
+   *   or null if the range is not fully stored
+   */
+  async function getFullyStoredRates(currencyCode, fromISO, toISO) {
+    if (toISO >= dayjs().format('YYYY-MM-DD')) {
+      return null;
+    }
+
+    const storedRates = await rateStore.getStoredRates(
+      currencyCode,
+      fromISO,
+      toISO
+    );
+    if (!storedRates) {
+      return null;
+    }
+
+    const storedDates = new Set(storedRates.map(rate => rate.date));
+    const isComplete = calendar
+      .getCalendarDays(fromISO, toISO)
+      .every(day => !day.isBusinessDay || storedDates.has(day.date));
+    return isComplete ? storedRates : null;
   }
 
-  // Find matching record for the requested currency and date
-  const record = dataList.find(
-    r =>
-      Number(r?.Moneda) === Number(currencyCode) &&
-      dayjs(r?.Fecha).format('YYYY-MM-DD') === dateISO
-  );
+  /**
+   * Query exchange rates for a currency over a date range with a single BCU call
+   * Reads through the local rate store: past ranges whose closings are all
+   * stored are served without calling BCU, and fetched past rates are persisted
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @param {string} fromISO - Start date in YYYY-MM-DD format (inclusive)
+   * @param {string} toISO - End date in YYYY-MM-DD format (inclusive)
+   * @returns {Promise<Object[]>} Exchange rates ordered by date ascending (one per day)
+   * @throws {Error} If SOAP service fails or returns error
+   */
+  async function getExchangeRatesByRange(currencyCode, fromISO, toISO) {
+    const storedRates = await getFullyStoredRates(currencyCode, fromISO, toISO);
+    if (storedRates) {
+      logger.debug(`Exchange rates served from store: ${fromISO}..${toISO}`);
+      return storedRates;
+    }
+
+    const records = await queryExchangeRates(currencyCode, fromISO, toISO);
 
-  if (!record) {
-    logger.debug(
-      `No matching record found for currency ${currencyCode} on ${dateISO}`
+    // Keep a single record per day, restricted to the requested range
+    const byDate = new Map();
+    for (const record of records) {
+      const rate = toExchangeRate(record);
+      if (rate.date >= fromISO && rate.date <= toISO) {
+        byDate.set(rate.date, rate);
+      }
+    }
+
+    const exchangeRates = [...byDate.values()].sort((a, b) =>
+      a.date.localeCompare(b.date)
     );
-    return null;
+    await rateStore.saveRates(currencyCode, exchangeRates);
+    return exchangeRates;
   }
 
-  // Return standardized exchange rate object
-  return {
-    date: dayjs(record.Fecha).format('YYYY-MM-DD'),
-    currency: record?.Nombre,
-    isoCode: record?.CodigoISO,
-    issuer: record?.Emisor,
-    buyRate: Number(record?.TCC),
-    sellRate: Number(record?.TCV),
-    arbitrage: record?.ArbAct !== null ? Number(record.ArbAct) : null,
-    arbitrageMethod: record?.FormaArbitrar ?? null,
-  };
-}
+  /**
+   * Query exchange rate for a date, falling back to the nearest published rate
+   * when the date has none (weekends, holidays). The search is bounded to
+   * `windowDays` days before (previous) or after (next) the requested date and
+   * uses a single range query.
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @param {string} dateISO - Requested date in YYYY-MM-DD format
+   * @param {string} direction - Fallback direction: 'previous', 'next' or 'none'
+   * @param {number} windowDays - Maximum number of days to search
+   * @returns {Promise<Object|null>} Exchange rate data (its `date` is the effective
+   *   rate date) or null if no rate is published within the window
+   * @throws {Error} If SOAP service fails or returns error
+   */
+  async function getExchangeRateWithFallback(
+    currencyCode,
+    dateISO,
+    direction = 'none',
+    windowDays = bcuConfig.fallbackWindowDays
+  ) {
+    const exchangeRate = await getExchangeRateByDate(currencyCode, dateISO);
+    if (exchangeRate || direction === 'none') {
+      return exchangeRate;
+    }
 
-/**
- * Get the latest available exchange rate for USD
- * First tries the last closing service, then falls back to scanning recent dates
- *
- * @param {number} currencyCode - BCU currency code
- * @returns {Promise<Object|null>} Latest exchange rate data or null if not found
- * @throws {Error} If SOAP service fails
- */
-export async function getLatestUSDExchangeRate(currencyCode) {
-  // Strategy 1: Try direct last closing service
-  try {
-    logger.debug('Attempting to get latest rate via last closing service');
-    const client = await createSOAPClient(config.bcu.wsdl.lastClosing);
+    const date = dayjs(dateISO);
+    const today = dayjs().format('YYYY-MM-DD');
+
+    if (direction === 'previous') {
+      const fromISO = date.subtract(windowDays, 'day').format('YYYY-MM-DD');
+      const toISO = date.subtract(1, 'day').format('YYYY-MM-DD');
+      const rates = await getExchangeRatesByRange(currencyCode, fromISO, toISO);
+      return rates[rates.length - 1] || null;
+    }
+
+    // Rates are never published ahead of time, so stop searching at today
+    const fromISO = date.add(1, 'day').format('YYYY-MM-DD');
+    const windowEnd = date.add(windowDays, 'day').format('YYYY-MM-DD');
+    const toISO = windowEnd < today ? windowEnd : today;
+    if (fromISO > toISO) {
+      return null;
+    }
+
+    const rates = await getExchangeRatesByRange(currencyCode, fromISO, toISO);
+    return rates[0] || null;
+  }
+
+  /**
+   * Get the date of the most recent closing published by BCU
+   * Uses the awsultimocierre service
+   *
+   * @returns {Promise<string|null>} Closing date (YYYY-MM-DD) or null if BCU
+   *   returned none
+   * @throws {Error} If SOAP service fails
+   */
+  async function getLastClosingDate() {
     const args = {
-      wsultimocierrein: { Grupo: config.bcu.localExchangeRatesGroup },
+      wsultimocierrein: { Grupo: bcuConfig.localExchangeRatesGroup },
     };
 
-    const result = await invokeSOAPMethod(
-      client,
+    const result = await soapClients.callSOAPService(
+      bcuConfig.wsdl.lastClosing,
       ['awsultimocierre', 'execute', 'WSULTIMOCIERRE', 'WSUltimoCierre'],
       args
     );
@@ -232,93 +534,155 @@ export async function getLatestUSDExchangeRate(currencyCode) {
       result?.UltimoCierre ||
       result?.return?.UltimoCierre;
 
-    if (lastClosingDate) {
-      const dateISO = dayjs(lastClosingDate).format('YYYY-MM-DD');
-      const exchangeRate = await getExchangeRateByDate(currencyCode, dateISO);
-      if (exchangeRate) {
-        logger.info(`Latest rate found via last closing service: ${dateISO}`);
-        return exchangeRate;
+    return lastClosingDate ? dayjs(lastClosingDate).format('YYYY-MM-DD') : null;
+  }
+
+  /**
+   * Get the latest available exchange rate for a currency
+   * First tries the last closing service, then falls back to scanning recent dates
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @returns {Promise<Object|null>} Latest exchange rate data or null if not found
+   * @throws {Error} If SOAP service fails
+   */
+  async function getLatestExchangeRate(currencyCode) {
+    // Strategy 1: Try direct last closing service
+    try {
+      logger.debug('Attempting to get latest rate via last closing service');
+      const dateISO = await getLastClosingDate();
+
+      if (dateISO) {
+        const exchangeRate = await getExchangeRateByDate(currencyCode, dateISO);
+        if (exchangeRate) {
+          logger.info(`Latest rate found via last closing service: ${dateISO}`);
+          return rememberLatestRate(currencyCode, exchangeRate);
+        }
       }
+    } catch (error) {
+      logger.warn(
+        'Last closing service failed, using fallback method',
+        error.message
+      );
     }
-  } catch (error) {
-    logger.warn(
-      'Last closing service failed, using fallback method',
-      error.message
-    );
-  }
 
-  // Strategy 2: Fallback - scan last N days for most recent data
-  logger.debug('Using fallback method to find latest rate');
-  const today = dayjs().format('YYYY-MM-DD');
-  const startDate = dayjs()
-    .subtract(config.bcu.maxDaysLookback, 'day')
-    .format('YYYY-MM-DD');
-
-  const client = await createSOAPClient(config.bcu.wsdl.exchangeRates);
-  const args = {
-    Entrada: {
-      Moneda: { item: [currencyCode] },
-      FechaDesde: startDate,
-      FechaHasta: today,
-      Grupo: config.bcu.localExchangeRatesGroup,
-    },
-  };
+    // Strategy 2: Fallback - scan last N days for most recent data
+    logger.debug('Using fallback method to find latest rate');
+    const today = dayjs().format('YYYY-MM-DD');
+    const startDate = dayjs()
+      .subtract(bcuConfig.maxDaysLookback, 'day')
+      .format('YYYY-MM-DD');
 
-  const result = await invokeSOAPMethod(
-    client,
-    [
-      'Execute',
-      'awsbcucotizaciones',
-      'execute',
-      'WSBCUCOTIZACIONES',
-      'WSCotizaciones',
-    ],
-    args
-  );
+    const rates = await getExchangeRatesByRange(currencyCode, startDate, today);
 
-  if (!result) {
-    throw new Error(
-      'Failed to invoke BCU exchange rates web service (fallback method)'
-    );
+    if (rates.length === 0) {
+      logger.warn(
+        `No recent exchange rate data found for currency ${currencyCode}`
+      );
+      return null;
+    }
+
+    // Rates are sorted by date ascending, so the most recent is last
+    const latestRate = rates[rates.length - 1];
+    logger.info(`Latest rate found via fallback method: ${latestRate.date}`);
+
+    return rememberLatestRate(currencyCode, latestRate);
   }
 
-  // Extract data from response
-  const exchangeData =
-    result?.Salida?.datoscotizaciones?.['datoscotizaciones.dato'] ||
-    result?.Salida?.datoscotizaciones ||
-    result?.wsbcucotizacionesout?.datoscotizaciones ||
-    result?.datoscotizaciones ||
-    result?.return?.datoscotizaciones ||
-    [];
-
-  const dataList = Array.isArray(exchangeData)
-    ? exchangeData
-    : Object.values(exchangeData || {});
-
-  // Sort by date descending and take the most recent
-  const sortedRecords = dataList
-    .filter(r => Number(r?.Moneda) === Number(currencyCode))
-    .sort((a, b) => new Date(b.Fecha) - new Date(a.Fecha));
-
-  if (sortedRecords.length === 0) {
-    logger.warn(
-      `No recent exchange rate data found for currency ${currencyCode}`
-    );
-    return null;
+  /**
+   * Record a successfully fetched latest rate as the last known good value
+   * @param {number} currencyCode - BCU currency code
+   * @param {Object} exchangeRate - Latest exchange rate
+   * @returns {Object} The same exchange rate
+   */
+  function rememberLatestRate(currencyCode, exchangeRate) {
+    lastKnownLatestRates.set(Number(currencyCode), {
+      exchangeRate,
+      fetchedAt: Date.now(),
+    });
+    return exchangeRate;
   }
 
-  const latestRecord = sortedRecords[0];
-  logger.info(`Latest rate found via fallback method: ${latestRecord.Fecha}`);
+  /**
+   * Get the last known good latest rate for a currency
+   * Entries older than `bcuConfig.staleLatestMaxAgeMs` are not returned
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @returns {{exchangeRate: Object, fetchedAt: string, ageSeconds: number}|null}
+   *   Last known rate with its fetch time and age, or null if none is usable
+   */
+  function getLastKnownLatestRate(currencyCode) {
+    const entry = lastKnownLatestRates.get(Number(currencyCode));
+    if (!entry) {
+      return null;
+    }
+
+    const ageMs = Date.now() - entry.fetchedAt;
+    if (ageMs > bcuConfig.staleLatestMaxAgeMs) {
+      return null;
+    }
+
+    return {
+      exchangeRate: entry.exchangeRate,
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      ageSeconds: Math.round(ageMs / 1000),
+    };
+  }
 
   return {
-    date: dayjs(latestRecord.Fecha).format('YYYY-MM-DD'),
-    currency: latestRecord?.Nombre,
-    isoCode: latestRecord?.CodigoISO,
-    issuer: latestRecord?.Emisor,
-    buyRate: Number(latestRecord?.TCC),
-    sellRate: Number(latestRecord?.TCV),
-    arbitrage:
-      latestRecord?.ArbAct !== null ? Number(latestRecord.ArbAct) : null,
-    arbitrageMethod: latestRecord?.FormaArbitrar ?? null,
+    getCurrencies,
+    resolveCurrency,
+    getUSDCurrencyCode,
+    getExchangeRateByDate,
+    getExchangeRatesByRange,
+    getExchangeRateWithFallback,
+    getLastClosingDate,
+    getLatestExchangeRate,
+    getLastKnownLatestRate,
   };
 }
+
+/**
+ * Default service, built from the global configuration on first use
+ */
+export const {
+  getCurrencies,
+  resolveCurrency,
+  getUSDCurrencyCode,
+  getExchangeRateByDate,
+  getExchangeRatesByRange,
+  getExchangeRateWithFallback,
+  getLastClosingDate,
+  getLatestExchangeRate,
+  getLastKnownLatestRate,
+} = lazyFunctions(
+  () =>
+    createBcuService({
+      bcuConfig: config.bcu,
+      soapClients: { callSOAPService },
+      rateStore: {
+        getStoredRate,
+        getStoredRates,
+        saveRates,
+        getStoredCurrencies,
+        saveCurrencies,
+      },
+      calendar: { getCalendarDays },
+    }),
+  [
+    'getCurrencies',
+    'resolveCurrency',
+    'getUSDCurrencyCode',
+    'getExchangeRateByDate',
+    'getExchangeRatesByRange',
+    'getExchangeRateWithFallback',
+    'getLastClosingDate',
+    'getLatestExchangeRate',
+    'getLastKnownLatestRate',
+  ]
+);
+
+/**
+ * Get the latest available exchange rate for USD
+ * @deprecated Use getLatestExchangeRate, which works for any currency code
+ */
+export const getLatestUSDExchangeRate = getLatestExchangeRate;
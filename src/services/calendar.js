@@ -0,0 +1,274 @@
+/**
+ * Uruguayan Banking Calendar
+ * Business day resolution for BCU rate publication
+ *
+ * BCU only publishes closing rates on banking business days: weekdays that
+ * are not national holidays, Carnaval or Semana de Turismo. Holidays can be
+ * adjusted through overrides (e.g. for one-off bank closures): createCalendar()
+ * takes them explicitly, and the module-level exports use `config.calendar`.
+ */
+
+import dayjs from 'dayjs';
+import { config } from '../config/index.js';
+import { lazyFunctions } from '../utils/helpers.js';
+
+/**
+ * Fixed-date holidays (MM-DD)
+ */
+const FIXED_HOLIDAYS = [
+  { date: '01-01', name: 'Año Nuevo' },
+  { date: '01-06', name: 'Día de Reyes' },
+  { date: '05-01', name: 'Día de los Trabajadores' },
+  { date: '06-19', name: 'Natalicio de Artigas' },
+  { date: '07-18', name: 'Jura de la Constitución' },
+  { date: '08-25', name: 'Declaratoria de la Independencia' },
+  { date: '11-02', name: 'Día de los Difuntos' },
+  { date: '12-25', name: 'Navidad' },
+];
+
+/**
+ * Holidays moved to Monday (Law 16.805): Tuesday/Wednesday move to the
+ * previous Monday, Thursday/Friday move to the following Monday
+ */
+const MOVABLE_HOLIDAYS = [
+  { date: '04-19', name: 'Desembarco de los 33 Orientales' },
+  { date: '05-18', name: 'Batalla de Las Piedras' },
+  { date: '10-12', name: 'Día de la Diversidad Cultural' },
+];
+
+/**
+ * Compute Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {number} year - Calendar year
+ * @returns {dayjs.Dayjs} Easter Sunday
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return dayjs(new Date(year, month - 1, day));
+}
+
+/**
+ * Move a holiday to Monday according to Law 16.805
+ * @param {dayjs.Dayjs} date - Original holiday date
+ * @returns {dayjs.Dayjs} Observed holiday date
+ */
+const observeOnMonday = date => {
+  const weekday = date.day();
+  if (weekday === 2 || weekday === 3) {
+    return date.subtract(weekday - 1, 'day');
+  }
+  if (weekday === 4 || weekday === 5) {
+    return date.add(8 - weekday, 'day');
+  }
+  return date;
+};
+
+/**
+ * Create a banking calendar
+ * @param {Object} [overrides] - Calendar overrides, shaped like `config.calendar`
+ * @param {{date: string, name: string}[]} [overrides.extraHolidays] - Extra bank holidays
+ * @param {string[]} [overrides.businessDays] - Dates forced to be business days
+ * @returns {Object} Calendar functions (getHolidays, getDayInfo,
+ *   isBusinessDay, getAdjacentBusinessDay, getCalendarDays, explainMissingRate)
+ */
+export function createCalendar({ extraHolidays = [], businessDays = [] } = {}) {
+  /** @type {Map<number, Map<string, string>>} Holidays by year, date → name */
+  const holidayCache = new Map();
+
+  /**
+   * Get all banking holidays for a year, including configured overrides
+   * @param {number} year - Calendar year
+   * @returns {Map<string, string>} Holiday names keyed by YYYY-MM-DD
+   */
+  function getHolidays(year) {
+    if (holidayCache.has(year)) {
+      return holidayCache.get(year);
+    }
+
+    const holidays = new Map();
+    const add = (date, name) => holidays.set(date.format('YYYY-MM-DD'), name);
+
+    for (const holiday of FIXED_HOLIDAYS) {
+      add(dayjs(`${year}-${holiday.date}`), holiday.name);
+    }
+
+    for (const holiday of MOVABLE_HOLIDAYS) {
+      add(observeOnMonday(dayjs(`${year}-${holiday.date}`)), holiday.name);
+    }
+
+    // Carnaval: Monday and Tuesday, 48 and 47 days before Easter
+    const easter = getEasterSunday(year);
+    add(easter.subtract(48, 'day'), 'Carnaval');
+    add(easter.subtract(47, 'day'), 'Carnaval');
+
+    // Semana de Turismo: Monday to Friday before Easter (banks closed)
+    for (let offset = 6; offset >= 2; offset--) {
+      add(easter.subtract(offset, 'day'), 'Semana de Turismo');
+    }
+
+    // Configured overrides
+    for (const { date, name } of extraHolidays) {
+      if (date.startsWith(`${year}-`)) {
+        holidays.set(date, name);
+      }
+    }
+    for (const date of businessDays) {
+      holidays.delete(date);
+    }
+
+    holidayCache.set(year, holidays);
+    return holidays;
+  }
+
+  /**
+   * Describe a calendar day
+   * @param {string} dateISO - Date in YYYY-MM-DD format
+   * @returns {{date: string, weekday: string, isBusinessDay: boolean, reason: string|null, holiday: string|null}}
+   *   Day information; `reason` is 'weekend' or 'holiday' for non-business days
+   */
+  function getDayInfo(dateISO) {
+    const date = dayjs(dateISO);
+    const holiday = getHolidays(date.year()).get(dateISO) || null;
+    const isWeekend = date.day() === 0 || date.day() === 6;
+    const isOverriddenBusinessDay = businessDays.includes(dateISO);
+
+    let reason = null;
+    if (isWeekend && !isOverriddenBusinessDay) {
+      reason = 'weekend';
+    } else if (holiday) {
+      reason = 'holiday';
+    }
+
+    return {
+      date: dateISO,
+      weekday: date.format('dddd'),
+      isBusinessDay: reason === null,
+      reason,
+      holiday,
+    };
+  }
+
+  /**
+   * Check whether BCU is expected to publish a rate on a date
+   * @param {string} dateISO - Date in YYYY-MM-DD format
+   * @returns {boolean} True if the date is a banking business day
+   */
+  const isBusinessDay = dateISO => getDayInfo(dateISO).isBusinessDay;
+
+  /**
+   * Find the closest business day strictly after (or before) a date
+   * @param {string} dateISO - Date in YYYY-MM-DD format
+   * @param {number} step - 1 for the next business day, -1 for the previous one
+   * @returns {string} Business day in YYYY-MM-DD format
+   */
+  function getAdjacentBusinessDay(dateISO, step = 1) {
+    let date = dayjs(dateISO).add(step, 'day');
+    while (!isBusinessDay(date.format('YYYY-MM-DD'))) {
+      date = date.add(step, 'day');
+    }
+    return date.format('YYYY-MM-DD');
+  }
+
+  /**
+   * Describe every day in a range
+   * @param {string} fromISO - Start date in YYYY-MM-DD format (inclusive)
+   * @param {string} toISO - End date in YYYY-MM-DD format (inclusive)
+   * @returns {Object[]} Day information for each date (see getDayInfo)
+   */
+  function getCalendarDays(fromISO, toISO) {
+    const days = [];
+    for (
+      let date = dayjs(fromISO);
+      !date.isAfter(dayjs(toISO));
+      date = date.add(1, 'day')
+    ) {
+      days.push(getDayInfo(date.format('YYYY-MM-DD')));
+    }
+    return days;
+  }
+
+  /**
+   * Explain why no rate is available for a date
+   * @param {string} dateISO - Date in YYYY-MM-DD format
+   * @returns {{reason: string, explanation: string, nextBusinessDay: string}}
+   *   Reason is one of 'weekend', 'holiday', 'future' or 'not-published'
+   */
+  function explainMissingRate(dateISO) {
+    const day = getDayInfo(dateISO);
+    const nextBusinessDay = getAdjacentBusinessDay(dateISO);
+
+    if (day.reason === 'weekend') {
+      return {
+        reason: 'weekend',
+        explanation: `${dateISO} is a ${day.weekday}; BCU does not publish rates on weekends`,
+        nextBusinessDay,
+      };
+    }
+
+    if (day.reason === 'holiday') {
+      return {
+        reason: 'holiday',
+        explanation: `${dateISO} is a banking holiday (${day.holiday}); BCU does not publish rates on holidays`,
+        nextBusinessDay,
+      };
+    }
+
+    if (dateISO >= dayjs().format('YYYY-MM-DD')) {
+      return {
+        reason: 'future',
+        explanation: `The closing rate for ${dateISO} has not been published yet`,
+        nextBusinessDay,
+      };
+    }
+
+    return {
+      reason: 'not-published',
+      explanation: `${dateISO} is a business day but BCU has no published rate for it`,
+      nextBusinessDay,
+    };
+  }
+
+  return {
+    getHolidays,
+    getDayInfo,
+    isBusinessDay,
+    getAdjacentBusinessDay,
+    getCalendarDays,
+    explainMissingRate,
+  };
+}
+
+/**
+ * Default calendar, built from the global configuration on first use
+ */
+export const {
+  getHolidays,
+  getDayInfo,
+  isBusinessDay,
+  getAdjacentBusinessDay,
+  getCalendarDays,
+  explainMissingRate,
+} = lazyFunctions(
+  () => createCalendar(config.calendar),
+  [
+    'getHolidays',
+    'getDayInfo',
+    'isBusinessDay',
+    'getAdjacentBusinessDay',
+    'getCalendarDays',
+    'explainMissingRate',
+  ]
+);
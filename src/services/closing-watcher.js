@@ -0,0 +1,122 @@
+/**
+ * Closing Watcher
+ * Polls the BCU last closing service and emits an event when a new closing
+ * is published, so subscribers (webhooks) don't have to poll the API
+ */
+
+import { EventEmitter } from 'node:events';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { getLastClosingDate } from './bcu-service.js';
+
+/**
+ * Rate events
+ * - 'closing': `{ date, previousDate }` when BCU publishes a new closing
+ */
+export const rateEvents = new EventEmitter();
+
+/** @type {NodeJS.Timeout|null} Polling timer */
+let timer = null;
+
+/** @type {Promise<void>|null} In-flight check, shared by overlapping calls */
+let currentCheck = null;
+
+const status = {
+  lastClosingDate: null,
+  lastCheckAt: null,
+  lastSuccessAt: null,
+  lastError: null,
+};
+
+/**
+ * Check the last closing date and emit 'closing' when it advanced
+ * The first successful check only records a baseline, unless a previously
+ * known closing date was given at startup
+ *
+ * @returns {Promise<void>}
+ */
+async function runCheck() {
+  status.lastCheckAt = new Date().toISOString();
+
+  try {
+    const closingDate = await getLastClosingDate();
+    status.lastSuccessAt = new Date().toISOString();
+    status.lastError = null;
+
+    if (!closingDate) {
+      return;
+    }
+
+    if (!status.lastClosingDate) {
+      logger.info(`Closing watcher baseline: ${closingDate}`);
+      status.lastClosingDate = closingDate;
+      return;
+    }
+
+    if (closingDate > status.lastClosingDate) {
+      const previousDate = status.lastClosingDate;
+      status.lastClosingDate = closingDate;
+      logger.info(`New BCU closing published: ${closingDate}`, {
+        previousDate,
+      });
+      rateEvents.emit('closing', { date: closingDate, previousDate });
+    }
+  } catch (error) {
+    status.lastError = error.message;
+    logger.warn('Closing watcher check failed', error.message);
+  }
+}
+
+/**
+ * Check for a new closing now
+ * Overlapping calls (slow BCU responses) share the in-flight check
+ *
+ * @returns {Promise<void>}
+ */
+export function checkForNewClosing() {
+  currentCheck ??= runCheck().finally(() => {
+    currentCheck = null;
+  });
+  return currentCheck;
+}
+
+/**
+ * Start polling for new closings (no-op when CLOSING_POLL_INTERVAL_MS is 0)
+ * @param {Object} options - Watcher options
+ * @param {string|null} options.initialClosingDate - Last closing already
+ *   notified (e.g. persisted before a restart); a newer one is emitted on the
+ *   first check
+ */
+export function startClosingWatcher({ initialClosingDate = null } = {}) {
+  if (timer || config.closingWatcher.intervalMs === 0) {
+    return;
+  }
+
+  status.lastClosingDate = initialClosingDate;
+  logger.info(
+    `Closing watcher started (every ${config.closingWatcher.intervalMs}ms)`
+  );
+
+  checkForNewClosing();
+  timer = setInterval(checkForNewClosing, config.closingWatcher.intervalMs);
+}
+
+/**
+ * Stop polling for new closings
+ */
+export function stopClosingWatcher() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get the watcher status
+ * @returns {Object} Running flag, last closing date and last check times
+ */
+export const getClosingWatcherStatus = () => ({
+  running: timer !== null,
+  intervalMs: config.closingWatcher.intervalMs,
+  ...status,
+});
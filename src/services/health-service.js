@@ -0,0 +1,184 @@
+/**
+ * Health Service
+ * Readiness checks for probes: BCU reachability, recent successful BCU calls
+ * and circuit breaker states
+ *
+ * A failing BCU check makes the instance not ready unless
+ * `config.health.requireBcu` is turned off, for deployments that prefer to
+ * stay in rotation and serve stale last-known-good responses during an outage.
+ */
+
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { shutdownSignal } from '../utils/request-context.js';
+import {
+  getCircuitBreakerStates,
+  getLastSuccessfulCallAt,
+} from '../utils/soap-client.js';
+import { CIRCUIT_STATES } from '../utils/circuit-breaker.js';
+
+/**
+ * Cached reachability result, shared by probes within the cache lifetime
+ * @type {{result: Object, checkedAt: number}|null}
+ */
+let cachedReachability = null;
+
+/** @type {Promise<Object>|null} In-flight reachability check */
+let currentReachabilityCheck = null;
+
+/**
+ * Fetch a WSDL to check that its BCU service answers
+ * @param {string} wsdlUrl - WSDL URL
+ * @returns {Promise<Object>} `{ url, reachable, statusCode?, error?, durationMs }`
+ */
+async function probeWsdl(wsdlUrl) {
+  const startTime = Date.now();
+
+  try {
+    const response = await fetch(wsdlUrl, {
+      signal: AbortSignal.any([
+        AbortSignal.timeout(config.health.checkTimeoutMs),
+        shutdownSignal,
+      ]),
+    });
+    // Only the status matters; release the connection without reading the WSDL
+    await response.body?.cancel();
+
+    return {
+      url: wsdlUrl,
+      reachable: response.ok,
+      statusCode: response.status,
+      durationMs: Date.now() - startTime,
+    };
+  } catch (error) {
+    return {
+      url: wsdlUrl,
+      reachable: false,
+      error: error.cause?.code || error.message,
+      durationMs: Date.now() - startTime,
+    };
+  }
+}
+
+/**
+ * Check that every BCU WSDL is reachable
+ * Results are cached for `config.health.checkCacheMs` so frequent probes
+ * don't hit BCU; concurrent probes share the in-flight check
+ *
+ * @returns {Promise<Object>} `{ status, checkedAt, services }`
+ */
+export async function checkBcuReachability() {
+  if (
+    cachedReachability &&
+    Date.now() - cachedReachability.checkedAt < config.health.checkCacheMs
+  ) {
+    return cachedReachability.result;
+  }
+
+  currentReachabilityCheck ??= (async () => {
+    try {
+      const services = Object.fromEntries(
+        await Promise.all(
+          Object.entries(config.bcu.wsdl).map(async ([name, wsdlUrl]) => [
+            name,
+            await probeWsdl(wsdlUrl),
+          ])
+        )
+      );
+      const reachable = Object.values(services).every(
+        service => service.reachable
+      );
+      const result = {
+        status: reachable ? 'pass' : 'fail',
+        checkedAt: new Date().toISOString(),
+        services,
+      };
+
+      if (!reachable) {
+        logger.warn('BCU reachability check failed', services);
+      }
+      cachedReachability = { result, checkedAt: Date.now() };
+      return result;
+    } finally {
+      currentReachabilityCheck = null;
+    }
+  })();
+
+  return currentReachabilityCheck;
+}
+
+/**
+ * Check the age of the last successful BCU call
+ * An instance that has not called BCU yet (e.g. idle, with the closing
+ * watcher disabled) passes: no traffic is no evidence of an outage
+ *
+ * @returns {Object} `{ status, lastSuccessAt, ageSeconds, maxAgeSeconds }`
+ */
+function checkLastFetch() {
+  const lastSuccessfulCallAt = getLastSuccessfulCallAt();
+  const { maxFetchAgeMs } = config.health;
+  const maxAgeSeconds = maxFetchAgeMs / 1000;
+
+  if (lastSuccessfulCallAt === null) {
+    return {
+      status: 'pass',
+      lastSuccessAt: null,
+      ageSeconds: null,
+      maxAgeSeconds,
+    };
+  }
+
+  const ageMs = Date.now() - lastSuccessfulCallAt;
+  return {
+    status: maxFetchAgeMs === 0 || ageMs <= maxFetchAgeMs ? 'pass' : 'fail',
+    lastSuccessAt: new Date(lastSuccessfulCallAt).toISOString(),
+    ageSeconds: Math.floor(ageMs / 1000),
+    maxAgeSeconds,
+  };
+}
+
+/**
+ * Check that no BCU circuit breaker is open
+ * Half-open circuits pass, since they are about to probe BCU again
+ *
+ * @returns {Object} `{ status, open }` with the names of open circuits
+ */
+function checkCircuits() {
+  const open = getCircuitBreakerStates()
+    .filter(breaker => breaker.state === CIRCUIT_STATES.OPEN)
+    .map(breaker => breaker.name);
+
+  return { status: open.length === 0 ? 'pass' : 'fail', open };
+}
+
+/**
+ * Evaluate readiness to serve traffic
+ * Status is 'degraded' when a BCU check fails; the instance stays ready
+ * unless `config.health.requireBcu` is set
+ *
+ * @returns {Promise<Object>} `{ ready, status, checks }`
+ */
+export async function getReadiness() {
+  if (shutdownSignal.aborted) {
+    return { ready: false, status: 'shutting-down', checks: {} };
+  }
+
+  // Fixture and replay modes never call BCU, so its reachability doesn't matter
+  const checks = {
+    bcuReachability:
+      config.bcu.mode === 'live'
+        ? await checkBcuReachability()
+        : { status: 'pass', mode: config.bcu.mode },
+    lastFetch: checkLastFetch(),
+    circuitBreakers: checkCircuits(),
+  };
+  const bcuHealthy = Object.values(checks).every(
+    check => check.status === 'pass'
+  );
+
+  return {
+    ready: bcuHealthy || !config.health.requireBcu,
+    status: bcuHealthy ? 'ready' : 'degraded',
+    checks,
+  };
+}
@@ -0,0 +1,286 @@
+/**
+ * Historical Rate Store
+ * Append-only NDJSON persistence for published BCU closing rates
+ *
+ * Published rates for past dates never change, so once a rate has been
+ * fetched it is appended to a local file and served from there afterwards.
+ * Each line holds one exchange rate plus its BCU currency code; when the same
+ * currency/date appears more than once, the last line wins.
+ *
+ * createRateStore() builds a store for given storage settings; the
+ * module-level exports belong to the default store, built from the global
+ * `config` on first use.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dayjs from 'dayjs';
+import { config } from '../config/index.js';
+import { logger as defaultLogger } from '../utils/logger.js';
+import { lazyFunctions } from '../utils/helpers.js';
+
+/**
+ * Build the in-memory key for a currency/date pair
+ * @param {number} currencyCode - BCU currency code
+ * @param {string} dateISO - Date in YYYY-MM-DD format
+ * @returns {string} Store key
+ */
+const storeKey = (currencyCode, dateISO) =>
+  `${Number(currencyCode)}:${dateISO}`;
+
+/**
+ * Check whether a date is final (strictly before today) and therefore storable
+ * @param {string} dateISO - Date in YYYY-MM-DD format
+ * @returns {boolean} True if the published rate can no longer change
+ */
+const isFinalDate = dateISO => dateISO < dayjs().format('YYYY-MM-DD');
+
+/**
+ * Create a rate store
+ * @param {Object} storageConfig - Storage settings, shaped like `config.storage`
+ *   (`{ enabled, path, currenciesPath }`)
+ * @param {Object} [options] - Store options
+ * @param {Object} [options.logger] - Logger
+ * @returns {Object} Store with getStoredRate(), getStoredRates(),
+ *   saveRates(), getStoredCurrencies() and saveCurrencies()
+ */
+export function createRateStore(
+  storageConfig,
+  { logger = defaultLogger } = {}
+) {
+  /** @type {Promise<Map<string, Object>>|null} Lazily loaded store contents */
+  let storePromise = null;
+
+  /** @type {Promise<void>} Serializes appends so lines never interleave */
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Read the store file into memory, skipping malformed lines
+   * @returns {Promise<Map<string, Object>>} Stored rates by key
+   */
+  async function loadStore() {
+    const rates = new Map();
+
+    let content;
+    try {
+      content = await fs.readFile(storageConfig.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read rate store, starting empty', error.message);
+      }
+      return rates;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const { currencyCode, ...rate } = JSON.parse(line);
+        rates.set(storeKey(currencyCode, rate.date), rate);
+      } catch {
+        logger.warn('Skipping malformed rate store line', line);
+      }
+    }
+
+    logger.info(`Rate store loaded: ${rates.size} records`, {
+      path: storageConfig.path,
+    });
+    return rates;
+  }
+
+  /**
+   * Get the store contents, loading the file on first use
+   * @returns {Promise<Map<string, Object>>} Stored rates by key
+   */
+  const getStore = () => {
+    if (!storePromise) {
+      storePromise = loadStore();
+    }
+    return storePromise;
+  };
+
+  /**
+   * Get a stored exchange rate
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @param {string} dateISO - Date in YYYY-MM-DD format
+   * @returns {Promise<Object|null>} Stored exchange rate or null if not stored
+   */
+  async function getStoredRate(currencyCode, dateISO) {
+    if (!storageConfig.enabled) {
+      return null;
+    }
+
+    const store = await getStore();
+    return store.get(storeKey(currencyCode, dateISO)) || null;
+  }
+
+  /**
+   * Get the stored exchange rates of a date range
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @param {string} fromISO - Start date in YYYY-MM-DD format (inclusive)
+   * @param {string} toISO - End date in YYYY-MM-DD format (inclusive)
+   * @returns {Promise<Object[]|null>} Stored exchange rates ordered by date,
+   *   or null if the store is disabled
+   */
+  async function getStoredRates(currencyCode, fromISO, toISO) {
+    if (!storageConfig.enabled) {
+      return null;
+    }
+
+    const store = await getStore();
+    const rates = [];
+    for (
+      let date = dayjs(fromISO);
+      !date.isAfter(dayjs(toISO));
+      date = date.add(1, 'day')
+    ) {
+      const rate = store.get(storeKey(currencyCode, date.format('YYYY-MM-DD')));
+      if (rate) {
+        rates.push(rate);
+      }
+    }
+    return rates;
+  }
+
+  /**
+   * Persist exchange rates for past dates that are not stored yet
+   * Write failures are logged and never propagated to the caller
+   *
+   * @param {number} currencyCode - BCU currency code
+   * @param {Object[]} rates - Exchange rates to store
+   * @returns {Promise<number>} Number of newly stored rates
+   */
+  async function saveRates(currencyCode, rates) {
+    if (!storageConfig.enabled) {
+      return 0;
+    }
+
+    const store = await getStore();
+    const newRates = rates.filter(
+      rate =>
+        isFinalDate(rate.date) && !store.has(storeKey(currencyCode, rate.date))
+    );
+
+    if (newRates.length === 0) {
+      return 0;
+    }
+
+    for (const rate of newRates) {
+      store.set(storeKey(currencyCode, rate.date), rate);
+    }
+
+    const lines = newRates
+      .map(rate =>
+        JSON.stringify({ currencyCode: Number(currencyCode), ...rate })
+      )
+      .join('\n');
+
+    writeQueue = writeQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(storageConfig.path), { recursive: true });
+        await fs.appendFile(storageConfig.path, `${lines}\n`, 'utf8');
+      } catch (error) {
+        logger.warn('Failed to persist rates to store', error.message);
+      }
+    });
+    await writeQueue;
+
+    logger.debug(
+      `Stored ${newRates.length} rates for currency ${currencyCode}`
+    );
+    return newRates.length;
+  }
+
+  /**
+   * Read the stored currency catalogs
+   * @returns {Promise<Object>} Currency lists keyed by BCU group
+   */
+  async function readCurrencyCatalogs() {
+    try {
+      return JSON.parse(
+        await fs.readFile(storageConfig.currenciesPath, 'utf8')
+      );
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read stored currency catalog', error.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Get the stored currency catalog for a group
+   * Used when BCU is unreachable so stored rates can still be resolved
+   *
+   * @param {number} group - BCU currency group
+   * @returns {Promise<Object[]|null>} Stored currency list or null if not stored
+   */
+  async function getStoredCurrencies(group) {
+    if (!storageConfig.enabled) {
+      return null;
+    }
+
+    const catalogs = await readCurrencyCatalogs();
+    return catalogs[group] || null;
+  }
+
+  /**
+   * Persist the currency catalog for a group
+   * Write failures are logged and never propagated to the caller
+   *
+   * @param {number} group - BCU currency group
+   * @param {Object[]} currencies - Normalized currency list
+   * @returns {Promise<void>}
+   */
+  async function saveCurrencies(group, currencies) {
+    if (!storageConfig.enabled) {
+      return;
+    }
+
+    try {
+      const catalogs = await readCurrencyCatalogs();
+      catalogs[group] = currencies;
+      await fs.mkdir(path.dirname(storageConfig.currenciesPath), {
+        recursive: true,
+      });
+      await fs.writeFile(
+        storageConfig.currenciesPath,
+        JSON.stringify(catalogs, null, 2),
+        'utf8'
+      );
+    } catch (error) {
+      logger.warn('Failed to persist currency catalog', error.message);
+    }
+  }
+
+  return {
+    getStoredRate,
+    getStoredRates,
+    saveRates,
+    getStoredCurrencies,
+    saveCurrencies,
+  };
+}
+
+/**
+ * Default store, built from the global configuration on first use
+ */
+export const {
+  getStoredRate,
+  getStoredRates,
+  saveRates,
+  getStoredCurrencies,
+  saveCurrencies,
+} = lazyFunctions(
+  () => createRateStore(config.storage),
+  [
+    'getStoredRate',
+    'getStoredRates',
+    'saveRates',
+    'getStoredCurrencies',
+    'saveCurrencies',
+  ]
+);
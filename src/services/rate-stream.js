@@ -0,0 +1,174 @@
+/**
+ * Rate Stream Service
+ * Fans out newly published USD closings to Server-Sent Events clients
+ *
+ * Events use the closing date as their ID, so the `Last-Event-ID` sent by a
+ * reconnecting client tells which closings it has already received.
+ */
+
+import dayjs from 'dayjs';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { streamClients } from '../utils/metrics.js';
+import { RequestAbortedError } from '../utils/errors.js';
+import {
+  getUSDCurrencyCode,
+  getExchangeRateByDate,
+  getExchangeRatesByRange,
+  getLatestExchangeRate,
+  getLastKnownLatestRate,
+} from './bcu-service.js';
+import { rateEvents } from './closing-watcher.js';
+
+/** @type {Set<Function>} Listeners of connected clients */
+const subscribers = new Set();
+
+/**
+ * Serialize an event in the SSE wire format
+ * @param {Object} event - Event
+ * @param {string} [event.id] - Event ID (closing date)
+ * @param {string} event.event - Event type
+ * @param {Object} event.data - JSON payload
+ * @returns {string} SSE message
+ */
+export const formatEvent = ({ id, event, data }) =>
+  `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Build a 'rate' event
+ * @param {string} name - Currency name
+ * @param {Object} exchangeRate - Exchange rate
+ * @param {Object} staleness - `{ stale, ageSeconds?, fetchedAt? }`
+ * @returns {Object} Event with the rate date as ID
+ */
+const toRateEvent = (name, exchangeRate, staleness) => ({
+  id: exchangeRate.date,
+  event: 'rate',
+  data: {
+    currency: name,
+    date: exchangeRate.date,
+    isoCode: exchangeRate.isoCode,
+    issuer: exchangeRate.issuer,
+    buyRate: exchangeRate.buyRate,
+    sellRate: exchangeRate.sellRate,
+    ...staleness,
+    timestamp: new Date().toISOString(),
+  },
+});
+
+/**
+ * Fetch the USD rate of a new closing and send it to every client
+ * @param {Object} closing - Closing event (`{ date }`)
+ * @returns {Promise<void>}
+ */
+async function onClosing({ date }) {
+  try {
+    const { code, name } = await getUSDCurrencyCode();
+    const exchangeRate = await getExchangeRateByDate(code, date);
+    if (!exchangeRate) {
+      logger.warn(`No USD rate published for new closing ${date}`);
+      return;
+    }
+
+    const event = toRateEvent(name, exchangeRate, { stale: false });
+    for (const send of subscribers) {
+      send(event);
+    }
+  } catch (error) {
+    logger.warn(`Rate stream update for ${date} failed`, error.message);
+  }
+}
+
+/**
+ * Subscribe a client to new closings
+ * The closing listener is only attached while at least one client is connected
+ *
+ * @param {Function} send - Called with each new 'rate' event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(send) {
+  if (subscribers.size === 0) {
+    rateEvents.on('closing', onClosing);
+  }
+  subscribers.add(send);
+  streamClients.set(subscribers.size);
+
+  return () => {
+    if (subscribers.delete(send) && subscribers.size === 0) {
+      rateEvents.off('closing', onClosing);
+    }
+    streamClients.set(subscribers.size);
+  };
+}
+
+/**
+ * Number of connected clients
+ * @returns {number} Client count
+ */
+export const getStreamClientCount = () => subscribers.size;
+
+/**
+ * Get the events a client should receive on connect
+ * - New client: the latest rate (the last known one, flagged stale, if BCU fails)
+ * - Resuming client: every closing published after its last event ID, when
+ *   the gap fits in one range query, otherwise just the latest rate
+ *
+ * @param {string|null} lastEventId - Last received closing date (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} 'rate' events in date order
+ * @throws {Error} If BCU fails and no last known rate is available
+ */
+export async function getInitialEvents(lastEventId) {
+  const { code, name } = await getUSDCurrencyCode();
+
+  let exchangeRate;
+  let staleness = { stale: false };
+  try {
+    exchangeRate = await getLatestExchangeRate(code);
+  } catch (error) {
+    const lastKnown =
+      !(error instanceof RequestAbortedError) && getLastKnownLatestRate(code);
+    if (!lastKnown) {
+      throw error;
+    }
+    ({ exchangeRate } = lastKnown);
+    staleness = {
+      stale: true,
+      ageSeconds: lastKnown.ageSeconds,
+      fetchedAt: lastKnown.fetchedAt,
+    };
+  }
+
+  if (!exchangeRate || (lastEventId && exchangeRate.date <= lastEventId)) {
+    return [];
+  }
+
+  const latestEvent = toRateEvent(name, exchangeRate, staleness);
+  if (!lastEventId || staleness.stale) {
+    return [latestEvent];
+  }
+
+  // Replay the closings missed while disconnected
+  const fromISO = dayjs(lastEventId).add(1, 'day').format('YYYY-MM-DD');
+  if (
+    dayjs(exchangeRate.date).diff(fromISO, 'day') >= config.bcu.maxRangeDays
+  ) {
+    return [latestEvent];
+  }
+
+  try {
+    const missed = await getExchangeRatesByRange(
+      code,
+      fromISO,
+      exchangeRate.date
+    );
+    return missed.length > 0
+      ? missed.map(rate => toRateEvent(name, rate, staleness))
+      : [latestEvent];
+  } catch (error) {
+    if (error instanceof RequestAbortedError) {
+      throw error;
+    }
+    logger.warn('Could not replay missed closings', error.message);
+    return [latestEvent];
+  }
+}
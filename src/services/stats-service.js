@@ -0,0 +1,109 @@
+/**
+ * Exchange Rate Statistics
+ * Period aggregates (average, min/max, change, volatility) over daily rates
+ */
+
+import dayjs from 'dayjs';
+
+/**
+ * Supported aggregation intervals
+ */
+export const STATS_INTERVALS = ['week', 'month', 'year'];
+
+/**
+ * Round a statistic to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places (default: 4)
+ * @returns {number} Rounded value
+ */
+const roundTo = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Get the bucket a date belongs to
+ * Weeks start on Monday and are labelled with their start date
+ *
+ * @param {string} dateISO - Date in YYYY-MM-DD format
+ * @param {string} interval - Aggregation interval (see STATS_INTERVALS)
+ * @returns {{period: string, start: string, end: string}} Bucket boundaries
+ */
+function getBucket(dateISO, interval) {
+  const date = dayjs(dateISO);
+
+  if (interval === 'week') {
+    const start = date.subtract((date.day() + 6) % 7, 'day');
+    return {
+      period: start.format('YYYY-MM-DD'),
+      start: start.format('YYYY-MM-DD'),
+      end: start.add(6, 'day').format('YYYY-MM-DD'),
+    };
+  }
+
+  const start = date.startOf(interval);
+  return {
+    period: start.format(interval === 'month' ? 'YYYY-MM' : 'YYYY'),
+    start: start.format('YYYY-MM-DD'),
+    end: date.endOf(interval).format('YYYY-MM-DD'),
+  };
+}
+
+/**
+ * Summarize a series of values in chronological order
+ * Standard deviation is the sample standard deviation (0 for a single value)
+ *
+ * @param {number[]} values - Rate values ordered by date
+ * @returns {Object} average, min, max, first, last, changePercent, standardDeviation
+ */
+function summarize(values) {
+  const count = values.length;
+  const average = values.reduce((sum, value) => sum + value, 0) / count;
+  const variance =
+    count > 1
+      ? values.reduce((sum, value) => sum + (value - average) ** 2, 0) /
+        (count - 1)
+      : 0;
+  const first = values[0];
+  const last = values[count - 1];
+
+  return {
+    average: roundTo(average),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    first,
+    last,
+    changePercent: first ? roundTo(((last - first) / first) * 100) : null,
+    standardDeviation: roundTo(Math.sqrt(variance)),
+  };
+}
+
+/**
+ * Compute buy/sell statistics per interval bucket
+ *
+ * @param {Object[]} rates - Exchange rates ordered by date ascending
+ * @param {string} interval - Aggregation interval (see STATS_INTERVALS)
+ * @returns {Object[]} One entry per bucket with data, ordered by period
+ */
+export function computeRateStatistics(rates, interval) {
+  const buckets = new Map();
+
+  for (const rate of rates) {
+    const bucket = getBucket(rate.date, interval);
+    if (!buckets.has(bucket.period)) {
+      buckets.set(bucket.period, { ...bucket, rates: [] });
+    }
+    buckets.get(bucket.period).rates.push(rate);
+  }
+
+  return [...buckets.values()].map(bucket => ({
+    period: bucket.period,
+    start: bucket.start,
+    end: bucket.end,
+    count: bucket.rates.length,
+    firstDate: bucket.rates[0].date,
+    lastDate: bucket.rates[bucket.rates.length - 1].date,
+    buy: summarize(bucket.rates.map(rate => rate.buyRate)),
+    sell: summarize(bucket.rates.map(rate => rate.sellRate)),
+  }));
+}
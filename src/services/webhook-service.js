@@ -0,0 +1,441 @@
+/**
+ * Webhook Service
+ * Subscriptions to newly published BCU closings, with signed deliveries,
+ * retries and delivery records
+ *
+ * Each delivery is an HTTP POST with a JSON body and these headers:
+ * - X-Webhook-Id / X-Webhook-Delivery / X-Webhook-Event
+ * - X-Webhook-Timestamp: Unix time (seconds) of the attempt
+ * - X-Webhook-Signature: `sha256=` + hex HMAC-SHA256 of `${timestamp}.${body}`
+ *   keyed with the webhook secret
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with
+ * exponential backoff; other responses end the delivery. Pending retries are
+ * kept in memory, do not survive a restart and are cancelled when their
+ * webhook is deleted. Callback hosts must resolve to public addresses (see
+ * checkWebhookTarget), including when delivery connects, and redirects are
+ * not followed.
+ */
+
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+import { Agent, fetch } from 'undici';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import { findPrivateAddress, publicLookup } from '../utils/private-network.js';
+import { rateEvents } from './closing-watcher.js';
+import { resolveCurrency, getExchangeRateByDate } from './bcu-service.js';
+import {
+  getWebhooks,
+  addWebhook,
+  removeWebhook,
+  saveDelivery,
+  getDeliveries,
+  setLastNotifiedClosingDate,
+} from './webhook-store.js';
+
+/**
+ * Event name sent for a newly published closing
+ */
+export const CLOSING_EVENT = 'closing.published';
+
+/** @type {Map<string, Set<NodeJS.Timeout>>} Scheduled retry timers by webhook ID */
+const retryTimers = new Map();
+
+/**
+ * Connection pool for deliveries that only connects to public addresses:
+ * the address is checked when it is resolved for the connection itself
+ */
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Remove the secret from a webhook before returning it to clients
+ * @param {Object} webhook - Stored webhook
+ * @returns {Object} Webhook without its secret
+ */
+const withoutSecret = ({ secret: _secret, ...webhook }) => webhook;
+
+/**
+ * Sign a webhook payload
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - JSON body
+ * @returns {string} Signature header value (`sha256=<hex>`)
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Check that a callback URL may receive deliveries
+ * Hosts resolving to loopback, private, link-local or reserved addresses are
+ * rejected unless `config.webhooks.allowPrivateTargets` is set
+ *
+ * @param {string} url - Callback URL
+ * @returns {Promise<string|null>} Reason the URL is rejected, or null
+ */
+export async function checkWebhookTarget(url) {
+  if (config.webhooks.allowPrivateTargets) {
+    return null;
+  }
+
+  try {
+    if (await findPrivateAddress(new URL(url).hostname)) {
+      return 'url must resolve to a public address';
+    }
+  } catch (error) {
+    return `url host cannot be resolved (${error.code || error.message})`;
+  }
+  return null;
+}
+
+/**
+ * Register a webhook
+ * The secret is only returned here; receivers use it to verify signatures
+ *
+ * @param {Object} subscription - Subscription details
+ * @param {string} subscription.url - Callback URL
+ * @param {string[]} subscription.currencies - Currency identifiers
+ * @param {string} [subscription.description] - Free-form description
+ * @param {string} owner - Client that owns the webhook
+ * @returns {Promise<Object|null>} Created webhook, including its secret, or
+ *   null if the owner already has `config.webhooks.maxPerOwner` webhooks
+ */
+export async function registerWebhook(
+  { url, currencies, description = null },
+  owner
+) {
+  const webhook = {
+    id: randomUUID(),
+    url,
+    currencies,
+    description,
+    owner,
+    secret: randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString(),
+  };
+
+  if (!(await addWebhook(webhook, config.webhooks.maxPerOwner))) {
+    return null;
+  }
+  logger.info(`Webhook registered: ${webhook.id}`, { url, owner });
+  return webhook;
+}
+
+/**
+ * List a client's webhooks
+ * @param {string} owner - Client that owns the webhooks
+ * @returns {Promise<Object[]>} Webhooks without secrets
+ */
+export async function listWebhooks(owner) {
+  return (await getWebhooks())
+    .filter(webhook => webhook.owner === owner)
+    .map(withoutSecret);
+}
+
+/**
+ * Get one of a client's webhooks
+ * @param {string} id - Webhook ID
+ * @param {string} owner - Client that owns the webhook
+ * @returns {Promise<Object|null>} Webhook without secret, or null if not found
+ */
+export async function getWebhook(id, owner) {
+  const webhook = (await getWebhooks()).find(
+    candidate => candidate.id === id && candidate.owner === owner
+  );
+  return webhook ? withoutSecret(webhook) : null;
+}
+
+/**
+ * Delete one of a client's webhooks
+ * @param {string} id - Webhook ID
+ * @param {string} owner - Client that owns the webhook
+ * @returns {Promise<boolean>} True if the webhook was deleted
+ */
+export async function deleteWebhook(id, owner) {
+  if (!(await getWebhook(id, owner))) {
+    return false;
+  }
+  cancelRetries(id);
+  return removeWebhook(id);
+}
+
+/**
+ * Get the delivery records of one of a client's webhooks
+ * @param {string} id - Webhook ID
+ * @param {string} owner - Client that owns the webhook
+ * @returns {Promise<Object[]|null>} Delivery records, or null if not found
+ */
+export async function listWebhookDeliveries(id, owner) {
+  if (!(await getWebhook(id, owner))) {
+    return null;
+  }
+  return getDeliveries(id);
+}
+
+/**
+ * Check whether a failed attempt should be retried
+ * @param {number|null} statusCode - Response status, or null on network error
+ * @returns {boolean} True if retryable
+ */
+const isRetryable = statusCode =>
+  statusCode === null ||
+  statusCode === 408 ||
+  statusCode === 429 ||
+  statusCode >= 500;
+
+/**
+ * Check whether a webhook is still registered
+ * @param {string} id - Webhook ID
+ * @returns {Promise<boolean>} True if the webhook exists
+ */
+const webhookExists = async id =>
+  (await getWebhooks()).some(webhook => webhook.id === id);
+
+/**
+ * Schedule a delivery retry, tracked per webhook so deleting the webhook
+ * cancels it
+ * @param {string} webhookId - Webhook ID
+ * @param {Function} retry - Retry to run
+ * @param {number} delayMs - Delay before the retry
+ */
+function scheduleRetry(webhookId, retry, delayMs) {
+  const timers = retryTimers.get(webhookId) ?? new Set();
+  retryTimers.set(webhookId, timers);
+
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    if (timers.size === 0) {
+      retryTimers.delete(webhookId);
+    }
+    retry();
+  }, delayMs);
+  timers.add(timer);
+}
+
+/**
+ * Cancel the scheduled retries of a webhook
+ * @param {string} webhookId - Webhook ID
+ */
+function cancelRetries(webhookId) {
+  for (const timer of retryTimers.get(webhookId) ?? []) {
+    clearTimeout(timer);
+  }
+  retryTimers.delete(webhookId);
+}
+
+/**
+ * Make one delivery attempt, scheduling a retry when it fails
+ * Nothing is sent or saved once the webhook has been deleted
+ *
+ * @param {Object} webhook - Stored webhook
+ * @param {Object} delivery - Delivery record (updated in place)
+ * @param {string} body - JSON body
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(webhook, delivery, body) {
+  if (!(await webhookExists(webhook.id))) {
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const start = Date.now();
+  const attempt = { at: new Date().toISOString(), statusCode: null };
+
+  // Checked on every attempt for a readable error; publicAgent enforces it
+  // on the connection
+  const targetError = await checkWebhookTarget(webhook.url);
+  if (targetError) {
+    attempt.error = targetError;
+  } else {
+    await sendDelivery(webhook, delivery, body, timestamp, attempt);
+  }
+  attempt.durationMs = Date.now() - start;
+
+  // The webhook may have been deleted while the request was in flight
+  if (!(await webhookExists(webhook.id))) {
+    return;
+  }
+
+  const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+  delivery.attempts.push(attempt);
+  delivery.updatedAt = new Date().toISOString();
+
+  if (succeeded) {
+    delivery.status = 'delivered';
+    logger.info(`Webhook delivered: ${webhook.id}`, {
+      deliveryId: delivery.id,
+      attempts: delivery.attempts.length,
+    });
+  } else if (
+    !targetError &&
+    isRetryable(attempt.statusCode) &&
+    delivery.attempts.length < config.webhooks.maxAttempts
+  ) {
+    const delayMs =
+      config.webhooks.retryBaseMs * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    logger.warn(`Webhook delivery failed, retrying in ${delayMs}ms`, {
+      webhookId: webhook.id,
+      deliveryId: delivery.id,
+      ...attempt,
+    });
+
+    scheduleRetry(
+      webhook.id,
+      () =>
+        attemptDelivery(webhook, delivery, body).catch(error =>
+          logger.error(`Webhook delivery attempt failed: ${webhook.id}`, error)
+        ),
+      delayMs
+    );
+  } else {
+    delivery.status = 'failed';
+    logger.warn(`Webhook delivery failed: ${webhook.id}`, {
+      deliveryId: delivery.id,
+      ...attempt,
+    });
+  }
+
+  if (delivery.status !== 'pending') {
+    delete delivery.nextAttemptAt;
+  }
+  await saveDelivery(delivery);
+}
+
+/**
+ * Send a delivery request, recording its status or error in the attempt
+ * @param {Object} webhook - Stored webhook
+ * @param {Object} delivery - Delivery record
+ * @param {string} body - JSON body
+ * @param {number} timestamp - Unix time (seconds) of the attempt
+ * @param {Object} attempt - Attempt record (updated in place)
+ * @returns {Promise<void>}
+ */
+async function sendDelivery(webhook, delivery, body, timestamp, attempt) {
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `${config.app.name}/${config.app.version}`,
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      // A redirect could point at an internal address: report it instead
+      redirect: 'manual',
+      dispatcher: config.webhooks.allowPrivateTargets ? undefined : publicAgent,
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+    });
+    attempt.statusCode = response.status;
+  } catch (error) {
+    // fetch reports connection failures (e.g. EPRIVATEADDRESS) as the cause
+    attempt.error = error.cause?.message || error.message;
+  }
+}
+
+/**
+ * Get the closing rates of each subscribed currency
+ * Currencies that cannot be resolved or have no rate for the date are skipped
+ *
+ * @param {string[]} identifiers - Currency identifiers
+ * @param {string} dateISO - Closing date
+ * @returns {Promise<Map<string, Object>>} Rate payloads by identifier
+ */
+async function getClosingRates(identifiers, dateISO) {
+  const rates = new Map();
+
+  for (const identifier of identifiers) {
+    try {
+      const currency = await resolveCurrency(identifier);
+      const exchangeRate =
+        currency && (await getExchangeRateByDate(currency.code, dateISO));
+      if (exchangeRate) {
+        rates.set(identifier, {
+          currency: currency.name,
+          ...exchangeRate,
+        });
+      }
+    } catch (error) {
+      logger.warn(`Closing rate unavailable for ${identifier}`, error.message);
+    }
+  }
+
+  return rates;
+}
+
+/**
+ * Notify every webhook of a new closing
+ * @param {Object} event - Closing event
+ * @param {string} event.date - Closing date
+ * @returns {Promise<void>}
+ */
+export async function dispatchClosing({ date }) {
+  await setLastNotifiedClosingDate(date);
+
+  const webhooks = await getWebhooks();
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const identifiers = [
+    ...new Set(webhooks.flatMap(({ currencies }) => currencies)),
+  ];
+  const rates = await getClosingRates(identifiers, date);
+
+  for (const webhook of webhooks) {
+    const delivery = {
+      id: randomUUID(),
+      webhookId: webhook.id,
+      event: CLOSING_EVENT,
+      date,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+    };
+
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: CLOSING_EVENT,
+      date,
+      rates: webhook.currencies
+        .filter(identifier => rates.has(identifier))
+        .map(identifier => rates.get(identifier)),
+      timestamp: delivery.createdAt,
+    });
+
+    await saveDelivery(delivery);
+    // Not awaited: slow receivers must not delay the other webhooks
+    attemptDelivery(webhook, delivery, body).catch(error =>
+      logger.error(`Webhook delivery attempt failed: ${webhook.id}`, error)
+    );
+  }
+}
+
+/**
+ * Handle a closing event from the watcher
+ * @param {Object} event - Closing event
+ */
+const onClosing = event =>
+  dispatchClosing(event).catch(error =>
+    logger.error(`Webhook dispatch failed for ${event.date}`, error)
+  );
+
+/**
+ * Start delivering webhooks when the closing watcher detects a new closing
+ */
+export function startWebhookDispatcher() {
+  rateEvents.on('closing', onClosing);
+}
+
+/**
+ * Stop delivering webhooks and cancel scheduled retries
+ */
+export function stopWebhookDispatcher() {
+  rateEvents.off('closing', onClosing);
+  for (const webhookId of [...retryTimers.keys()]) {
+    cancelRetries(webhookId);
+  }
+}
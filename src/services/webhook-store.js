@@ -0,0 +1,206 @@
+/**
+ * Webhook Store
+ * JSON file persistence for webhook subscriptions, delivery records and the
+ * last closing date notified
+ *
+ * The whole file is kept in memory and rewritten (via a temporary file and
+ * rename) after every change; writes are serialized so they never interleave.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} WebhookState
+ * @property {Object[]} webhooks - Registered webhooks (including secrets)
+ * @property {Object[]} deliveries - Delivery records, newest last
+ * @property {string|null} lastClosingDate - Last closing date notified
+ */
+
+/** @type {Promise<WebhookState>|null} Lazily loaded store contents */
+let statePromise = null;
+
+/** @type {Promise<void>} Serializes file writes */
+let writeQueue = Promise.resolve();
+
+/**
+ * Read the store file, starting empty when it does not exist
+ * @returns {Promise<WebhookState>} Store contents
+ */
+async function loadState() {
+  try {
+    const state = JSON.parse(
+      await fs.readFile(config.webhooks.storePath, 'utf8')
+    );
+    return {
+      webhooks: state.webhooks || [],
+      deliveries: state.deliveries || [],
+      lastClosingDate: state.lastClosingDate || null,
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(
+        'Failed to read webhook store, starting empty',
+        error.message
+      );
+    }
+    return { webhooks: [], deliveries: [], lastClosingDate: null };
+  }
+}
+
+/**
+ * Get the store contents, loading the file on first use
+ * @returns {Promise<WebhookState>} Store contents
+ */
+const getState = () => {
+  if (!statePromise) {
+    statePromise = loadState();
+  }
+  return statePromise;
+};
+
+/**
+ * Write the current state to disk
+ * Write failures are logged and never propagated to the caller
+ *
+ * @param {WebhookState} state - Store contents
+ * @returns {Promise<void>}
+ */
+function persist(state) {
+  const content = JSON.stringify(state, null, 2);
+  const tempPath = `${config.webhooks.storePath}.tmp`;
+
+  writeQueue = writeQueue.then(async () => {
+    try {
+      await fs.mkdir(path.dirname(config.webhooks.storePath), {
+        recursive: true,
+      });
+      await fs.writeFile(tempPath, content, 'utf8');
+      await fs.rename(tempPath, config.webhooks.storePath);
+    } catch (error) {
+      logger.warn('Failed to persist webhook store', error.message);
+    }
+  });
+  return writeQueue;
+}
+
+/**
+ * Get every registered webhook
+ * @returns {Promise<Object[]>} Webhooks (including secrets)
+ */
+export async function getWebhooks() {
+  return (await getState()).webhooks;
+}
+
+/**
+ * Add a webhook unless its owner already has `maxPerOwner` webhooks
+ * The count and the insert happen in one synchronous step on the in-memory
+ * state, so concurrent registrations cannot both pass the limit
+ *
+ * @param {Object} webhook - Webhook to store
+ * @param {number} [maxPerOwner] - Webhooks each owner may have (default: no limit)
+ * @returns {Promise<boolean>} True if added, false if the owner is at the limit
+ */
+export async function addWebhook(webhook, maxPerOwner = Infinity) {
+  const state = await getState();
+  const owned = state.webhooks.filter(
+    ({ owner }) => owner === webhook.owner
+  ).length;
+  if (owned >= maxPerOwner) {
+    return false;
+  }
+
+  state.webhooks.push(webhook);
+  await persist(state);
+  return true;
+}
+
+/**
+ * Remove a webhook and its delivery records
+ * @param {string} id - Webhook ID
+ * @returns {Promise<boolean>} True if the webhook existed
+ */
+export async function removeWebhook(id) {
+  const state = await getState();
+  const count = state.webhooks.length;
+
+  state.webhooks = state.webhooks.filter(webhook => webhook.id !== id);
+  state.deliveries = state.deliveries.filter(
+    delivery => delivery.webhookId !== id
+  );
+
+  if (state.webhooks.length === count) {
+    return false;
+  }
+  await persist(state);
+  return true;
+}
+
+/**
+ * Insert or update a delivery record
+ * Only the newest `config.webhooks.deliveryHistory` records per webhook are
+ * kept. Records of deleted webhooks are not saved, so an attempt finishing
+ * after its webhook was deleted does not bring its records back
+ *
+ * @param {Object} delivery - Delivery record
+ * @returns {Promise<boolean>} True if saved, false if the webhook is gone
+ */
+export async function saveDelivery(delivery) {
+  const state = await getState();
+  if (!state.webhooks.some(({ id }) => id === delivery.webhookId)) {
+    return false;
+  }
+
+  const index = state.deliveries.findIndex(({ id }) => id === delivery.id);
+
+  if (index === -1) {
+    state.deliveries.push(delivery);
+    const forWebhook = state.deliveries.filter(
+      ({ webhookId }) => webhookId === delivery.webhookId
+    );
+    const excess = forWebhook.length - config.webhooks.deliveryHistory;
+    if (excess > 0) {
+      const dropped = new Set(forWebhook.slice(0, excess));
+      state.deliveries = state.deliveries.filter(
+        record => !dropped.has(record)
+      );
+    }
+  } else {
+    state.deliveries[index] = delivery;
+  }
+
+  await persist(state);
+  return true;
+}
+
+/**
+ * Get the delivery records for a webhook
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object[]>} Delivery records, newest first
+ */
+export async function getDeliveries(webhookId) {
+  return (await getState()).deliveries
+    .filter(delivery => delivery.webhookId === webhookId)
+    .reverse();
+}
+
+/**
+ * Get the last closing date notified to webhooks
+ * @returns {Promise<string|null>} Closing date (YYYY-MM-DD) or null
+ */
+export async function getLastNotifiedClosingDate() {
+  return (await getState()).lastClosingDate;
+}
+
+/**
+ * Record the last closing date notified to webhooks
+ * @param {string} dateISO - Closing date (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+export async function setLastNotifiedClosingDate(dateISO) {
+  const state = await getState();
+  state.lastClosingDate = dateISO;
+  await persist(state);
+}
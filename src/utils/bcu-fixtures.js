@@ -0,0 +1,149 @@
+/**
+ * BCU Fixtures
+ * Answers BCU SOAP calls from recorded fixture files, for offline use
+ *
+ * Files in the fixtures directory (`config.bcu.fixturesDir` for the server)
+ * keep BCU's own field names:
+ * - monedas.json: currency lines by group, `{ "2": [{ Codigo, Nombre }] }`
+ * - cotizaciones.json: rate records, `[{ Fecha, Moneda, Nombre, CodigoISO, Emisor, TCC, TCV, ArbAct, FormaArbitrar }]`
+ * - ultimo-cierre.json: last closing, `{ "UltimoCierre": "YYYY-MM-DD" }`
+ *
+ * Responses have the same structure the SOAP client returns for the real
+ * services, so BCU_MODE=fixture (in-process) and the stand-in SOAP server
+ * (src/scripts/bcu-stub-server.js) exercise the same parsing code.
+ * Files are read on every call, so edits (e.g. a new closing) apply at once.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import dayjs from 'dayjs';
+
+/**
+ * Fixture file for each BCU service
+ */
+const FIXTURE_FILES = {
+  awsbcumonedas: 'monedas.json',
+  awsbcucotizaciones: 'cotizaciones.json',
+  awsultimocierre: 'ultimo-cierre.json',
+};
+
+/**
+ * BCU status returned when no rate matches the query
+ */
+const NO_DATA_STATUS = {
+  status: 0,
+  codigoerror: 100,
+  mensaje: 'No existe cotización para la fecha y moneda indicadas',
+};
+
+/**
+ * Read a fixture file
+ * @param {string} serviceName - BCU service name (e.g. 'awsbcumonedas')
+ * @param {string} fixturesDir - Fixtures directory
+ * @returns {Promise<*>} Parsed fixture
+ * @throws {Error} If the file is missing or invalid
+ */
+async function readFixture(serviceName, fixturesDir) {
+  const filePath = path.resolve(fixturesDir, FIXTURE_FILES[serviceName]);
+
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read BCU fixture ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize a SOAP date value (string or Date) to YYYY-MM-DD
+ * @param {string|Date} value - Date value
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const toISODate = value => dayjs(value).format('YYYY-MM-DD');
+
+/**
+ * Build the awsbcumonedas response
+ * @param {Object} args - `{ Entrada: { Grupo } }`
+ * @param {string} fixturesDir - Fixtures directory
+ * @returns {Promise<Object>} `{ Salida: { 'wsmonedasout.Linea': [...] } }`
+ */
+async function getCurrencies(args, fixturesDir) {
+  const currenciesByGroup = await readFixture('awsbcumonedas', fixturesDir);
+  const group = Number(args?.Entrada?.Grupo);
+
+  return { Salida: { 'wsmonedasout.Linea': currenciesByGroup[group] ?? [] } };
+}
+
+/**
+ * Build the awsbcucotizaciones response
+ * Returns BCU error 100 when no record matches, like the real service
+ *
+ * @param {Object} args - `{ Entrada: { Moneda: { item }, FechaDesde, FechaHasta } }`
+ * @param {string} fixturesDir - Fixtures directory
+ * @returns {Promise<Object>} `{ Salida: { respuestastatus, datoscotizaciones } }`
+ */
+async function getExchangeRates(args, fixturesDir) {
+  const records = await readFixture('awsbcucotizaciones', fixturesDir);
+  const { Moneda, FechaDesde, FechaHasta } = args?.Entrada ?? {};
+  const currencyCodes = [Moneda?.item].flat().map(Number);
+  const fromISO = toISODate(FechaDesde);
+  const toISO = toISODate(FechaHasta);
+
+  const matches = records.filter(
+    record =>
+      currencyCodes.includes(Number(record.Moneda)) &&
+      record.Fecha >= fromISO &&
+      record.Fecha <= toISO
+  );
+
+  if (matches.length === 0) {
+    return { Salida: { respuestastatus: NO_DATA_STATUS } };
+  }
+
+  return {
+    Salida: {
+      respuestastatus: { status: 1, codigoerror: 0, mensaje: '' },
+      datoscotizaciones: { 'datoscotizaciones.dato': matches },
+    },
+  };
+}
+
+/**
+ * Build the awsultimocierre response
+ * @param {Object} args - `{ wsultimocierrein: { Grupo } }` (unused)
+ * @param {string} fixturesDir - Fixtures directory
+ * @returns {Promise<Object>} `{ wsultimocierreout: { UltimoCierre } }`
+ */
+async function getLastClosing(args, fixturesDir) {
+  const { UltimoCierre } = await readFixture('awsultimocierre', fixturesDir);
+  return { wsultimocierreout: { UltimoCierre } };
+}
+
+/**
+ * Response builders by BCU service name
+ */
+const FIXTURE_HANDLERS = {
+  awsbcumonedas: getCurrencies,
+  awsbcucotizaciones: getExchangeRates,
+  awsultimocierre: getLastClosing,
+};
+
+/**
+ * Names of the BCU services fixtures are available for
+ */
+export const FIXTURE_SERVICES = Object.keys(FIXTURE_HANDLERS);
+
+/**
+ * Answer a BCU SOAP call from the fixture files
+ * @param {string} serviceName - BCU service name (e.g. 'awsbcucotizaciones')
+ * @param {Object} args - SOAP call arguments
+ * @param {string} fixturesDir - Fixtures directory
+ * @returns {Promise<Object>} Response with the structure of the real service
+ * @throws {Error} If the service is unknown or its fixture can't be read
+ */
+export async function getFixtureResponse(serviceName, args, fixturesDir) {
+  const handler = FIXTURE_HANDLERS[serviceName];
+  if (!handler) {
+    throw new Error(`No BCU fixtures for service: ${serviceName}`);
+  }
+  return handler(args, fixturesDir);
+}
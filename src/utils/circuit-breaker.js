@@ -0,0 +1,140 @@
+/**
+ * Circuit Breaker Utility
+ * Fails fast while an upstream service is down instead of spending the
+ * client creation retries and backoff on every request
+ */
+
+import { logger as defaultLogger } from './logger.js';
+import { CircuitOpenError } from './errors.js';
+
+/**
+ * Circuit breaker states
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+/**
+ * Create a circuit breaker
+ *
+ * - closed: calls pass through; `failureThreshold` consecutive failures open it
+ * - open: calls are rejected with CircuitOpenError for `resetTimeoutMs`
+ * - half-open: a single probe call is let through; success closes the
+ *   circuit, failure opens it again
+ *
+ * @param {Object} options - Breaker options
+ * @param {string} options.name - Name used in logs and errors
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.resetTimeoutMs - Time to stay open before probing
+ * @param {Function} [options.onStateChange] - Called with the new state
+ * @param {Function} [options.isIgnoredError] - Errors that count as neither
+ *   success nor failure (e.g. cancelled calls)
+ * @param {Object} [options.logger] - Logger for state changes
+ * @returns {Object} Circuit breaker with execute() and getSnapshot()
+ */
+export function createCircuitBreaker({
+  name,
+  failureThreshold,
+  resetTimeoutMs,
+  onStateChange = () => {},
+  isIgnoredError = () => false,
+  logger = defaultLogger,
+}) {
+  let state = CIRCUIT_STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let probeInFlight = false;
+
+  /**
+   * Move to a new state, notifying listeners
+   * @param {string} nextState - One of CIRCUIT_STATES
+   */
+  const transition = nextState => {
+    if (state === nextState) {
+      return;
+    }
+    logger.warn(`Circuit ${name}: ${state} → ${nextState}`);
+    state = nextState;
+    onStateChange(nextState);
+  };
+
+  const recordSuccess = () => {
+    consecutiveFailures = 0;
+    openedAt = null;
+    transition(CIRCUIT_STATES.CLOSED);
+  };
+
+  const recordFailure = () => {
+    consecutiveFailures++;
+    if (
+      state === CIRCUIT_STATES.HALF_OPEN ||
+      consecutiveFailures >= failureThreshold
+    ) {
+      openedAt = Date.now();
+      transition(CIRCUIT_STATES.OPEN);
+    }
+  };
+
+  const releaseProbe = () => {
+    probeInFlight = false;
+  };
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async function performing the upstream call
+   * @param {Function} [isFailure] - Classifies a resolved result as a failure
+   * @returns {Promise<*>} Result of fn
+   * @throws {CircuitOpenError} If the circuit is open or a probe is running
+   */
+  const execute = async (fn, isFailure = () => false) => {
+    if (state === CIRCUIT_STATES.OPEN) {
+      const retryAfterMs = openedAt + resetTimeoutMs - Date.now();
+      if (retryAfterMs > 0) {
+        throw new CircuitOpenError(name, retryAfterMs);
+      }
+      transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    const isProbe = state === CIRCUIT_STATES.HALF_OPEN;
+    if (isProbe) {
+      if (probeInFlight) {
+        throw new CircuitOpenError(name, 0);
+      }
+      probeInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      if (isFailure(result)) {
+        recordFailure();
+      } else {
+        recordSuccess();
+      }
+      return result;
+    } catch (error) {
+      if (!isIgnoredError(error)) {
+        recordFailure();
+      }
+      throw error;
+    } finally {
+      if (isProbe) {
+        releaseProbe();
+      }
+    }
+  };
+
+  /**
+   * Get the current breaker status
+   * @returns {Object} Name, state, failure count and open timestamp
+   */
+  const getSnapshot = () => ({
+    name,
+    state,
+    consecutiveFailures,
+    openedAt: openedAt && new Date(openedAt).toISOString(),
+  });
+
+  return { execute, getSnapshot };
+}
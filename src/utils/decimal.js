@@ -0,0 +1,145 @@
+/**
+ * Decimal Arithmetic Utility
+ * Exact base-10 arithmetic on BigInt-scaled values for currency math
+ *
+ * A decimal is represented as `{ units, scale }` where the value is
+ * `units / 10^scale`, e.g. 1234.56 → `{ units: 123456n, scale: 2 }`.
+ */
+
+/**
+ * Supported rounding modes
+ * - half-up: ties away from zero (1.005 → 1.01)
+ * - half-even: ties to the even digit, a.k.a. banker's rounding (1.005 → 1.00)
+ * - up: away from zero
+ * - down: towards zero (truncate)
+ */
+export const ROUNDING_MODES = ['half-up', 'half-even', 'up', 'down'];
+
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Check whether a string is a plain decimal number (e.g. "-1234.56")
+ * @param {string} value - Value to check
+ * @returns {boolean} True if the value can be parsed exactly
+ */
+export const isDecimalString = value =>
+  typeof value === 'string' && DECIMAL_PATTERN.test(value);
+
+/**
+ * Parse a decimal string or finite number
+ * @param {string|number} value - Decimal value
+ * @returns {{units: bigint, scale: number}} Decimal
+ * @throws {Error} If the value is not a plain decimal number
+ */
+export function parseDecimal(value) {
+  const text =
+    typeof value === 'number' ? value.toFixed(12).replace(/\.?0+$/, '') : value;
+
+  if (!isDecimalString(text)) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  const [integerPart, fractionPart = ''] = text.split('.');
+  return {
+    units: BigInt(integerPart + fractionPart),
+    scale: fractionPart.length,
+  };
+}
+
+/**
+ * Multiply two decimals exactly
+ * @param {{units: bigint, scale: number}} a - Multiplicand
+ * @param {{units: bigint, scale: number}} b - Multiplier
+ * @returns {{units: bigint, scale: number}} Product
+ */
+export const multiply = (a, b) => ({
+  units: a.units * b.units,
+  scale: a.scale + b.scale,
+});
+
+/**
+ * Round a decimal to a number of fraction digits
+ * @param {{units: bigint, scale: number}} value - Decimal to round
+ * @param {number} precision - Fraction digits to keep
+ * @param {string} mode - Rounding mode (see ROUNDING_MODES)
+ * @returns {{units: bigint, scale: number}} Rounded decimal
+ */
+export function round(value, precision, mode = 'half-even') {
+  if (value.scale <= precision) {
+    return {
+      units: value.units * 10n ** BigInt(precision - value.scale),
+      scale: precision,
+    };
+  }
+
+  const divisor = 10n ** BigInt(value.scale - precision);
+  const negative = value.units < 0n;
+  const magnitude = negative ? -value.units : value.units;
+
+  let quotient = magnitude / divisor;
+  const remainder = magnitude % divisor;
+
+  if (remainder !== 0n) {
+    const twiceRemainder = remainder * 2n;
+    const roundAway =
+      mode === 'up' ||
+      (mode === 'half-up' && twiceRemainder >= divisor) ||
+      (mode === 'half-even' &&
+        (twiceRemainder > divisor ||
+          (twiceRemainder === divisor && quotient % 2n === 1n)));
+
+    if (roundAway) {
+      quotient += 1n;
+    }
+  }
+
+  return { units: negative ? -quotient : quotient, scale: precision };
+}
+
+/**
+ * Divide two decimals, rounding the quotient to a number of fraction digits
+ * @param {{units: bigint, scale: number}} a - Dividend
+ * @param {{units: bigint, scale: number}} b - Divisor (non-zero)
+ * @param {number} precision - Fraction digits of the result
+ * @param {string} mode - Rounding mode (see ROUNDING_MODES)
+ * @returns {{units: bigint, scale: number}} Rounded quotient
+ * @throws {Error} If dividing by zero
+ */
+export function divide(a, b, precision, mode = 'half-even') {
+  if (b.units === 0n) {
+    throw new Error('Division by zero');
+  }
+
+  // Keep two guard digits beyond the requested precision so rounding only
+  // ever looks at exact digits plus a sticky bit for the discarded tail
+  const scale = precision + 2;
+  const numerator = a.units * 10n ** BigInt(scale + b.scale);
+  const denominator = b.units * 10n ** BigInt(a.scale);
+
+  let quotient = numerator / denominator;
+  if (numerator % denominator !== 0n) {
+    // Sticky digit: marks a non-zero tail so exact ties are not misdetected
+    const negative = numerator < 0n !== denominator < 0n;
+    quotient = quotient * 10n + (negative ? -1n : 1n);
+    return round({ units: quotient, scale: scale + 1 }, precision, mode);
+  }
+
+  return round({ units: quotient, scale }, precision, mode);
+}
+
+/**
+ * Format a decimal as a plain string (e.g. "1234.56")
+ * @param {{units: bigint, scale: number}} value - Decimal to format
+ * @returns {string} Decimal string
+ */
+export function formatDecimal(value) {
+  const negative = value.units < 0n;
+  const digits = (negative ? -value.units : value.units)
+    .toString()
+    .padStart(value.scale + 1, '0');
+
+  const integerPart = digits.slice(0, digits.length - value.scale);
+  const fractionPart = digits.slice(digits.length - value.scale);
+
+  return `${negative ? '-' : ''}${integerPart}${fractionPart ? `.${fractionPart}` : ''}`;
+}
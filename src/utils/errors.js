@@ -0,0 +1,114 @@
+/**
+ * Error Classes
+ * Configuration errors, and errors with an HTTP status for failures of the
+ * upstream BCU services
+ */
+
+/**
+ * Thrown at startup when settings are invalid
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string[]} errors - One message per invalid setting
+   */
+  constructor(errors) {
+    super(`Invalid configuration: ${errors.join('; ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Base class for BCU service failures that map to a specific HTTP status
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status for the response
+   * @param {string} service - BCU service name (e.g. 'awsbcucotizaciones')
+   */
+  constructor(message, statusCode, service) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.service = service;
+  }
+}
+
+/**
+ * Thrown instead of calling a BCU service while its circuit breaker is open
+ */
+export class CircuitOpenError extends UpstreamError {
+  /**
+   * @param {string} service - BCU service name (e.g. 'awsbcucotizaciones')
+   * @param {number} retryAfterMs - Time until the next probe is allowed
+   */
+  constructor(service, retryAfterMs) {
+    super(`BCU service ${service} is unavailable (circuit open)`, 503, service);
+    this.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  }
+}
+
+/**
+ * Thrown when a BCU service does not answer within the configured timeout
+ */
+export class UpstreamTimeoutError extends UpstreamError {
+  /**
+   * @param {string} service - BCU service name
+   * @param {number} timeoutMs - Timeout that was exceeded
+   */
+  constructor(service, timeoutMs) {
+    super(
+      `BCU service ${service} did not respond within ${timeoutMs}ms`,
+      504,
+      service
+    );
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Thrown when a BCU call is cancelled because the client disconnected or
+ * the server is shutting down
+ */
+export class RequestAbortedError extends UpstreamError {
+  /**
+   * @param {string} service - BCU service name
+   */
+  constructor(service) {
+    // 499: client closed request (no response is delivered)
+    super(`BCU call to ${service} was cancelled`, 499, service);
+  }
+}
+
+/**
+ * Send the response for a BCU service failure
+ * - CircuitOpenError → 503 with Retry-After
+ * - UpstreamTimeoutError → 504
+ * - RequestAbortedError → nothing, the client is gone
+ *
+ * @param {express.Response} res - Express response
+ * @param {UpstreamError} error - BCU service failure
+ * @returns {express.Response} Express response
+ */
+export function sendUpstreamError(res, error) {
+  if (error instanceof RequestAbortedError) {
+    return res.status(error.statusCode).end();
+  }
+
+  if (error instanceof CircuitOpenError) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+
+  return res.status(error.statusCode).json({
+    error:
+      error instanceof UpstreamTimeoutError
+        ? 'BCU web service did not respond in time. Please retry later.'
+        : 'BCU web service is temporarily unavailable. Please retry later.',
+    service: error.service,
+    ...(error instanceof CircuitOpenError && {
+      retryAfter: error.retryAfterSeconds,
+    }),
+    timestamp: new Date().toISOString(),
+  });
+}
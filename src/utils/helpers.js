@@ -3,6 +3,8 @@
  * Common utility functions used across the application
  */
 
+import dayjs from 'dayjs';
+
 /**
  * Normalize strings for comparison by removing diacritics and converting to uppercase
  * @param {string} str - String to normalize
@@ -33,6 +35,81 @@ export const isValidDateFormat = dateString => {
   return dateRegex.test(dateString);
 };
 
+/**
+ * Check that a YYYY-MM-DD string is a real calendar date (rejects 2025-02-30)
+ * dayjs rolls impossible dates over instead of rejecting them, so the parsed
+ * date must format back to the same string
+ *
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+export const isValidCalendarDate = value =>
+  isValidDateFormat(value) && dayjs(value).format('YYYY-MM-DD') === value;
+
+/**
+ * Validate a required YYYY-MM-DD query parameter
+ * @param {string} name - Query parameter name
+ * @param {string} value - Raw query parameter value
+ * @returns {string|null} Error message or null if the value is valid
+ */
+export const validateDateParam = (name, value) => {
+  if (!value) {
+    return `Missing required parameter: ${name} (format: YYYY-MM-DD)`;
+  }
+  if (!isValidDateFormat(value)) {
+    return `Invalid ${name} format. Please use YYYY-MM-DD`;
+  }
+  if (!isValidCalendarDate(value)) {
+    return `Invalid ${name}. Please provide a valid date in YYYY-MM-DD format`;
+  }
+  return null;
+};
+
+/**
+ * Validate a from/to date range query
+ * @param {string} from - Raw `from` query parameter
+ * @param {string} to - Raw `to` query parameter
+ * @param {number} maxDays - Maximum number of days allowed (inclusive)
+ * @returns {{error: string, provided: any}|{fromISO: string, toISO: string, days: number}}
+ *   Validation error, or the normalized range when valid
+ */
+export const validateDateRange = (from, to, maxDays) => {
+  for (const [name, value] of [
+    ['from', from],
+    ['to', to],
+  ]) {
+    const error = validateDateParam(name, value);
+    if (error) {
+      return { error, provided: value };
+    }
+  }
+
+  const fromDate = dayjs(from);
+  const toDate = dayjs(to);
+
+  if (fromDate.isAfter(toDate)) {
+    return {
+      error: 'Invalid date range: from must be on or before to',
+      provided: { from, to },
+    };
+  }
+
+  // Range length is inclusive of both ends
+  const days = toDate.diff(fromDate, 'day') + 1;
+  if (days > maxDays) {
+    return {
+      error: `Date range too long. Maximum is ${maxDays} days`,
+      provided: { from, to, days },
+    };
+  }
+
+  return {
+    fromISO: fromDate.format('YYYY-MM-DD'),
+    toISO: toDate.format('YYYY-MM-DD'),
+    days,
+  };
+};
+
 /**
  * Create standardized API error response
  * @param {string} message - Error message
@@ -56,3 +133,27 @@ export const createSuccessResponse = (data, meta = {}) => ({
   ...meta,
   timestamp: new Date().toISOString(),
 });
+
+/**
+ * Expose the functions of an instance that is only built on first call
+ * Lets a module export a default instance (e.g. one built from the global
+ * configuration) without building it when the module is imported
+ *
+ * @param {Function} factory - Builds the instance
+ * @param {string[]} names - Names of the instance functions to expose
+ * @returns {Object<string, Function>} Functions delegating to the instance
+ */
+export const lazyFunctions = (factory, names) => {
+  let instance = null;
+  return Object.fromEntries(
+    names.map(name => [
+      name,
+      (...args) => {
+        if (!instance) {
+          instance = factory();
+        }
+        return instance[name](...args);
+      },
+    ])
+  );
+};
@@ -1,66 +1,128 @@
 /**
  * Logger Utility
- * Environment-aware logging system
+ * Structured logging: one JSON object per line with a configurable level
+ * (LOG_LEVEL) and the current request ID attached when there is one
  */
 
 import { config } from '../config/index.js';
+import { getRequestContext } from './request-context.js';
 
-const isDevelopment = config.server.env === 'development';
+/**
+ * Log levels by verbosity; a message is written when its level is at or
+ * below the configured one
+ */
+export const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/** @type {number|null} Configured level, read on the first log call */
+let activeLevel = null;
+
+/**
+ * Get the configured log level
+ * Read lazily so importing the logger does not load the configuration
+ *
+ * @returns {number} Verbosity of the configured level
+ */
+const getActiveLevel = () => {
+  if (activeLevel === null) {
+    activeLevel = LOG_LEVELS[config.logging.level] ?? LOG_LEVELS.info;
+  }
+  return activeLevel;
+};
+
+/** Whether every level is written to stderr (see sendLogsToStderr) */
+let stderrOnly = false;
+
+/**
+ * Write every log level to stderr, keeping stdout for a command's output
+ * (e.g. the bcu-rate CLI, whose JSON and CSV output is piped)
+ */
+export const sendLogsToStderr = () => {
+  stderrOnly = true;
+};
+
+/**
+ * Convert an error into a plain object for JSON output
+ * @param {Error} error - Error to serialize
+ * @returns {Object} Name, message, code and stack
+ */
+const serializeError = error => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  stack: error.stack,
+});
+
+/**
+ * Serialize a log entry to a single line
+ * Falls back to a string representation for data that cannot be serialized
+ * (e.g. circular SOAP client objects)
+ *
+ * @param {Object} entry - Log entry
+ * @returns {string} JSON line
+ */
+const toLine = entry => {
+  try {
+    return JSON.stringify(entry);
+  } catch {
+    return JSON.stringify({ ...entry, data: String(entry.data) });
+  }
+};
+
+/**
+ * Write a log entry
+ * @param {string} level - Log level
+ * @param {Function} write - Console method to write with
+ * @param {string} message - Log message
+ * @param {any} data - Optional data (errors are serialized with their stack)
+ */
+const log = (level, write, message, data) => {
+  if (LOG_LEVELS[level] > getActiveLevel()) {
+    return;
+  }
+
+  const requestId = getRequestContext()?.requestId;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...(requestId && { requestId }),
+  };
+
+  if (data instanceof Error) {
+    entry.error = serializeError(data);
+  } else if (data !== null && data !== undefined) {
+    entry.data = data;
+  }
+
+  (stderrOnly ? console.error : write)(toLine(entry));
+};
 
 export const logger = {
   /**
-   * Log informational messages (only in development)
+   * Log informational messages
    * @param {string} message - Log message
    * @param {any} data - Optional data to log
    */
-  info: (message, data = null) => {
-    if (isDevelopment) {
-      const timestamp = new Date().toISOString();
-      console.log(
-        `[${timestamp}] [INFO] ${message}`,
-        data ? JSON.stringify(data, null, 2) : ''
-      );
-    }
-  },
+  info: (message, data = null) => log('info', console.log, message, data),
 
   /**
-   * Log error messages (always shown)
+   * Log error messages
    * @param {string} message - Error message
    * @param {Error|any} error - Error object or additional data
    */
-  error: (message, error = null) => {
-    const timestamp = new Date().toISOString();
-    console.error(
-      `[${timestamp}] [ERROR] ${message}`,
-      error ? error.stack || error : ''
-    );
-  },
+  error: (message, error = null) => log('error', console.error, message, error),
 
   /**
-   * Log warning messages (always shown)
+   * Log warning messages
    * @param {string} message - Warning message
    * @param {any} data - Optional data to log
    */
-  warn: (message, data = null) => {
-    const timestamp = new Date().toISOString();
-    console.warn(
-      `[${timestamp}] [WARN] ${message}`,
-      data ? JSON.stringify(data, null, 2) : ''
-    );
-  },
+  warn: (message, data = null) => log('warn', console.warn, message, data),
 
   /**
-   * Log debug messages (only in development)
+   * Log debug messages
    * @param {string} message - Debug message
    * @param {any} data - Optional data to log
    */
-  debug: (message, data = null) => {
-    if (isDevelopment) {
-      const timestamp = new Date().toISOString();
-      console.debug(
-        `[${timestamp}] [DEBUG] ${message}`,
-        data ? JSON.stringify(data, null, 2) : ''
-      );
-    }
-  },
+  debug: (message, data = null) => log('debug', console.debug, message, data),
 };
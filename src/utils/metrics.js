@@ -0,0 +1,110 @@
+/**
+ * Metrics Utility
+ * Prometheus metrics for HTTP traffic and upstream BCU SOAP calls
+ */
+
+import client from 'prom-client';
+
+/**
+ * Dedicated registry so only this application's metrics are exposed
+ */
+export const metricsRegistry = new client.Registry();
+
+client.collectDefaultMetrics({ register: metricsRegistry });
+
+export const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [metricsRegistry],
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [metricsRegistry],
+});
+
+export const rateLimitedRequestsTotal = new client.Counter({
+  name: 'http_rate_limited_requests_total',
+  help: 'Requests rejected with 429 by client type (api-key or anonymous)',
+  labelNames: ['client_type'],
+  registers: [metricsRegistry],
+});
+
+export const streamClients = new client.Gauge({
+  name: 'sse_stream_clients',
+  help: 'Connected Server-Sent Events clients',
+  registers: [metricsRegistry],
+});
+
+export const soapCallDuration = new client.Histogram({
+  name: 'bcu_soap_call_duration_seconds',
+  help: 'BCU SOAP method call latency by WSDL, method name and outcome',
+  labelNames: ['wsdl', 'method', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [metricsRegistry],
+});
+
+export const soapCallFailuresTotal = new client.Counter({
+  name: 'bcu_soap_call_failures_total',
+  help: 'Failed BCU SOAP method calls by WSDL and method name tried',
+  labelNames: ['wsdl', 'method'],
+  registers: [metricsRegistry],
+});
+
+export const soapClientCreationRetriesTotal = new client.Counter({
+  name: 'bcu_soap_client_creation_retries_total',
+  help: 'SOAP client creation retries (attempts after the first) by WSDL',
+  labelNames: ['wsdl'],
+  registers: [metricsRegistry],
+});
+
+export const soapClientCreationFailuresTotal = new client.Counter({
+  name: 'bcu_soap_client_creation_failures_total',
+  help: 'SOAP client creations that failed after all retries, by WSDL',
+  labelNames: ['wsdl'],
+  registers: [metricsRegistry],
+});
+
+export const circuitBreakerState = new client.Gauge({
+  name: 'bcu_circuit_breaker_state',
+  help: 'BCU circuit breaker state by WSDL (0 = closed, 1 = half-open, 2 = open)',
+  labelNames: ['wsdl'],
+  registers: [metricsRegistry],
+});
+
+export const circuitBreakerRejectionsTotal = new client.Counter({
+  name: 'bcu_circuit_breaker_rejections_total',
+  help: 'BCU SOAP calls rejected without being attempted because the circuit was open, by WSDL',
+  labelNames: ['wsdl'],
+  registers: [metricsRegistry],
+});
+
+export const noDataResponsesTotal = new client.Counter({
+  name: 'bcu_no_data_responses_total',
+  help: 'Requests answered with 404 because BCU published no rate, by route',
+  labelNames: ['route'],
+  registers: [metricsRegistry],
+});
+
+/**
+ * Get the route label for a request
+ * Uses the matched route template (e.g. /rates/:currency) to keep label
+ * cardinality bounded; unmatched requests share a single label
+ *
+ * @param {express.Request} req - Express request
+ * @returns {string} Route label
+ */
+export const getRouteLabel = req =>
+  req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+/**
+ * Count a 404 response caused by missing BCU data
+ * @param {express.Request} req - Express request
+ */
+export const recordNoData = req => {
+  noDataResponsesTotal.inc({ route: getRouteLabel(req) });
+};
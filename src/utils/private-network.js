@@ -0,0 +1,109 @@
+/**
+ * Private Network Utility
+ * Detect hosts that resolve to loopback, private or otherwise internal
+ * addresses, so callback URLs supplied by clients cannot reach the service's
+ * own network (server-side request forgery)
+ */
+
+import dns from 'node:dns';
+import net from 'node:net';
+
+/**
+ * Address ranges that must not be reached through client-supplied URLs
+ */
+const BLOCKED_RANGES = new net.BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private (RFC 1918)
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, including cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12], // Private (RFC 1918)
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private (RFC 1918)
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reserved and broadcast
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 96], // Unspecified, loopback and IPv4-compatible (::a.b.c.d)
+  ['64:ff9b::', 96], // NAT64 (RFC 6052), reaches IPv4 through a gateway
+  ['64:ff9b:1::', 48], // Local-use NAT64 (RFC 8215)
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or reserved
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked as IPv4
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is not publicly routable
+ */
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a hostname and check whether any of its addresses is private
+ * @param {string} hostname - Hostname or IP literal (IPv6 with or without brackets)
+ * @returns {Promise<string|null>} The first private address found, or null
+ * @throws {Error} If the hostname cannot be resolved
+ */
+export async function findPrivateAddress(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  return addresses.map(({ address }) => address).find(isPrivateAddress) ?? null;
+}
+
+/**
+ * DNS lookup for outgoing connections that fails when the host resolves to a
+ * private address, so the address checked is the address connected to
+ * (a host cannot pass an earlier check and then rebind to an internal one)
+ * Signature of `dns.lookup`, for the `lookup` option of `net.connect`
+ *
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - `dns.lookup` options
+ * @param {Function} callback - Called with `(error, address, family)`, or
+ *   `(error, addresses)` when `options.all` is set
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const privateError = new Error(
+        `${hostname} resolves to a private address (${blocked.address})`
+      );
+      privateError.code = 'EPRIVATEADDRESS';
+      return callback(privateError);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
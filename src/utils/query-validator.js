@@ -0,0 +1,106 @@
+/**
+ * Query Validator Utility
+ * Validate query strings against OpenAPI parameter definitions
+ *
+ * Supports the subset of JSON Schema used by the API specification:
+ * type (string, integer, number), format (date), enum, pattern,
+ * minimum and maximum.
+ */
+
+import { isValidDateFormat, isValidCalendarDate } from './helpers.js';
+
+/**
+ * Validate a single value against a parameter schema
+ * @param {string} name - Parameter name
+ * @param {string} value - Raw query value
+ * @param {Object} schema - OpenAPI schema
+ * @returns {string|null} Error message or null if valid
+ */
+function validateValue(name, value, schema) {
+  if (schema.format === 'date') {
+    if (!isValidDateFormat(value)) {
+      return `Invalid ${name} format. Please use YYYY-MM-DD`;
+    }
+    if (!isValidCalendarDate(value)) {
+      return `Invalid ${name}. Please provide a valid date in YYYY-MM-DD format`;
+    }
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = Number(value);
+    const isValidNumber =
+      schema.type === 'integer'
+        ? /^-?\d+$/.test(value)
+        : value.trim() !== '' && Number.isFinite(number);
+
+    const bounds =
+      schema.minimum !== undefined && schema.maximum !== undefined
+        ? ` between ${schema.minimum} and ${schema.maximum}`
+        : schema.minimum !== undefined
+          ? ` greater than or equal to ${schema.minimum}`
+          : '';
+
+    if (
+      !isValidNumber ||
+      (schema.minimum !== undefined && number < schema.minimum) ||
+      (schema.maximum !== undefined && number > schema.maximum)
+    ) {
+      return `Invalid ${name}. Please use ${schema.type === 'integer' ? 'an integer' : 'a number'}${bounds}`;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `Invalid ${name}. Allowed values: ${schema.enum.join(', ')}`;
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return `Invalid ${name} format${schema.example ? ` (e.g. ${schema.example})` : ''}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a request query against OpenAPI parameter definitions
+ * Unknown query parameters are ignored
+ *
+ * @param {Object[]} parameters - OpenAPI parameter objects
+ * @param {Object} query - Parsed request query
+ * @returns {Array<{parameter: string, message: string, provided: any}>} Validation errors
+ */
+export function validateQuery(parameters, query) {
+  const errors = [];
+
+  for (const { name, required, schema = {} } of parameters.filter(
+    parameter => parameter.in === 'query'
+  )) {
+    const value = query[name];
+
+    if (value === undefined || value === '') {
+      if (required) {
+        errors.push({
+          parameter: name,
+          message: `Missing required parameter: ${name}${schema.format === 'date' ? ' (format: YYYY-MM-DD)' : ''}`,
+          provided: value,
+        });
+      }
+      continue;
+    }
+
+    if (typeof value !== 'string') {
+      errors.push({
+        parameter: name,
+        message: `Invalid ${name}. Please provide a single value`,
+        provided: value,
+      });
+      continue;
+    }
+
+    const message = validateValue(name, value, schema);
+    if (message) {
+      errors.push({ parameter: name, message, provided: value });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,54 @@
+/**
+ * Rate Limiter Utility
+ * In-memory fixed-window request counters, keyed by client
+ */
+
+/**
+ * Create a fixed-window rate limiter
+ * Each client gets `limit` requests per window; the window starts with the
+ * client's first request. Expired windows are swept periodically.
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {Object} Limiter with consume()
+ */
+export function createFixedWindowLimiter({ windowMs }) {
+  /** @type {Map<string, {count: number, resetAt: number}>} */
+  const windows = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [clientId, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(clientId);
+      }
+    }
+  };
+  setInterval(sweep, windowMs).unref();
+
+  /**
+   * Count a request for a client
+   * @param {string} clientId - Client identifier (e.g. 'key:checkout', 'ip:1.2.3.4')
+   * @param {number} limit - Requests allowed per window
+   * @returns {{allowed: boolean, limit: number, remaining: number, resetSeconds: number}}
+   *   Whether the request is allowed and the client's quota status
+   */
+  const consume = (clientId, limit) => {
+    const now = Date.now();
+    let window = windows.get(clientId);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(clientId, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetSeconds: Math.ceil((window.resetAt - now) / 1000),
+    };
+  };
+
+  return { consume };
+}
@@ -0,0 +1,52 @@
+/**
+ * Request Context Utility
+ * Per-request state (such as the abort signal) that follows a request through
+ * async calls without threading it through every function signature
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Aborted when the server shuts down, cancelling all in-flight upstream calls
+ */
+const shutdownController = new AbortController();
+
+/**
+ * Signal aborted on server shutdown
+ * Used for work shared across requests, such as building SOAP clients
+ */
+export const shutdownSignal = shutdownController.signal;
+
+/**
+ * Abort every in-flight upstream call (server shutdown)
+ * @param {string} reason - Shutdown reason
+ */
+export function abortInFlightRequests(reason) {
+  shutdownController.abort(new Error(`Server shutting down (${reason})`));
+}
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - Context values (`{ requestId, signal }`)
+ * @param {Function} fn - Function to run within the context
+ * @returns {*} Return value of fn
+ */
+export const runWithRequestContext = (context, fn) =>
+  requestContext.run(context, fn);
+
+/**
+ * Get the context of the request being handled, if any
+ * @returns {Object|undefined} Request context
+ */
+export const getRequestContext = () => requestContext.getStore();
+
+/**
+ * Get the abort signal for the current request
+ * Outside a request (e.g. scripts) only server shutdown aborts it
+ *
+ * @returns {AbortSignal} Abort signal
+ */
+export const getRequestSignal = () =>
+  getRequestContext()?.signal ?? shutdownSignal;
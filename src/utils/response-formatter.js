@@ -0,0 +1,120 @@
+/**
+ * Response Formatter Utility
+ * Content negotiation and CSV / NDJSON serialization for record responses
+ */
+
+/**
+ * Supported response formats and their media types
+ */
+export const RESPONSE_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+};
+
+/**
+ * Column order for exchange rate records (CSV / NDJSON responses and the
+ * bcu-rate table and CSV output)
+ */
+export const RATE_COLUMNS = [
+  'date',
+  'currency',
+  'isoCode',
+  'issuer',
+  'buyRate',
+  'sellRate',
+];
+
+/**
+ * Resolve the response format for a request
+ * The `format` query parameter takes precedence over the Accept header
+ *
+ * @param {express.Request} req - Express request
+ * @returns {string|null} Format name, or null if `format` is not supported
+ *   or the Accept header allows none of the formats
+ */
+export function resolveResponseFormat(req) {
+  const formatParam = req.query.format;
+  if (formatParam !== undefined) {
+    return Object.hasOwn(RESPONSE_FORMATS, formatParam) ? formatParam : null;
+  }
+
+  const accepted = req.accepts(Object.values(RESPONSE_FORMATS));
+  return (
+    Object.keys(RESPONSE_FORMATS).find(
+      name => RESPONSE_FORMATS[name] === accepted
+    ) ?? null
+  );
+}
+
+/**
+ * Escape a value for a CSV cell (RFC 4180)
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCSVCell = value => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize records as CSV with a header row
+ * @param {Object[]} records - Records to serialize
+ * @param {string[]} columns - Column order
+ * @returns {string} CSV document
+ */
+export const toCSV = (records, columns) =>
+  [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(row => row.map(toCSVCell).join(','))
+    .join('\r\n') + '\r\n';
+
+/**
+ * Serialize records as newline-delimited JSON
+ * @param {Object[]} records - Records to serialize
+ * @param {string[]} columns - Property order
+ * @returns {string} NDJSON document
+ */
+export const toNDJSON = (records, columns) =>
+  records
+    .map(record =>
+      JSON.stringify(
+        Object.fromEntries(
+          columns.map(column => [column, record[column] ?? null])
+        )
+      )
+    )
+    .join('\n') + '\n';
+
+/**
+ * Send a response in the negotiated format
+ * JSON responses use the full `json` body; CSV and NDJSON responses contain
+ * only `records`, with a stable column order and a download filename.
+ *
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Object} options - Response options
+ * @param {Object} options.json - JSON response body
+ * @param {Object[]} options.records - Records for CSV / NDJSON output
+ * @param {string[]} options.columns - Column order for CSV / NDJSON output
+ * @param {string} options.filename - Download filename without extension
+ * @returns {express.Response} Express response
+ */
+export function sendFormatted(req, res, { json, records, columns, filename }) {
+  const format = res.locals.format || resolveResponseFormat(req) || 'json';
+  res.vary('Accept');
+
+  if (format === 'json') {
+    return res.json(json);
+  }
+
+  const body =
+    format === 'csv' ? toCSV(records, columns) : toNDJSON(records, columns);
+
+  // attachment() infers a type from the extension, so set the type afterwards
+  res.attachment(`${filename}.${format}`);
+  res.set('Content-Type', `${RESPONSE_FORMATS[format]}; charset=utf-8`);
+  return res.send(body);
+}
@@ -1,22 +1,87 @@
 /**
  * SOAP Client Utility
  * Generic utility for invoking BCU SOAP methods with fallback handling
+ * and a registry that reuses clients across requests
+ *
+ * createSOAPClientRegistry() builds a registry for a given BCU configuration;
+ * the module-level exports (callSOAPService, getCircuitBreakerStates, ...)
+ * belong to the default registry, built from the global `config` on first use.
  */
 
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
 import soap from 'soap';
-import { logger } from './logger.js';
+import { config } from '../config/index.js';
+import { logger as defaultLogger } from './logger.js';
+import { createCircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+import {
+  CircuitOpenError,
+  RequestAbortedError,
+  UpstreamTimeoutError,
+} from './errors.js';
+import { getRequestSignal, shutdownSignal } from './request-context.js';
+import { getFixtureResponse } from './bcu-fixtures.js';
+import { createSOAPRecorder } from './soap-recorder.js';
+import {
+  circuitBreakerState,
+  circuitBreakerRejectionsTotal,
+  soapCallDuration,
+  soapCallFailuresTotal,
+  soapClientCreationRetriesTotal,
+  soapClientCreationFailuresTotal,
+} from './metrics.js';
+import { lazyFunctions } from './helpers.js';
+
+/**
+ * Gauge value for each circuit breaker state
+ */
+const CIRCUIT_STATE_VALUES = {
+  [CIRCUIT_STATES.CLOSED]: 0,
+  [CIRCUIT_STATES.HALF_OPEN]: 1,
+  [CIRCUIT_STATES.OPEN]: 2,
+};
+
+/**
+ * Check whether an HTTP error is a timeout (axios reports ECONNABORTED or
+ * ETIMEDOUT when the `timeout` option is exceeded)
+ * @param {Error} error - Error thrown by the SOAP library
+ * @returns {boolean} True if the request timed out
+ */
+const isTimeoutError = error =>
+  error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT';
 
 /**
  * Generic method to invoke BCU SOAP methods with fallback method names
  * BCU services have inconsistent method naming across different WSDL versions
  * This utility tries multiple possible method names until one succeeds
  *
+ * Each call is bounded by the call timeout and cancelled when the current
+ * request is aborted (client disconnect or server shutdown)
+ *
  * @param {Object} client - SOAP client instance
  * @param {string[]} methodNames - Array of possible method names to try
  * @param {Object} args - Arguments to pass to the SOAP method
+ * @param {Object} [options] - Call options
+ * @param {string} [options.serviceName] - BCU service name used in metrics (e.g. 'awsbcumonedas')
+ * @param {number} [options.timeoutMs] - Call timeout (default: `config.bcu.timeouts.callMs`)
+ * @param {Object|null} [options.recorder] - SOAP recorder saving each call
+ * @param {Object} [options.logger] - Logger
  * @returns {Promise<Object|null>} Response object or null if all methods failed
+ * @throws {UpstreamTimeoutError} If a call exceeds the timeout
+ * @throws {RequestAbortedError} If the request is aborted during a call
  */
-export async function invokeSOAPMethod(client, methodNames, args) {
+export async function invokeSOAPMethod(
+  client,
+  methodNames,
+  args,
+  {
+    serviceName = 'unknown',
+    timeoutMs = config.bcu.timeouts.callMs,
+    recorder = null,
+    logger = defaultLogger,
+  } = {}
+) {
   /**
    * Resolve async method from client, checking both top-level and nested service/port structure
    * @param {Object} c - SOAP client
@@ -46,17 +111,70 @@ export async function invokeSOAPMethod(client, methodNames, args) {
     return null;
   };
 
+  const signal = getRequestSignal();
+
   // Try each method name until one succeeds
   for (const methodName of methodNames) {
     const asyncFunction = resolveAsyncMethod(client, methodName);
     if (asyncFunction) {
+      const labels = { wsdl: serviceName, method: methodName };
+      const endTimer = soapCallDuration.startTimer(labels);
+      const exchangeId = randomUUID();
+      const startTime = Date.now();
+
+      /**
+       * Save the raw call when recording is enabled
+       * @param {Object} outcome - `{ response, statusCode, error? }`
+       */
+      const record = outcome => {
+        if (recorder) {
+          recorder.recordExchange({
+            serviceName,
+            methodName,
+            exchangeId,
+            args,
+            durationMs: Date.now() - startTime,
+            ...outcome,
+          });
+        }
+      };
+
       try {
         logger.debug(`Attempting SOAP method: ${methodName}`, args);
-        const response = await asyncFunction(args);
+        const response = await asyncFunction(args, {
+          timeout: timeoutMs,
+          signal,
+          exchangeId,
+        });
+        // Async methods resolve to [result, rawResponse, soapHeader, rawRequest]
         const result = Array.isArray(response) ? response[0] : response;
+        record({
+          response: Array.isArray(response) ? response[1] : null,
+          statusCode: 200,
+        });
+        endTimer({ outcome: 'success' });
         logger.debug(`SOAP method ${methodName} succeeded`, result);
         return result;
       } catch (error) {
+        record({
+          response: error.body ?? error.response?.data ?? null,
+          statusCode: error.response?.status ?? null,
+          error: error.message,
+        });
+
+        if (signal.aborted) {
+          endTimer({ outcome: 'aborted' });
+          throw new RequestAbortedError(serviceName);
+        }
+
+        endTimer({ outcome: 'failure' });
+        soapCallFailuresTotal.inc(labels);
+
+        // Other method names would hit the same unresponsive service
+        if (isTimeoutError(error)) {
+          throw new UpstreamTimeoutError(serviceName, timeoutMs);
+        }
+
         logger.warn(
           `SOAP method ${methodName} failed, trying next`,
           error.message
@@ -73,19 +191,44 @@ export async function invokeSOAPMethod(client, methodNames, args) {
 
 /**
  * Create SOAP client with error handling and retry logic
+ * Each WSDL download is bounded by the WSDL timeout; retries stop when the
+ * server shuts down
+ *
  * @param {string} wsdlUrl - WSDL URL
- * @param {number} retries - Number of retries (default: 3)
+ * @param {Object} [options] - Creation options
+ * @param {number} [options.retries] - Number of retries (default: 3)
+ * @param {number} [options.timeoutMs] - WSDL download timeout (default: `config.bcu.timeouts.wsdlMs`)
+ * @param {Object} [options.logger] - Logger
  * @returns {Promise<Object>} SOAP client
+ * @throws {UpstreamTimeoutError} If the last attempt timed out
  */
-export async function createSOAPClient(wsdlUrl, retries = 3) {
+export async function createSOAPClient(
+  wsdlUrl,
+  {
+    retries = 3,
+    timeoutMs = config.bcu.timeouts.wsdlMs,
+    logger = defaultLogger,
+  } = {}
+) {
   let lastError;
 
+  const serviceName = getServiceName(wsdlUrl);
+
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (attempt > 1) {
+      soapClientCreationRetriesTotal.inc({ wsdl: serviceName });
+    }
+
     try {
       logger.debug(
         `Creating SOAP client (attempt ${attempt}/${retries}): ${wsdlUrl}`
       );
-      const client = await soap.createClientAsync(wsdlUrl);
+      const client = await soap.createClientAsync(wsdlUrl, {
+        wsdl_options: {
+          timeout: timeoutMs,
+          signal: shutdownSignal,
+        },
+      });
       logger.debug(`SOAP client created successfully: ${wsdlUrl}`);
       return client;
     } catch (error) {
@@ -95,6 +238,10 @@ export async function createSOAPClient(wsdlUrl, retries = 3) {
         error.message
       );
 
+      if (shutdownSignal.aborted) {
+        throw new RequestAbortedError(serviceName);
+      }
+
       if (attempt < retries) {
         // Wait before retrying (exponential backoff)
         const waitTime = Math.pow(2, attempt - 1) * 1000;
@@ -104,7 +251,348 @@ export async function createSOAPClient(wsdlUrl, retries = 3) {
     }
   }
 
+  soapClientCreationFailuresTotal.inc({ wsdl: serviceName });
+  if (isTimeoutError(lastError)) {
+    throw new UpstreamTimeoutError(serviceName, timeoutMs);
+  }
   throw new Error(
     `Failed to create SOAP client after ${retries} attempts: ${lastError.message}`
   );
 }
+
+/**
+ * Get the BCU service name for a WSDL URL (the servlet name)
+ * e.g. .../servlet/awsbcumonedas?wsdl → awsbcumonedas
+ *
+ * @param {string} wsdlUrl - WSDL URL
+ * @returns {string} Service name
+ */
+export const getServiceName = wsdlUrl =>
+  new URL(wsdlUrl).pathname.split('/').pop();
+
+/**
+ * Get the bundled local copy of a WSDL, if one exists
+ * Local copies are named after the BCU servlet, e.g. `awsbcucotizaciones.wsdl`
+ *
+ * @param {string} wsdlUrl - Remote WSDL URL
+ * @param {string|null} [localWsdlDir] - Bundled WSDL directory (default:
+ *   `config.bcu.localWsdlDir`)
+ * @returns {string|null} Local WSDL path or null if not bundled
+ */
+export function getLocalWSDLPath(
+  wsdlUrl,
+  localWsdlDir = config.bcu.localWsdlDir
+) {
+  if (!localWsdlDir) {
+    return null;
+  }
+
+  const localPath = path.resolve(
+    localWsdlDir,
+    `${getServiceName(wsdlUrl)}.wsdl`
+  );
+  return fs.existsSync(localPath) ? localPath : null;
+}
+
+/**
+ * Wait for a promise unless the signal aborts first
+ * Used so an aborted request stops waiting on a client build it shares with
+ * other requests, without cancelling the build itself
+ *
+ * @param {Promise<*>} promise - Promise to wait for
+ * @param {AbortSignal} signal - Abort signal
+ * @param {string} serviceName - BCU service name for the abort error
+ * @returns {Promise<*>} Resolved value of the promise
+ * @throws {RequestAbortedError} If the signal aborts first
+ */
+function untilAborted(promise, signal, serviceName) {
+  if (signal.aborted) {
+    return Promise.reject(new RequestAbortedError(serviceName));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new RequestAbortedError(serviceName));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+/**
+ * Create a SOAP client registry for a BCU configuration
+ * Each registry has its own clients, circuit breakers and last success time
+ *
+ * @param {Object} bcuConfig - BCU settings, shaped like `config.bcu`
+ * @param {Object} [options] - Registry options
+ * @param {Object} [options.logger] - Logger
+ * @returns {Object} Registry with callSOAPService(), getSOAPClient(),
+ *   invalidateSOAPClient(), getCircuitBreakerStates() and
+ *   getLastSuccessfulCallAt()
+ */
+export function createSOAPClientRegistry(
+  bcuConfig,
+  { logger = defaultLogger } = {}
+) {
+  /**
+   * SOAP clients, keyed by WSDL URL
+   * Stores the client creation promise so concurrent requests share one build
+   * @type {Map<string, Promise<Object>>}
+   */
+  const clientRegistry = new Map();
+
+  /**
+   * Circuit breakers, keyed by BCU service name
+   * @type {Map<string, Object>}
+   */
+  const circuitBreakers = new Map();
+
+  /**
+   * Time of the last SOAP call that returned a result (epoch ms)
+   * @type {number|null}
+   */
+  let lastSuccessfulCallAt = null;
+
+  // Replay answers from recordings; recording saves live traffic
+  const recorder =
+    bcuConfig.mode === 'replay' || bcuConfig.recording.enabled
+      ? createSOAPRecorder({ dir: bcuConfig.recording.dir, logger })
+      : null;
+
+  /**
+   * Build a SOAP client, preferring the bundled local WSDL over the remote one
+   * Clients built from a local copy still call the configured service URL
+   * (e.g. a stand-in server), not the address recorded in the copy.
+   * In replay mode the client answers from recordings; with recording
+   * enabled its traffic is recorded
+   *
+   * @param {string} wsdlUrl - Remote WSDL URL
+   * @returns {Promise<Object>} SOAP client
+   */
+  async function buildSOAPClient(wsdlUrl) {
+    if (bcuConfig.mode === 'replay') {
+      return createReplayClient(wsdlUrl);
+    }
+
+    const client =
+      (await loadLocalSOAPClient(wsdlUrl)) ??
+      (await createSOAPClient(wsdlUrl, {
+        timeoutMs: bcuConfig.timeouts.wsdlMs,
+        logger,
+      }));
+
+    if (recorder) {
+      recorder.attachRecorder(client, getServiceName(wsdlUrl));
+    }
+    return client;
+  }
+
+  /**
+   * Build a SOAP client from the bundled local WSDL, if there is one
+   * @param {string} wsdlUrl - Remote WSDL URL
+   * @returns {Promise<Object|null>} SOAP client, or null if there is no usable
+   *   local copy
+   */
+  async function loadLocalSOAPClient(wsdlUrl) {
+    const localPath = getLocalWSDLPath(wsdlUrl, bcuConfig.localWsdlDir);
+    if (!localPath) {
+      return null;
+    }
+
+    try {
+      const client = await soap.createClientAsync(localPath);
+      const endpoint = new URL(wsdlUrl);
+      endpoint.search = '';
+      client.setEndpoint(endpoint.href);
+      logger.debug(`SOAP client created from local WSDL: ${localPath}`);
+      return client;
+    } catch (error) {
+      logger.warn(
+        `Local WSDL could not be loaded, using remote: ${localPath}`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Build a SOAP client that answers from recorded traffic (replay mode)
+   * Uses the recorded WSDL of the service, or the bundled copy
+   *
+   * @param {string} wsdlUrl - Remote WSDL URL
+   * @returns {Promise<Object>} SOAP client
+   * @throws {Error} If no WSDL is available for the service
+   */
+  async function createReplayClient(wsdlUrl) {
+    const serviceName = getServiceName(wsdlUrl);
+    const wsdlPath =
+      recorder.getRecordedWSDLPath(serviceName) ??
+      getLocalWSDLPath(wsdlUrl, bcuConfig.localWsdlDir);
+    if (!wsdlPath) {
+      throw new Error(`No recorded or bundled WSDL for ${serviceName}`);
+    }
+
+    logger.debug(`SOAP replay client created from ${wsdlPath}`);
+    return soap.createClientAsync(wsdlPath, {
+      httpClient: recorder.createReplayHttpClient(serviceName),
+    });
+  }
+
+  /**
+   * Get a cached SOAP client for a WSDL, building it on first use
+   * Failed builds are not cached, so the next call retries
+   *
+   * @param {string} wsdlUrl - WSDL URL
+   * @returns {Promise<Object>} SOAP client
+   */
+  function getSOAPClient(wsdlUrl) {
+    if (!clientRegistry.has(wsdlUrl)) {
+      const clientPromise = buildSOAPClient(wsdlUrl).catch(error => {
+        clientRegistry.delete(wsdlUrl);
+        throw error;
+      });
+      clientRegistry.set(wsdlUrl, clientPromise);
+    }
+    return clientRegistry.get(wsdlUrl);
+  }
+
+  /**
+   * Drop a cached SOAP client so the next call builds a fresh one
+   * @param {string} wsdlUrl - WSDL URL
+   */
+  function invalidateSOAPClient(wsdlUrl) {
+    if (clientRegistry.delete(wsdlUrl)) {
+      logger.debug(`SOAP client invalidated: ${wsdlUrl}`);
+    }
+  }
+
+  /**
+   * Get the circuit breaker for a BCU service, creating it on first use
+   * @param {string} serviceName - BCU service name (e.g. 'awsbcumonedas')
+   * @returns {Object} Circuit breaker
+   */
+  function getCircuitBreaker(serviceName) {
+    if (!circuitBreakers.has(serviceName)) {
+      circuitBreakerState.set({ wsdl: serviceName }, 0);
+      circuitBreakers.set(
+        serviceName,
+        createCircuitBreaker({
+          name: serviceName,
+          ...bcuConfig.circuitBreaker,
+          // A cancelled request says nothing about the health of the service
+          isIgnoredError: error => error instanceof RequestAbortedError,
+          onStateChange: state =>
+            circuitBreakerState.set(
+              { wsdl: serviceName },
+              CIRCUIT_STATE_VALUES[state]
+            ),
+          logger,
+        })
+      );
+    }
+    return circuitBreakers.get(serviceName);
+  }
+
+  /**
+   * Get the status of every BCU circuit breaker used so far
+   * @returns {Object[]} Circuit breaker snapshots
+   */
+  function getCircuitBreakerStates() {
+    return [...circuitBreakers.values()].map(breaker => breaker.getSnapshot());
+  }
+
+  /**
+   * Get the time of the last successful BCU SOAP call
+   * @returns {number|null} Epoch milliseconds, or null if no call succeeded yet
+   */
+  const getLastSuccessfulCallAt = () => lastSuccessfulCallAt;
+
+  /**
+   * Invoke a BCU SOAP service using the cached client for its WSDL
+   * Calls go through the service's circuit breaker; client creation errors
+   * and calls where every method name fails count as failures. When every
+   * method name fails, the client is refreshed for the next call.
+   * In fixture mode calls are answered from fixture files
+   *
+   * @param {string} wsdlUrl - WSDL URL
+   * @param {string[]} methodNames - Array of possible method names to try
+   * @param {Object} args - Arguments to pass to the SOAP method
+   * @returns {Promise<Object|null>} Response object or null if all methods failed
+   * @throws {CircuitOpenError} If the service's circuit breaker is open
+   * @throws {UpstreamTimeoutError} If the service does not respond in time
+   * @throws {RequestAbortedError} If the request is aborted
+   * @throws {Error} If the SOAP client cannot be created
+   */
+  async function callSOAPService(wsdlUrl, methodNames, args) {
+    const serviceName = getServiceName(wsdlUrl);
+
+    if (bcuConfig.mode === 'fixture') {
+      const result = await getFixtureResponse(
+        serviceName,
+        args,
+        bcuConfig.fixturesDir
+      );
+      lastSuccessfulCallAt = Date.now();
+      return result;
+    }
+
+    try {
+      return await getCircuitBreaker(serviceName).execute(
+        async () => {
+          const client = await untilAborted(
+            getSOAPClient(wsdlUrl),
+            getRequestSignal(),
+            serviceName
+          );
+          const result = await invokeSOAPMethod(client, methodNames, args, {
+            serviceName,
+            timeoutMs: bcuConfig.timeouts.callMs,
+            recorder: bcuConfig.recording.enabled ? recorder : null,
+            logger,
+          });
+
+          if (result) {
+            lastSuccessfulCallAt = Date.now();
+          } else {
+            invalidateSOAPClient(wsdlUrl);
+          }
+          return result;
+        },
+        result => !result
+      );
+    } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        circuitBreakerRejectionsTotal.inc({ wsdl: serviceName });
+      }
+      throw error;
+    }
+  }
+
+  return {
+    callSOAPService,
+    getSOAPClient,
+    invalidateSOAPClient,
+    getCircuitBreakerStates,
+    getLastSuccessfulCallAt,
+  };
+}
+
+/**
+ * Default registry, built from the global configuration on first use
+ */
+export const {
+  callSOAPService,
+  getSOAPClient,
+  invalidateSOAPClient,
+  getCircuitBreakerStates,
+  getLastSuccessfulCallAt,
+} = lazyFunctions(
+  () => createSOAPClientRegistry(config.bcu),
+  [
+    'callSOAPService',
+    'getSOAPClient',
+    'invalidateSOAPClient',
+    'getCircuitBreakerStates',
+    'getLastSuccessfulCallAt',
+  ]
+);
@@ -0,0 +1,231 @@
+/**
+ * SOAP Recorder
+ * Records raw BCU SOAP traffic and replays it (BCU_MODE=replay)
+ *
+ * With BCU_RECORD=true, every SOAP call is saved as one JSON file in the
+ * recordings directory with its timestamp, service and method names,
+ * arguments and the request/response envelopes; each service's WSDL is saved
+ * once under `wsdl/`. Replay builds clients from those WSDLs with an HTTP
+ * client that answers each request envelope with its recorded response, so
+ * the soap library and bcu-service.js parse exactly what BCU sent.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { logger as defaultLogger } from './logger.js';
+
+/**
+ * Build the key matching a request to its recording
+ * Whitespace between tags is ignored
+ *
+ * @param {string} serviceName - BCU service name
+ * @param {string} envelope - Request envelope
+ * @returns {string} Recording key
+ */
+const recordingKey = (serviceName, envelope) =>
+  `${serviceName}\n${envelope.replace(/>\s+</g, '><').trim()}`;
+
+/**
+ * Create a recorder for one recordings directory
+ * @param {Object} options - Recorder options
+ * @param {string} options.dir - Recordings directory
+ * @param {Object} [options.logger] - Logger
+ * @returns {Object} Recorder with attachRecorder(), recordExchange(),
+ *   getRecordedWSDLPath() and createReplayHttpClient()
+ */
+export function createSOAPRecorder({ dir, logger = defaultLogger }) {
+  /**
+   * Request envelopes by SOAP exchange ID, kept until the call is recorded
+   * @type {Map<string, string>}
+   */
+  const pendingRequests = new Map();
+
+  /** @type {Promise<Map<string, Object>>|null} Recordings by request key */
+  let recordingsPromise = null;
+
+  /**
+   * Write a file into the recordings directory, logging (not throwing) failures
+   * Recording must never break the call being recorded
+   *
+   * @param {string} relativePath - Path within the recordings directory
+   * @param {string} content - File content
+   * @returns {Promise<void>}
+   */
+  async function writeRecordingFile(relativePath, content) {
+    const filePath = path.resolve(dir, relativePath);
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, content, 'utf8');
+    } catch (error) {
+      logger.warn(`Failed to write SOAP recording ${filePath}`, error.message);
+    }
+  }
+
+  /**
+   * Start recording the traffic of a SOAP client
+   * Saves the service WSDL and captures request envelopes as they are sent
+   *
+   * @param {Object} client - SOAP client
+   * @param {string} serviceName - BCU service name (e.g. 'awsbcumonedas')
+   */
+  function attachRecorder(client, serviceName) {
+    client.on('request', (xml, exchangeId) => {
+      pendingRequests.set(exchangeId, xml);
+    });
+    writeRecordingFile(`wsdl/${serviceName}.wsdl`, client.wsdl.toXML());
+  }
+
+  /**
+   * Save a completed SOAP call
+   * Calls whose request was never sent (e.g. unknown method) are not saved
+   *
+   * @param {Object} exchange - SOAP call
+   * @param {string} exchange.serviceName - BCU service name
+   * @param {string} exchange.methodName - SOAP method name
+   * @param {string} exchange.exchangeId - SOAP exchange ID of the call
+   * @param {Object} exchange.args - Call arguments
+   * @param {string|null} exchange.response - Response envelope, if any
+   * @param {number|null} exchange.statusCode - HTTP status, if any
+   * @param {string} [exchange.error] - Error message for failed calls
+   * @param {number} exchange.durationMs - Call duration
+   */
+  function recordExchange({
+    serviceName,
+    methodName,
+    exchangeId,
+    args,
+    response,
+    statusCode,
+    error,
+    durationMs,
+  }) {
+    const request = pendingRequests.get(exchangeId);
+    pendingRequests.delete(exchangeId);
+    if (request === undefined) {
+      return;
+    }
+
+    const recordedAt = new Date().toISOString();
+    const recording = {
+      recordedAt,
+      service: serviceName,
+      method: methodName,
+      exchangeId,
+      durationMs,
+      args,
+      statusCode,
+      ...(error && { error }),
+      request,
+      response,
+    };
+
+    // Timestamp first, so file names sort chronologically
+    const fileName = `${recordedAt.replace(/[:.]/g, '-')}-${serviceName}-${methodName}-${exchangeId.slice(0, 8)}.json`;
+    writeRecordingFile(fileName, `${JSON.stringify(recording, null, 2)}\n`);
+  }
+
+  /**
+   * Load every recording with a response, indexed by request
+   * When the same request was recorded more than once, the latest wins
+   *
+   * @returns {Promise<Map<string, Object>>} Recordings by request key
+   */
+  async function loadRecordings() {
+    const recordingsDir = path.resolve(dir);
+    const fileNames = (await fs.promises.readdir(recordingsDir))
+      .filter(fileName => fileName.endsWith('.json'))
+      .sort();
+
+    const recordings = new Map();
+    for (const fileName of fileNames) {
+      try {
+        const recording = JSON.parse(
+          await fs.promises.readFile(path.join(recordingsDir, fileName), 'utf8')
+        );
+        if (recording.request && typeof recording.response === 'string') {
+          recordings.set(
+            recordingKey(recording.service, recording.request),
+            recording
+          );
+        }
+      } catch (error) {
+        logger.warn(
+          `Skipping unreadable SOAP recording ${fileName}`,
+          error.message
+        );
+      }
+    }
+
+    logger.info(
+      `Loaded ${recordings.size} SOAP recordings from ${recordingsDir}`
+    );
+    return recordings;
+  }
+
+  /**
+   * Get the recorded WSDL of a service, if one exists
+   * @param {string} serviceName - BCU service name
+   * @returns {string|null} WSDL path or null if not recorded
+   */
+  function getRecordedWSDLPath(serviceName) {
+    const wsdlPath = path.resolve(dir, 'wsdl', `${serviceName}.wsdl`);
+    return fs.existsSync(wsdlPath) ? wsdlPath : null;
+  }
+
+  /**
+   * Create an HTTP client for the soap library that answers from recordings
+   * Implements the `request()` method of the soap HttpClient interface
+   *
+   * @param {string} serviceName - BCU service name
+   * @returns {Object} HTTP client
+   */
+  function createReplayHttpClient(serviceName) {
+    return {
+      request(url, envelope, callback) {
+        recordingsPromise ??= loadRecordings().catch(error => {
+          recordingsPromise = null;
+          throw error;
+        });
+        recordingsPromise.then(
+          recordings => {
+            const recording = recordings.get(
+              recordingKey(serviceName, envelope)
+            );
+            if (!recording) {
+              return callback(
+                new Error(
+                  `No SOAP recording matches this ${serviceName} request`
+                )
+              );
+            }
+
+            logger.debug(
+              `Replaying SOAP recording from ${recording.recordedAt}`
+            );
+            const response = {
+              status: recording.statusCode ?? 200,
+              headers: {},
+              data: recording.response,
+            };
+            if (response.status >= 400) {
+              const error = new Error(
+                `Request failed with status code ${response.status}`
+              );
+              error.response = response;
+              return callback(error, response, recording.response);
+            }
+            return callback(null, response, recording.response);
+          },
+          error => callback(error)
+        );
+      },
+    };
+  }
+
+  return {
+    attachRecorder,
+    recordExchange,
+    getRecordedWSDLPath,
+    createReplayHttpClient,
+  };
+}
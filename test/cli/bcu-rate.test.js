@@ -0,0 +1,90 @@
+/**
+ * bcu-rate command tests
+ * Runs bin/bcu-rate.js as a child process against the BCU fixtures
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { EXIT_CODES } from '../../src/cli/bcu-rate.js';
+
+/**
+ * Run bcu-rate
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} [env] - Extra environment variables
+ * @returns {{status: number, stdout: string, stderr: string}} Process result
+ */
+const bcuRate = (args, env = {}) =>
+  spawnSync(process.execPath, ['bin/bcu-rate.js', ...args], {
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, BCU_MODE: 'fixture', ...env },
+  });
+
+describe('bcu-rate', () => {
+  it('prints the rate for a date', () => {
+    const { status, stdout } = bcuRate(['2025-09-12', '--json']);
+    assert.equal(status, EXIT_CODES.ok);
+    assert.equal(JSON.parse(stdout).sellRate, 40.512);
+  });
+
+  it('keeps log output off stdout', () => {
+    const { status, stdout, stderr } = bcuRate(['2025-09-12', '--json'], {
+      LOG_LEVEL: 'debug',
+    });
+    assert.equal(status, EXIT_CODES.ok);
+    assert.equal(JSON.parse(stdout).sellRate, 40.512);
+    assert.match(stderr, /"level":"debug"/);
+  });
+
+  it('prints CSV with the rate columns', () => {
+    const { status, stdout } = bcuRate([
+      'range',
+      '2025-09-01',
+      '2025-09-02',
+      '--csv',
+    ]);
+    assert.equal(status, EXIT_CODES.ok);
+    assert.deepEqual(stdout.trim().split('\r\n'), [
+      'date,currency,isoCode,issuer,buyRate,sellRate',
+      '2025-09-01,DLS. USA BILLETE,USD,INTERBANCARIO,40.271,40.471',
+      '2025-09-02,DLS. USA BILLETE,USD,INTERBANCARIO,40.361,40.561',
+    ]);
+  });
+
+  it('exits with noData when a date has no rate', () => {
+    const { status, stderr } = bcuRate(['2025-09-13']);
+    assert.equal(status, EXIT_CODES.noData);
+    assert.match(stderr, /Saturday/);
+  });
+
+  it('falls back to the previous rate with --previous', () => {
+    const { status, stdout } = bcuRate(['2025-09-13', '--previous', '--json']);
+    assert.equal(status, EXIT_CODES.ok);
+    assert.equal(JSON.parse(stdout).date, '2025-09-12');
+  });
+
+  it('exits with usage for impossible dates and bad arguments', () => {
+    for (const args of [
+      ['2025-02-30'],
+      ['12-09-2025'],
+      ['range', '2025-09-02', '2025-09-01'],
+      ['latest', '--json', '--csv'],
+      ['--currency', 'XYZ', 'latest'],
+      [],
+    ]) {
+      assert.equal(bcuRate(args).status, EXIT_CODES.usage, args.join(' '));
+    }
+    assert.match(bcuRate(['2025-02-30']).stderr, /Invalid date/);
+  });
+
+  it('exits with upstreamError when BCU cannot be queried', () => {
+    const { status, stderr } = bcuRate(['latest'], {
+      BCU_MODE: 'live',
+      BCU_BASE_URL: 'http://127.0.0.1:1/servlet',
+      BCU_WSDL_DIR: '',
+    });
+    assert.equal(status, EXIT_CODES.upstreamError);
+    assert.match(stderr, /BCU query failed/);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Library client tests
+ * Exercises createBcuClient() in fixture mode and checks that the runtime API
+ * has exactly the functions, methods and fields declared in src/client.d.ts
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import ts from 'typescript';
+import * as library from '../src/client.js';
+
+const { createBcuClient, ConfigError, RequestAbortedError } = library;
+
+/**
+ * Declarations of src/client.d.ts, parsed with the TypeScript compiler
+ * (`npm run typecheck` checks their usage in test/types/client.ts)
+ */
+const declarations = ts.createSourceFile(
+  'client.d.ts',
+  fs.readFileSync(new URL('../src/client.d.ts', import.meta.url), 'utf8'),
+  ts.ScriptTarget.Latest
+);
+
+/**
+ * Get the names of the exported functions and classes of client.d.ts
+ * @returns {string[]} Names, sorted
+ */
+const declaredValues = () =>
+  declarations.statements
+    .filter(
+      statement =>
+        (ts.isFunctionDeclaration(statement) ||
+          ts.isClassDeclaration(statement)) &&
+        statement.modifiers?.some(
+          modifier => modifier.kind === ts.SyntaxKind.ExportKeyword
+        )
+    )
+    .map(statement => statement.name.text)
+    .sort();
+
+/**
+ * Get the member names declared in an interface of client.d.ts
+ * @param {string} name - Interface name
+ * @returns {string[]} Property and method names, sorted
+ */
+const declaredMembers = name =>
+  declarations.statements
+    .find(
+      statement =>
+        ts.isInterfaceDeclaration(statement) && statement.name.text === name
+    )
+    .members.map(member => member.name.text)
+    .sort();
+
+const bcu = createBcuClient({ mode: 'fixture' });
+
+describe('client.d.ts', () => {
+  it('declares exactly the exported values', () => {
+    assert.deepEqual(declaredValues(), Object.keys(library).sort());
+  });
+
+  it('declares exactly the client methods', () => {
+    assert.deepEqual(declaredMembers('BcuClient'), Object.keys(bcu).sort());
+  });
+
+  it('declares the exchange rate and currency fields', async () => {
+    const rate = await bcu.getRate('2025-09-12');
+    assert.deepEqual(declaredMembers('ExchangeRate'), Object.keys(rate).sort());
+
+    const [currency] = await bcu.listCurrencies();
+    assert.deepEqual(declaredMembers('Currency'), Object.keys(currency).sort());
+  });
+});
+
+describe('createBcuClient', () => {
+  it('does not load the server configuration', () => {
+    // Record the files read synchronously (as the config loader does) while
+    // importing and using the library
+    const script = `
+      import fs from 'node:fs';
+      const read = fs.readFileSync;
+      const paths = [];
+      fs.readFileSync = (file, ...args) => {
+        paths.push(String(file));
+        return read(file, ...args);
+      };
+      const { createBcuClient } = await import('./src/client.js');
+      await createBcuClient({ mode: 'fixture' }).getRate('2025-09-12');
+      console.log(JSON.stringify(paths));
+    `;
+    const { status, stdout, stderr } = spawnSync(
+      process.execPath,
+      ['--input-type=module', '-e', script],
+      {
+        encoding: 'utf8',
+        env: { ...process.env, CONFIG_FILE: 'server-config.json' },
+      }
+    );
+
+    assert.equal(status, 0, stderr);
+    const paths = JSON.parse(stdout);
+    assert.equal(paths.includes('server-config.json'), false);
+    // The loader reads the version from the package's own package.json
+    assert.equal(
+      paths.includes(new URL('../package.json', import.meta.url).href),
+      false
+    );
+  });
+
+  it('rejects invalid options with every problem listed', () => {
+    assert.throws(
+      () =>
+        createBcuClient({
+          mode: 'offline',
+          timeouts: { callMs: 0 },
+          baseUrl: 'ftp://example.com',
+        }),
+      error =>
+        error instanceof ConfigError &&
+        error.errors.length === 5 &&
+        error.errors.some(message => message.startsWith('mode:')) &&
+        error.errors.some(message => message.startsWith('timeouts.callMs:'))
+    );
+  });
+});
+
+describe('getRate', () => {
+  it('returns the rate published on a date', async () => {
+    const rate = await bcu.getRate('2025-09-12');
+    assert.equal(rate.date, '2025-09-12');
+    assert.equal(rate.isoCode, 'USD');
+    assert.equal(rate.sellRate, 40.512);
+  });
+
+  it('falls back to the previous published rate', async () => {
+    assert.equal(await bcu.getRate('2025-09-13'), null);
+    const rate = await bcu.getRate('2025-09-13', { fallback: 'previous' });
+    assert.equal(rate.date, '2025-09-12');
+  });
+
+  it('rejects impossible dates, unknown fallbacks and currencies', async () => {
+    await assert.rejects(bcu.getRate('2025-02-30'), RangeError);
+    await assert.rejects(bcu.getRate('12-09-2025'), RangeError);
+    await assert.rejects(
+      bcu.getRate('2025-09-12', { fallback: 'nearest' }),
+      RangeError
+    );
+    await assert.rejects(
+      bcu.getRate('2025-09-12', { currency: 'XYZ' }),
+      RangeError
+    );
+    await assert.rejects(bcu.getRate(20250912), TypeError);
+  });
+
+  it('rejects with RequestAbortedError when the signal aborts', async () => {
+    // A BCU endpoint that never answers, so only the signal ends the call
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const live = createBcuClient({
+      mode: 'live',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+    });
+
+    try {
+      await assert.rejects(
+        live.getRate('2025-09-12', { signal: AbortSignal.timeout(100) }),
+        RequestAbortedError
+      );
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+});
+
+describe('getRange', () => {
+  it('returns one rate per published day in date order', async () => {
+    const rates = await bcu.getRange('2025-09-12', '2025-09-15', {
+      currency: 'EUR',
+    });
+    assert.deepEqual(
+      rates.map(rate => [rate.date, rate.isoCode]),
+      [
+        ['2025-09-12', 'EUR'],
+        ['2025-09-15', 'EUR'],
+      ]
+    );
+  });
+
+  it('rejects impossible, reversed and overlong ranges', async () => {
+    await assert.rejects(bcu.getRange('2025-02-01', '2025-02-30'), RangeError);
+    await assert.rejects(bcu.getRange('2025-09-15', '2025-09-12'), RangeError);
+    const shortRanges = createBcuClient({ mode: 'fixture', maxRangeDays: 3 });
+    await assert.rejects(
+      shortRanges.getRange('2025-09-01', '2025-09-30'),
+      /Maximum is 3 days/
+    );
+  });
+});
+
+describe('other methods', () => {
+  it('get the latest rate, currencies and last closing', async () => {
+    assert.equal((await bcu.getLatest()).date, '2025-09-30');
+    assert.equal((await bcu.resolveCurrency('euro')).isoCode, 'EUR');
+    assert.equal(await bcu.resolveCurrency('XYZ'), null);
+    assert.ok((await bcu.listCurrencies()).length > 0);
+    assert.equal(await bcu.getLastClosingDate(), '2025-09-30');
+  });
+});
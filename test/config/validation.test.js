@@ -0,0 +1,41 @@
+/**
+ * Configuration validation tests
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let config;
+let assertValidConfig;
+
+before(async () => {
+  Object.assign(process.env, {
+    CALENDAR_EXTRA_HOLIDAYS: '2025-13-45:Asueto,2025-12-24',
+    CALENDAR_BUSINESS_DAYS: '2025-02-30',
+  });
+  ({ config, assertValidConfig } = await import('../../src/config/index.js'));
+});
+
+describe('calendar overrides', () => {
+  it('drops impossible dates and reports them', () => {
+    assert.deepEqual(config.calendar.extraHolidays, [
+      { date: '2025-12-24', name: 'Feriado bancario' },
+    ]);
+    assert.deepEqual(config.calendar.businessDays, []);
+
+    assert.throws(assertValidConfig, error => {
+      assert.equal(error.name, 'ConfigError');
+      assert.ok(
+        error.errors.some(message =>
+          message.startsWith('CALENDAR_EXTRA_HOLIDAYS:')
+        )
+      );
+      assert.ok(
+        error.errors.some(message =>
+          message.startsWith('CALENDAR_BUSINESS_DAYS:')
+        )
+      );
+      return true;
+    });
+  });
+});
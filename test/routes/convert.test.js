@@ -0,0 +1,90 @@
+/**
+ * /convert route tests (fixture mode)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let baseUrl;
+let server;
+let fixturesDir;
+
+before(async () => {
+  // Fixtures with a zero ARS buy rate on 2025-09-12
+  fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bcu-fixtures-'));
+  await fs.cp('fixtures/bcu', fixturesDir, { recursive: true });
+  const ratesPath = path.join(fixturesDir, 'cotizaciones.json');
+  const records = JSON.parse(await fs.readFile(ratesPath, 'utf8'));
+  for (const record of records) {
+    if (record.Fecha === '2025-09-12' && record.CodigoISO === 'ARS') {
+      record.TCC = 0;
+    }
+  }
+  await fs.writeFile(ratesPath, JSON.stringify(records));
+
+  Object.assign(process.env, {
+    BCU_MODE: 'fixture',
+    BCU_FIXTURES_DIR: fixturesDir,
+    RATE_STORE_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+  });
+  const { createApp } = await import('../../src/index.js');
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(fixturesDir, { recursive: true, force: true });
+});
+
+/**
+ * GET a JSON document from the test server
+ * @param {string} pathAndQuery - Request path and query string
+ * @returns {Promise<{status: number, body: Object}>} Response
+ */
+const get = async pathAndQuery => {
+  const response = await fetch(`${baseUrl}${pathAndQuery}`);
+  return { status: response.status, body: await response.json() };
+};
+
+describe('GET /convert', () => {
+  it('converts with exact decimals', async () => {
+    const { status, body } = await get(
+      '/convert?amount=100&from=USD&to=UYU&date=2025-09-12'
+    );
+    assert.equal(status, 200);
+    assert.equal(body.result, '4051.20');
+  });
+
+  it('dates the UYU leg with the other leg for latest conversions', async () => {
+    const { status, body } = await get('/convert?amount=1&from=UYU&to=EUR');
+    assert.equal(status, 200);
+    assert.equal(body.rates[0].isoCode, 'UYU');
+    assert.equal(body.rates[0].date, body.rates[1].date);
+    assert.notEqual(body.rates[0].date, null);
+  });
+
+  it('explains why a date has no rate', async () => {
+    const { status, body } = await get(
+      '/convert?amount=1&from=USD&to=UYU&date=2025-09-13'
+    );
+    assert.equal(status, 404);
+    assert.equal(body.reason, 'weekend');
+    assert.equal(body.nextBusinessDay, '2025-09-15');
+    assert.match(body.explanation, /Saturday/);
+  });
+
+  it('rejects a zero rate instead of dividing by it', async () => {
+    const { status, body } = await get(
+      '/convert?amount=1&from=UYU&to=ARS&date=2025-09-12&side=buy'
+    );
+    assert.equal(status, 502);
+    assert.equal(body.rate, 0);
+  });
+});
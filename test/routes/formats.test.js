@@ -0,0 +1,109 @@
+/**
+ * CSV / NDJSON content negotiation tests (fixture mode)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const RANGE_PATH = '/usd-rate/range?from=2025-09-01&to=2025-09-02';
+
+let baseUrl;
+let server;
+
+before(async () => {
+  Object.assign(process.env, {
+    BCU_MODE: 'fixture',
+    RATE_STORE_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+  });
+  const { createApp } = await import('../../src/index.js');
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * GET a document from the test server
+ * @param {string} pathAndQuery - Request path and query string
+ * @param {string} [accept] - Accept header
+ * @returns {Promise<{status: number, headers: Headers, text: string}>} Response
+ */
+const get = async (pathAndQuery, accept) => {
+  const response = await fetch(`${baseUrl}${pathAndQuery}`, {
+    headers: accept ? { Accept: accept } : {},
+  });
+  return {
+    status: response.status,
+    headers: response.headers,
+    text: await response.text(),
+  };
+};
+
+describe('content negotiation', () => {
+  it('answers Accept: text/csv with a CSV download', async () => {
+    const { status, headers, text } = await get(RANGE_PATH, 'text/csv');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv; charset=utf-8/);
+    assert.match(headers.get('content-disposition'), /attachment.*\.csv"/);
+    assert.match(headers.get('vary'), /Accept/);
+    assert.deepEqual(text.trim().split('\r\n'), [
+      'date,currency,isoCode,issuer,buyRate,sellRate',
+      '2025-09-01,DLS. USA BILLETE,USD,INTERBANCARIO,40.271,40.471',
+      '2025-09-02,DLS. USA BILLETE,USD,INTERBANCARIO,40.361,40.561',
+    ]);
+  });
+
+  it('answers Accept: application/x-ndjson with one record per line', async () => {
+    const { status, headers, text } = await get(
+      RANGE_PATH,
+      'application/x-ndjson'
+    );
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^application\/x-ndjson/);
+    const records = text.trim().split('\n').map(JSON.parse);
+    assert.deepEqual(Object.keys(records[0]), [
+      'date',
+      'currency',
+      'isoCode',
+      'issuer',
+      'buyRate',
+      'sellRate',
+    ]);
+    assert.deepEqual(
+      records.map(({ date }) => date),
+      ['2025-09-01', '2025-09-02']
+    );
+  });
+
+  it('lets format= override the Accept header', async () => {
+    const { status, headers } = await get(
+      `${RANGE_PATH}&format=ndjson`,
+      'text/csv'
+    );
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^application\/x-ndjson/);
+  });
+
+  it('answers JSON by default', async () => {
+    const { status, headers } = await get('/usd-rate?date=2025-09-12');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^application\/json/);
+  });
+
+  it('answers 406 when no supported format is acceptable', async () => {
+    const { status, headers, text } = await get(RANGE_PATH, 'application/xml');
+    assert.equal(status, 406);
+    assert.match(headers.get('content-type'), /^application\/json/);
+    assert.match(JSON.parse(text).error, /text\/csv/);
+  });
+
+  it('answers 400 for an unknown format= value', async () => {
+    const { status } = await get(`${RANGE_PATH}&format=xml`);
+    assert.equal(status, 400);
+  });
+});
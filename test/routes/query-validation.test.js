@@ -0,0 +1,91 @@
+/**
+ * OpenAPI-driven query validation tests (fixture mode)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+let baseUrl;
+let server;
+let openApiDocument;
+
+before(async () => {
+  Object.assign(process.env, {
+    BCU_MODE: 'fixture',
+    RATE_STORE_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+  });
+  const { createApp } = await import('../../src/index.js');
+  ({ openApiDocument } = await import('../../src/openapi/spec.js'));
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * GET a JSON document from the test server
+ * @param {string} pathAndQuery - Request path and query string
+ * @returns {Promise<{status: number, body: Object}>} Response
+ */
+const get = async pathAndQuery => {
+  const response = await fetch(`${baseUrl}${pathAndQuery}`);
+  return { status: response.status, body: await response.json() };
+};
+
+describe('query validation', () => {
+  it('reports a missing required parameter with the documented example', async () => {
+    const { status, body } = await get('/usd-rate');
+    assert.equal(status, 400);
+    assert.equal(
+      body.error,
+      'Missing required parameter: date (format: YYYY-MM-DD)'
+    );
+    assert.equal(
+      body.example,
+      openApiDocument.paths['/usd-rate'].get['x-example']
+    );
+    assert.equal(body.documentation, '/docs');
+  });
+
+  it('rejects impossible dates', async () => {
+    const { status, body } = await get('/usd-rate?date=2025-02-30');
+    assert.equal(status, 400);
+    assert.equal(body.provided, '2025-02-30');
+    assert.match(body.error, /^Invalid date\./);
+  });
+
+  it('rejects values outside the schema enum', async () => {
+    const { status, body } = await get(
+      '/usd-rate?date=2025-09-12&fallback=nearest'
+    );
+    assert.equal(status, 400);
+    assert.equal(
+      body.error,
+      'Invalid fallback. Allowed values: previous, next, none'
+    );
+  });
+
+  it('lists every invalid parameter', async () => {
+    const { status, body } = await get(
+      '/convert?amount=abc&from=USD&to=UYU&precision=99'
+    );
+    assert.equal(status, 400);
+    assert.deepEqual(
+      body.errors.map(({ parameter }) => parameter),
+      ['amount', 'precision']
+    );
+  });
+
+  it('rejects repeated parameters', async () => {
+    const { status, body } = await get(
+      '/usd-rate?date=2025-09-12&date=2025-09-15'
+    );
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid date. Please provide a single value');
+  });
+});
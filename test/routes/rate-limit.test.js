@@ -0,0 +1,43 @@
+/**
+ * Anonymous rate limit tests (fixture mode)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+let baseUrl;
+let server;
+
+before(async () => {
+  Object.assign(process.env, {
+    BCU_MODE: 'fixture',
+    RATE_STORE_ENABLED: 'false',
+    RATE_LIMIT_PER_IP: '2',
+    LOG_LEVEL: 'error',
+  });
+  delete process.env.TRUST_PROXY;
+  const { createApp } = await import('../../src/index.js');
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('anonymous rate limit', () => {
+  it('is not reset by a spoofed X-Forwarded-For header', async () => {
+    const statuses = [];
+    for (const forwardedFor of ['203.0.113.1', '203.0.113.2', '203.0.113.3']) {
+      const response = await fetch(`${baseUrl}/currencies`, {
+        headers: { 'X-Forwarded-For': forwardedFor },
+      });
+      await response.arrayBuffer();
+      statuses.push(response.status);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 429]);
+  });
+});
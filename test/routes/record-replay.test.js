@@ -0,0 +1,189 @@
+/**
+ * SOAP record/replay tests
+ * Records the traffic of a live-mode app against the BCU stand-in server, then
+ * serves the same route from those recordings with BCU_MODE=replay
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+
+const RANGE_PATH = '/usd-rate/range?from=2025-09-01&to=2025-09-02';
+
+let baseUrl;
+let server;
+let stubServer;
+let tempDir;
+let recordingsDir;
+
+/**
+ * Start a child process and wait for a line of its stdout
+ * @param {string[]} args - Node.js arguments
+ * @param {Object} env - Environment variables
+ * @param {RegExp} readyPattern - Output line signalling the process is ready
+ * @returns {Promise<{child: ChildProcess, match: RegExpMatchArray}>} Running
+ *   process and the matched line
+ */
+const startProcess = (args, env, readyPattern) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { env });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Timed out waiting for ${readyPattern}:\n${output}`));
+    }, 15000);
+
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(readyPattern);
+      if (match) {
+        clearTimeout(timer);
+        resolve({ child, match });
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Exited with code ${code} before ready:\n${output}`));
+    });
+  });
+
+/**
+ * Stop a child process started by startProcess
+ * @param {ChildProcess} child - Child process
+ * @returns {Promise<void>}
+ */
+const stopProcess = async child => {
+  if (child.exitCode === null && child.signalCode === null) {
+    child.kill();
+    await once(child, 'exit');
+  }
+};
+
+/**
+ * Find a free local TCP port
+ * @returns {Promise<number>} Port number
+ */
+const getFreePort = async () => {
+  const probe = net.createServer().listen(0);
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+};
+
+/**
+ * Read the saved SOAP recording of a service, waiting for it to be written
+ * Recordings are written in the background after each call
+ *
+ * @param {string} serviceName - BCU service name
+ * @returns {Promise<Object|undefined>} Recording, if one was saved
+ */
+const readRecording = async serviceName => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const fileName = (await fs.readdir(recordingsDir)).find(
+      name => name.endsWith('.json') && name.includes(`-${serviceName}-`)
+    );
+    if (fileName) {
+      return JSON.parse(
+        await fs.readFile(path.join(recordingsDir, fileName), 'utf8')
+      );
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return undefined;
+};
+
+/**
+ * GET a JSON document
+ * @param {string} origin - Server origin
+ * @param {string} pathAndQuery - Request path and query string
+ * @returns {Promise<{status: number, body: Object}>} Response
+ */
+const get = async (origin, pathAndQuery) => {
+  const response = await fetch(`${origin}${pathAndQuery}`);
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bcu-recordings-'));
+  recordingsDir = path.join(tempDir, 'recordings');
+  await fs.mkdir(recordingsDir);
+
+  const stub = await startProcess(
+    ['src/scripts/bcu-stub-server.js', '--port', '0'],
+    process.env,
+    /BCU_BASE_URL=(\S+)/
+  );
+  stubServer = stub.child;
+
+  Object.assign(process.env, {
+    BCU_MODE: 'live',
+    BCU_BASE_URL: stub.match[1],
+    BCU_RECORD: 'true',
+    BCU_RECORDINGS_DIR: recordingsDir,
+    RATE_STORE_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+  });
+  const { createApp } = await import('../../src/index.js');
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await stopProcess(stubServer);
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe('SOAP record/replay', () => {
+  let recorded;
+
+  it('records the SOAP exchanges behind a live response', async () => {
+    recorded = await get(baseUrl, RANGE_PATH);
+    assert.equal(recorded.status, 200);
+    assert.equal(recorded.body.rates[0].sellRate, 40.471);
+
+    const rates = await readRecording('awsbcucotizaciones');
+    assert.ok(rates, 'no awsbcucotizaciones recording');
+    assert.equal(rates.statusCode, 200);
+    assert.match(rates.request, /<soap:Envelope[\s\S]*2025-09-01/);
+    assert.match(rates.response, /40\.471/);
+    await fs.access(
+      path.join(recordingsDir, 'wsdl', 'awsbcucotizaciones.wsdl')
+    );
+  });
+
+  it('serves the same response from the recordings in replay mode', async () => {
+    assert.ok(recorded, 'nothing was recorded');
+    await stopProcess(stubServer);
+
+    const port = await getFreePort();
+    const { child } = await startProcess(
+      ['src/index.js'],
+      {
+        ...process.env,
+        PORT: String(port),
+        BCU_MODE: 'replay',
+        BCU_RECORD: 'false',
+        WEBHOOK_STORE_PATH: path.join(tempDir, 'webhooks.json'),
+        LOG_LEVEL: 'info',
+      },
+      /listening on/
+    );
+
+    try {
+      const replayed = await get(`http://127.0.0.1:${port}`, RANGE_PATH);
+      assert.equal(replayed.status, 200);
+      assert.deepEqual(replayed.body.rates, recorded.body.rates);
+    } finally {
+      await stopProcess(child);
+    }
+  });
+});
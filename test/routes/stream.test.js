@@ -0,0 +1,88 @@
+/**
+ * /usd-rate/stream route tests (fixture mode)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+let baseUrl;
+let server;
+
+before(async () => {
+  Object.assign(process.env, {
+    BCU_MODE: 'fixture',
+    RATE_STORE_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+  });
+  const { createApp } = await import('../../src/index.js');
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Read a stream response until it contains a marker
+ * @param {Response} response - Fetch response
+ * @param {string} marker - Text to wait for
+ * @returns {Promise<string>} Text received so far
+ */
+async function readUntil(response, marker) {
+  const reader = response.body.getReader();
+  let text = '';
+  while (!text.includes(marker)) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    text += Buffer.from(value).toString('utf8');
+  }
+  reader.releaseLock();
+  return text;
+}
+
+describe('GET /usd-rate/stream', () => {
+  it('sends the latest rate on connect', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/usd-rate/stream`, {
+      signal: controller.signal,
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const text = await readUntil(response, 'event: rate');
+    assert.match(text, /^retry: \d+/);
+    assert.match(text, /id: 2025-09-30/);
+    controller.abort();
+  });
+
+  it('ignores an impossible Last-Event-ID', async () => {
+    // 2025-09-31 sorts after the latest closing (2025-09-30) as a string
+    const response = await fetch(`${baseUrl}/usd-rate/stream`, {
+      headers: { 'Last-Event-ID': '2025-09-31' },
+      signal: AbortSignal.timeout(5000),
+    });
+
+    const text = await readUntil(response, 'event: rate');
+    assert.match(text, /id: 2025-09-30/);
+    await response.body.cancel();
+  });
+
+  it('keeps serving after clients disconnect early', async () => {
+    for (let i = 0; i < 5; i++) {
+      const controller = new AbortController();
+      const response = await fetch(`${baseUrl}/usd-rate/stream`, {
+        signal: controller.signal,
+      });
+      assert.equal(response.status, 200);
+      controller.abort();
+    }
+
+    const health = await fetch(`${baseUrl}/health`);
+    assert.equal(health.status, 200);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * /webhooks route tests (fixture mode)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const API_KEY = 'test-key-checkout';
+
+let baseUrl;
+let server;
+let storeDir;
+
+before(async () => {
+  storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bcu-webhooks-'));
+  Object.assign(process.env, {
+    // Development responses include error details, which must still leave
+    // out the stack for client errors
+    NODE_ENV: 'development',
+    BCU_MODE: 'fixture',
+    RATE_STORE_ENABLED: 'false',
+    API_KEYS: `checkout:${API_KEY}`,
+    WEBHOOK_MAX_PER_OWNER: '2',
+    WEBHOOK_STORE_PATH: path.join(storeDir, 'webhooks.json'),
+    LOG_LEVEL: 'error',
+  });
+  const { createApp } = await import('../../src/index.js');
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(storeDir, { recursive: true, force: true });
+});
+
+/**
+ * POST a raw body to /webhooks with the test API key
+ * @param {string} body - Request body
+ * @returns {Promise<{status: number, body: Object}>} Response
+ */
+const postWebhook = async body => {
+  const response = await fetch(`${baseUrl}/webhooks`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+    body,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('POST /webhooks', () => {
+  it('rejects a malformed JSON body with 400 and no stack', async () => {
+    const { status, body } = await postWebhook('{bad');
+    assert.equal(status, 400);
+    assert.equal(body.type, 'entity.parse.failed');
+    assert.equal(typeof body.error, 'string');
+    assert.ok(body.timestamp);
+    assert.equal(body.stack, undefined);
+  });
+
+  it('enforces the per-client limit for concurrent registrations', async () => {
+    const body = JSON.stringify({ url: 'https://203.0.113.10/hooks/bcu' });
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => postWebhook(body))
+    );
+
+    const statuses = responses.map(({ status }) => status).sort();
+    assert.deepEqual(statuses, [201, 201, 409, 409, 409]);
+  });
+});
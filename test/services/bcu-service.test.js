@@ -0,0 +1,124 @@
+/**
+ * BCU service tests (rate store read-through)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { BCU_DEFAULTS } from '../../src/config/bcu-defaults.js';
+import { createRateStore } from '../../src/services/rate-store.js';
+import { createBcuService } from '../../src/services/bcu-service.js';
+import { createCalendar } from '../../src/services/calendar.js';
+
+const USD = 2225;
+
+const silentLogger = {
+  error: () => {},
+  warn: () => {},
+  info: () => {},
+  debug: () => {},
+};
+
+/**
+ * Build a BCU record as returned by awsbcucotizaciones
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} sell - Sell rate
+ * @returns {Object} BCU record
+ */
+const bcuRecord = (date, sell) => ({
+  Fecha: date,
+  Moneda: USD,
+  Nombre: 'DLS. USA BILLETE',
+  CodigoISO: 'USD',
+  Emisor: 'INTERBANCARIO',
+  TCC: sell - 0.2,
+  TCV: sell,
+  ArbAct: 1,
+  FormaArbitrar: 'D',
+});
+
+describe('getExchangeRatesByRange', () => {
+  let dir;
+  let soapCalls;
+  let service;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bcu-service-'));
+    soapCalls = [];
+    const soapClients = {
+      callSOAPService: async (_wsdlUrl, _methods, args) => {
+        soapCalls.push(args.Entrada);
+        return {
+          Salida: {
+            datoscotizaciones: [
+              bcuRecord('2025-09-01', 40.471),
+              bcuRecord('2025-09-02', 40.561),
+              bcuRecord('2025-09-03', 40.566),
+            ],
+          },
+        };
+      },
+    };
+    service = createBcuService({
+      bcuConfig: { ...BCU_DEFAULTS, wsdl: {} },
+      soapClients,
+      rateStore: createRateStore(
+        {
+          enabled: true,
+          path: path.join(dir, 'rates.ndjson'),
+          currenciesPath: path.join(dir, 'currencies.json'),
+        },
+        { logger: silentLogger }
+      ),
+      calendar: createCalendar(),
+      logger: silentLogger,
+    });
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('queries BCU once and stores the fetched rates', async () => {
+    const rates = await service.getExchangeRatesByRange(
+      USD,
+      '2025-09-01',
+      '2025-09-03'
+    );
+
+    assert.deepEqual(
+      rates.map(rate => [rate.date, rate.sellRate]),
+      [
+        ['2025-09-01', 40.471],
+        ['2025-09-02', 40.561],
+        ['2025-09-03', 40.566],
+      ]
+    );
+    assert.equal(soapCalls.length, 1);
+    const stored = await fs.readFile(path.join(dir, 'rates.ndjson'), 'utf8');
+    assert.equal(stored.trim().split('\n').length, 3);
+  });
+
+  it('serves a fully stored range from the store', async () => {
+    await service.getExchangeRatesByRange(USD, '2025-09-01', '2025-09-03');
+    const rates = await service.getExchangeRatesByRange(
+      USD,
+      '2025-09-02',
+      '2025-09-03'
+    );
+
+    assert.deepEqual(
+      rates.map(rate => rate.date),
+      ['2025-09-02', '2025-09-03']
+    );
+    assert.equal(soapCalls.length, 1);
+  });
+
+  it('queries BCU when a business day in the range is not stored', async () => {
+    await service.getExchangeRatesByRange(USD, '2025-09-01', '2025-09-03');
+    await service.getExchangeRatesByRange(USD, '2025-09-01', '2025-09-04');
+
+    assert.equal(soapCalls.length, 2);
+    assert.equal(soapCalls[1].FechaHasta, '2025-09-04');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Banking calendar tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getEasterSunday,
+  getHolidays,
+  getDayInfo,
+  getAdjacentBusinessDay,
+  explainMissingRate,
+  createCalendar,
+} from '../../src/services/calendar.js';
+
+describe('getEasterSunday', () => {
+  it('computes Easter Sunday', () => {
+    assert.equal(getEasterSunday(2024).format('YYYY-MM-DD'), '2024-03-31');
+    assert.equal(getEasterSunday(2025).format('YYYY-MM-DD'), '2025-04-20');
+  });
+});
+
+describe('getHolidays', () => {
+  it('includes Carnaval and Semana de Turismo relative to Easter', () => {
+    const holidays = getHolidays(2025);
+    assert.equal(holidays.get('2025-03-03'), 'Carnaval');
+    assert.equal(holidays.get('2025-03-04'), 'Carnaval');
+    for (const date of ['2025-04-14', '2025-04-16', '2025-04-18']) {
+      assert.equal(holidays.get(date), 'Semana de Turismo');
+    }
+  });
+
+  it('moves movable holidays to Monday', () => {
+    const holidays = getHolidays(2023);
+    // Wednesday 19 April → previous Monday
+    assert.equal(holidays.get('2023-04-17'), 'Desembarco de los 33 Orientales');
+    assert.equal(holidays.has('2023-04-19'), false);
+    // Thursday 18 May → following Monday
+    assert.equal(holidays.get('2023-05-22'), 'Batalla de Las Piedras');
+    assert.equal(holidays.has('2023-05-18'), false);
+  });
+});
+
+describe('getDayInfo', () => {
+  it('flags weekends and holidays as closing-free days', () => {
+    assert.equal(getDayInfo('2025-09-13').reason, 'weekend');
+    assert.deepEqual(getDayInfo('2025-08-25'), {
+      date: '2025-08-25',
+      weekday: 'Monday',
+      isBusinessDay: false,
+      reason: 'holiday',
+      holiday: 'Declaratoria de la Independencia',
+    });
+    assert.equal(getDayInfo('2025-09-12').isBusinessDay, true);
+  });
+});
+
+describe('getAdjacentBusinessDay', () => {
+  it('skips weekends and holidays in either direction', () => {
+    // Friday 22 August, weekend, Monday 25 August holiday
+    assert.equal(getAdjacentBusinessDay('2025-08-22'), '2025-08-26');
+    assert.equal(getAdjacentBusinessDay('2025-08-26', -1), '2025-08-22');
+    // Semana de Turismo 2025 (14-18 April) after the weekend
+    assert.equal(getAdjacentBusinessDay('2025-04-11'), '2025-04-21');
+  });
+});
+
+describe('explainMissingRate', () => {
+  it('explains closing-free days and points at the next closing', () => {
+    const explanation = explainMissingRate('2025-04-16');
+    assert.equal(explanation.reason, 'holiday');
+    assert.equal(explanation.nextBusinessDay, '2025-04-21');
+    assert.match(explanation.explanation, /Semana de Turismo/);
+  });
+
+  it('reports past business days without a rate as not published', () => {
+    assert.equal(explainMissingRate('2025-09-12').reason, 'not-published');
+  });
+});
+
+describe('createCalendar', () => {
+  it('applies its own holiday and business day overrides', () => {
+    const calendar = createCalendar({
+      extraHolidays: [{ date: '2025-09-12', name: 'Asueto' }],
+      businessDays: ['2025-08-25', '2025-09-13'],
+    });
+
+    assert.equal(calendar.getDayInfo('2025-09-12').holiday, 'Asueto');
+    assert.equal(calendar.isBusinessDay('2025-08-25'), true);
+    assert.equal(calendar.isBusinessDay('2025-09-13'), true);
+    // The default calendar is unaffected
+    assert.equal(getDayInfo('2025-09-12').isBusinessDay, true);
+    assert.equal(getDayInfo('2025-08-25').isBusinessDay, false);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Readiness tests
+ */
+
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let config;
+let getReadiness;
+
+before(async () => {
+  // Nothing listens on port 1, so every BCU reachability probe fails fast
+  Object.assign(process.env, {
+    BCU_MODE: 'live',
+    BCU_BASE_URL: 'http://127.0.0.1:1/servlet',
+    HEALTH_CHECK_CACHE_MS: '0',
+    RATE_STORE_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+  });
+  ({ config } = await import('../../src/config/index.js'));
+  ({ getReadiness } = await import('../../src/services/health-service.js'));
+});
+
+afterEach(() => {
+  config.health.requireBcu = true;
+});
+
+describe('getReadiness', () => {
+  it('reports not ready while BCU is unreachable', async () => {
+    const { ready, status, checks } = await getReadiness();
+
+    assert.equal(ready, false);
+    assert.equal(status, 'degraded');
+    assert.equal(checks.bcuReachability.status, 'fail');
+  });
+
+  it('passes the fetch age check before the first BCU call', async () => {
+    const { checks } = await getReadiness();
+
+    assert.equal(checks.lastFetch.status, 'pass');
+    assert.equal(checks.lastFetch.lastSuccessAt, null);
+  });
+
+  it('stays ready but degraded when BCU is not required', async () => {
+    config.health.requireBcu = false;
+    const { ready, status } = await getReadiness();
+
+    assert.equal(ready, true);
+    assert.equal(status, 'degraded');
+  });
+});
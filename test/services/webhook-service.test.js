@@ -0,0 +1,136 @@
+/**
+ * Webhook delivery tests
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { sleep } from '../../src/utils/helpers.js';
+
+let service;
+let store;
+let config;
+let receiver;
+let receiverUrl;
+let storeDir;
+
+/** @type {{headers: Object, body: string}[]} Requests seen by the receiver */
+let received = [];
+/** Status the receiver answers with */
+let receiverStatus = 200;
+
+before(async () => {
+  storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bcu-webhooks-'));
+  Object.assign(process.env, {
+    BCU_MODE: 'fixture',
+    RATE_STORE_ENABLED: 'false',
+    WEBHOOK_STORE_PATH: path.join(storeDir, 'webhooks.json'),
+    WEBHOOK_RETRY_BASE_MS: '50',
+    LOG_LEVEL: 'error',
+  });
+  ({ config } = await import('../../src/config/index.js'));
+  service = await import('../../src/services/webhook-service.js');
+  store = await import('../../src/services/webhook-store.js');
+
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = receiverStatus;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+  service.stopWebhookDispatcher();
+  await new Promise(resolve => receiver.close(resolve));
+  await fs.rm(storeDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  received = [];
+  receiverStatus = 200;
+  config.webhooks.allowPrivateTargets = true;
+});
+
+describe('signPayload', () => {
+  it('signs `${timestamp}.${body}` with HMAC-SHA256', () => {
+    const expected = createHmac('sha256', 'secret')
+      .update('1757700000.{"a":1}')
+      .digest('hex');
+    assert.equal(
+      service.signPayload('secret', 1757700000, '{"a":1}'),
+      `sha256=${expected}`
+    );
+  });
+});
+
+describe('checkWebhookTarget', () => {
+  it('rejects loopback, private and metadata addresses', async () => {
+    config.webhooks.allowPrivateTargets = false;
+    for (const url of [
+      'http://127.0.0.1/hook',
+      'http://localhost:8080/hook',
+      'http://10.0.0.5/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook',
+    ]) {
+      assert.match(
+        await service.checkWebhookTarget(url),
+        /public address/,
+        url
+      );
+    }
+    assert.equal(await service.checkWebhookTarget('https://8.8.8.8/'), null);
+  });
+});
+
+describe('dispatchClosing', () => {
+  it('delivers signed closing events', async () => {
+    const webhook = await service.registerWebhook(
+      { url: receiverUrl, currencies: ['USD'] },
+      'signing-test'
+    );
+    await service.dispatchClosing({ date: '2025-09-12' });
+    await sleep(100);
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.equal(headers['x-webhook-id'], webhook.id);
+    assert.equal(headers['x-webhook-event'], 'closing.published');
+    assert.equal(
+      headers['x-webhook-signature'],
+      service.signPayload(webhook.secret, headers['x-webhook-timestamp'], body)
+    );
+    assert.equal(JSON.parse(body).rates[0].isoCode, 'USD');
+
+    const [delivery] = await store.getDeliveries(webhook.id);
+    assert.equal(delivery.status, 'delivered');
+    await service.deleteWebhook(webhook.id, 'signing-test');
+  });
+
+  it('stops retrying once the webhook is deleted', async () => {
+    receiverStatus = 500;
+    const webhook = await service.registerWebhook(
+      { url: receiverUrl, currencies: ['USD'] },
+      'delete-test'
+    );
+    await service.dispatchClosing({ date: '2025-09-12' });
+    await sleep(30);
+    assert.equal(received.length, 1);
+
+    assert.equal(await service.deleteWebhook(webhook.id, 'delete-test'), true);
+    await sleep(150);
+
+    assert.equal(received.length, 1);
+    assert.deepEqual(await store.getDeliveries(webhook.id), []);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Type tests for src/client.d.ts
+ * Checked by `npm run typecheck` (tsc --noEmit), never executed: each call
+ * must type-check and each @ts-expect-error line must fail to
+ */
+
+import {
+  createBcuClient,
+  ConfigError,
+  UpstreamError,
+  CircuitOpenError,
+  UpstreamTimeoutError,
+  RequestAbortedError,
+  type BcuClient,
+  type Currency,
+  type ExchangeRate,
+} from '../../src/client.js';
+
+/** Fails to compile unless both types are identical */
+type Equal<A, B> =
+  (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2
+    ? true
+    : false;
+
+/**
+ * Assert at compile time that a type is `true`
+ * @param value - Result of Equal<>
+ */
+declare function expectTrue<T extends true>(value?: T): void;
+
+const bcu: BcuClient = createBcuClient({
+  mode: 'fixture',
+  timeouts: { callMs: 5000 },
+  circuitBreaker: { failureThreshold: 3 },
+  store: { path: 'data/rates.ndjson' },
+  logger: console,
+});
+createBcuClient();
+
+// @ts-expect-error unknown mode
+createBcuClient({ mode: 'offline' });
+// @ts-expect-error timeouts are numbers
+createBcuClient({ timeouts: { callMs: '5000' } });
+
+async function usage(signal: AbortSignal) {
+  const rate = await bcu.getRate('2025-09-12', {
+    currency: 'EUR',
+    fallback: 'previous',
+    signal,
+  });
+  expectTrue<Equal<typeof rate, ExchangeRate | null>>();
+  if (rate) {
+    expectTrue<Equal<typeof rate.sellRate, number>>();
+    expectTrue<Equal<typeof rate.arbitrage, number | null>>();
+  }
+
+  // @ts-expect-error dates are strings
+  await bcu.getRate(new Date());
+  // @ts-expect-error unknown fallback
+  await bcu.getRate('2025-09-12', { fallback: 'nearest' });
+
+  const latest = await bcu.getLatest({ currency: 2225 });
+  expectTrue<Equal<typeof latest, ExchangeRate | null>>();
+
+  const range = await bcu.getRange('2025-09-01', '2025-09-30', { signal });
+  expectTrue<Equal<typeof range, ExchangeRate[]>>();
+
+  const currencies = await bcu.listCurrencies({ group: 0 });
+  expectTrue<Equal<typeof currencies, Currency[]>>();
+
+  const currency = await bcu.resolveCurrency('euro');
+  expectTrue<Equal<typeof currency, Currency | null>>();
+
+  const closing = await bcu.getLastClosingDate({ signal });
+  expectTrue<Equal<typeof closing, string | null>>();
+}
+
+function handle(error: unknown) {
+  if (error instanceof ConfigError) {
+    expectTrue<Equal<typeof error.errors, string[]>>();
+  } else if (error instanceof CircuitOpenError) {
+    expectTrue<Equal<typeof error.retryAfterSeconds, number>>();
+  } else if (error instanceof UpstreamTimeoutError) {
+    expectTrue<Equal<typeof error.timeoutMs, number>>();
+  } else if (error instanceof RequestAbortedError) {
+    const upstream: UpstreamError = error;
+    expectTrue<Equal<typeof upstream.service, string>>();
+  }
+}
+
+export { usage, handle };
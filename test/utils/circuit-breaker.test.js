@@ -0,0 +1,120 @@
+/**
+ * Circuit breaker tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createCircuitBreaker,
+  CIRCUIT_STATES,
+} from '../../src/utils/circuit-breaker.js';
+import { CircuitOpenError } from '../../src/utils/errors.js';
+import { sleep } from '../../src/utils/helpers.js';
+
+const silentLogger = { warn: () => {} };
+
+/**
+ * Create a breaker that records its state changes
+ * @param {Object} [options] - Overrides of the breaker options
+ * @returns {{breaker: Object, transitions: string[]}} Breaker and its
+ *   state changes
+ */
+const createTestBreaker = (options = {}) => {
+  const transitions = [];
+  const breaker = createCircuitBreaker({
+    name: 'test',
+    failureThreshold: 2,
+    resetTimeoutMs: 30,
+    onStateChange: state => transitions.push(state),
+    logger: silentLogger,
+    ...options,
+  });
+  return { breaker, transitions };
+};
+
+const fail = () => Promise.reject(new Error('upstream down'));
+const succeed = () => Promise.resolve('ok');
+
+describe('createCircuitBreaker', () => {
+  it('opens after consecutive failures and fails fast', async () => {
+    const { breaker, transitions } = createTestBreaker();
+    let calls = 0;
+    const failingCall = () => {
+      calls++;
+      return fail();
+    };
+
+    await assert.rejects(breaker.execute(failingCall), /upstream down/);
+    assert.equal(breaker.getSnapshot().state, CIRCUIT_STATES.CLOSED);
+    await assert.rejects(breaker.execute(failingCall), /upstream down/);
+
+    assert.equal(breaker.getSnapshot().state, CIRCUIT_STATES.OPEN);
+    await assert.rejects(breaker.execute(failingCall), CircuitOpenError);
+    assert.equal(calls, 2);
+    assert.deepEqual(transitions, [CIRCUIT_STATES.OPEN]);
+  });
+
+  it('resets the failure count on success', async () => {
+    const { breaker } = createTestBreaker();
+    await assert.rejects(breaker.execute(fail));
+    await breaker.execute(succeed);
+    await assert.rejects(breaker.execute(fail));
+
+    assert.equal(breaker.getSnapshot().state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.getSnapshot().consecutiveFailures, 1);
+  });
+
+  it('closes after a successful half-open probe', async () => {
+    const { breaker, transitions } = createTestBreaker();
+    await assert.rejects(breaker.execute(fail));
+    await assert.rejects(breaker.execute(fail));
+    await sleep(40);
+
+    assert.equal(await breaker.execute(succeed), 'ok');
+    assert.deepEqual(transitions, [
+      CIRCUIT_STATES.OPEN,
+      CIRCUIT_STATES.HALF_OPEN,
+      CIRCUIT_STATES.CLOSED,
+    ]);
+  });
+
+  it('reopens when the half-open probe fails', async () => {
+    const { breaker, transitions } = createTestBreaker();
+    await assert.rejects(breaker.execute(fail));
+    await assert.rejects(breaker.execute(fail));
+    await sleep(40);
+
+    await assert.rejects(breaker.execute(fail), /upstream down/);
+    assert.equal(breaker.getSnapshot().state, CIRCUIT_STATES.OPEN);
+    assert.deepEqual(transitions, [
+      CIRCUIT_STATES.OPEN,
+      CIRCUIT_STATES.HALF_OPEN,
+      CIRCUIT_STATES.OPEN,
+    ]);
+  });
+
+  it('lets a single probe through while half-open', async () => {
+    const { breaker } = createTestBreaker();
+    await assert.rejects(breaker.execute(fail));
+    await assert.rejects(breaker.execute(fail));
+    await sleep(40);
+
+    const probe = breaker.execute(() => sleep(10).then(() => 'probed'));
+    await assert.rejects(breaker.execute(succeed), CircuitOpenError);
+    assert.equal(await probe, 'probed');
+    assert.equal(breaker.getSnapshot().state, CIRCUIT_STATES.CLOSED);
+  });
+
+  it('counts classified results and ignores ignored errors', async () => {
+    const { breaker } = createTestBreaker({
+      isIgnoredError: error => error.name === 'AbortError',
+    });
+    const aborted = Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+    await assert.rejects(breaker.execute(() => Promise.reject(aborted)));
+    assert.equal(breaker.getSnapshot().consecutiveFailures, 0);
+
+    await breaker.execute(succeed, result => result === 'ok');
+    assert.equal(breaker.getSnapshot().consecutiveFailures, 1);
+  });
+});
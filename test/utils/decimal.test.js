@@ -0,0 +1,89 @@
+/**
+ * Decimal arithmetic tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDecimal,
+  multiply,
+  round,
+  divide,
+  formatDecimal,
+} from '../../src/utils/decimal.js';
+
+/**
+ * Round a decimal string and format the result
+ * @param {string} value - Decimal string
+ * @param {number} precision - Fraction digits
+ * @param {string} mode - Rounding mode
+ * @returns {string} Rounded decimal string
+ */
+const roundString = (value, precision, mode) =>
+  formatDecimal(round(parseDecimal(value), precision, mode));
+
+describe('parseDecimal / formatDecimal', () => {
+  it('round-trips decimal strings and numbers', () => {
+    assert.deepEqual(parseDecimal('1234.56'), { units: 123456n, scale: 2 });
+    assert.equal(formatDecimal(parseDecimal('-0.05')), '-0.05');
+    assert.equal(formatDecimal(parseDecimal(40.512)), '40.512');
+  });
+
+  it('rejects values that are not plain decimals', () => {
+    assert.throws(() => parseDecimal('1,000'), /Invalid decimal/);
+    assert.throws(() => parseDecimal('1e3'), /Invalid decimal/);
+  });
+});
+
+describe('multiply', () => {
+  it('multiplies without binary floating-point error', () => {
+    assert.equal(
+      formatDecimal(multiply(parseDecimal('0.1'), parseDecimal('0.2'))),
+      '0.02'
+    );
+  });
+});
+
+describe('round', () => {
+  it('applies each rounding mode to ties', () => {
+    assert.equal(roundString('1.005', 2, 'half-up'), '1.01');
+    assert.equal(roundString('1.005', 2, 'half-even'), '1.00');
+    assert.equal(roundString('1.015', 2, 'half-even'), '1.02');
+    assert.equal(roundString('1.001', 2, 'up'), '1.01');
+    assert.equal(roundString('1.009', 2, 'down'), '1.00');
+  });
+
+  it('rounds negative values by magnitude', () => {
+    assert.equal(roundString('-1.005', 2, 'half-up'), '-1.01');
+    assert.equal(roundString('-1.009', 2, 'down'), '-1.00');
+  });
+
+  it('pads values with fewer fraction digits', () => {
+    assert.equal(roundString('2', 2, 'half-even'), '2.00');
+  });
+});
+
+describe('divide', () => {
+  it('rounds the exact quotient', () => {
+    const quotient = divide(parseDecimal('1'), parseDecimal('3'), 4, 'half-up');
+    assert.equal(formatDecimal(quotient), '0.3333');
+  });
+
+  it('does not mistake a non-zero tail for a tie', () => {
+    // 1.0050001 / 1 is just above the tie, so half-even rounds up
+    const quotient = divide(
+      parseDecimal('1.0050001'),
+      parseDecimal('1'),
+      2,
+      'half-even'
+    );
+    assert.equal(formatDecimal(quotient), '1.01');
+  });
+
+  it('throws on division by zero', () => {
+    assert.throws(
+      () => divide(parseDecimal('1'), parseDecimal('0'), 2),
+      /Division by zero/
+    );
+  });
+});
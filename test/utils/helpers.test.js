@@ -0,0 +1,78 @@
+/**
+ * Date helper tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidCalendarDate,
+  validateDateParam,
+  validateDateRange,
+} from '../../src/utils/helpers.js';
+
+describe('isValidCalendarDate', () => {
+  it('accepts real calendar dates', () => {
+    assert.equal(isValidCalendarDate('2025-02-28'), true);
+    assert.equal(isValidCalendarDate('2024-02-29'), true);
+  });
+
+  it('rejects impossible dates instead of rolling them over', () => {
+    assert.equal(isValidCalendarDate('2025-02-30'), false);
+    assert.equal(isValidCalendarDate('2025-02-29'), false);
+    assert.equal(isValidCalendarDate('2025-13-01'), false);
+    assert.equal(isValidCalendarDate('2025-04-31'), false);
+  });
+
+  it('rejects other formats', () => {
+    assert.equal(isValidCalendarDate('2025-2-3'), false);
+    assert.equal(isValidCalendarDate('03/02/2025'), false);
+    assert.equal(isValidCalendarDate(''), false);
+  });
+});
+
+describe('validateDateParam', () => {
+  it('returns null for a valid date', () => {
+    assert.equal(validateDateParam('date', '2025-09-12'), null);
+  });
+
+  it('reports missing, malformed and impossible dates', () => {
+    assert.match(validateDateParam('date', undefined), /Missing required/);
+    assert.match(
+      validateDateParam('date', '12-09-2025'),
+      /Invalid date format/
+    );
+    assert.match(validateDateParam('date', '2025-02-30'), /valid date/);
+  });
+});
+
+describe('validateDateRange', () => {
+  it('returns the normalized range and its inclusive length', () => {
+    assert.deepEqual(validateDateRange('2025-01-30', '2025-02-02', 10), {
+      fromISO: '2025-01-30',
+      toISO: '2025-02-02',
+      days: 4,
+    });
+  });
+
+  it('rejects impossible dates at either end', () => {
+    assert.match(
+      validateDateRange('2025-02-30', '2025-03-05', 10).error,
+      /Invalid from/
+    );
+    assert.match(
+      validateDateRange('2025-02-01', '2025-02-30', 10).error,
+      /Invalid to/
+    );
+  });
+
+  it('rejects reversed and overlong ranges', () => {
+    assert.match(
+      validateDateRange('2025-02-02', '2025-02-01', 10).error,
+      /on or before/
+    );
+    assert.match(
+      validateDateRange('2025-01-01', '2025-01-11', 10).error,
+      /Maximum is 10 days/
+    );
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Private network detection tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isPrivateAddress,
+  findPrivateAddress,
+  publicLookup,
+} from '../../src/utils/private-network.js';
+
+/**
+ * Resolve a hostname with publicLookup
+ * @param {string} hostname - Hostname
+ * @param {Object} [options] - Lookup options
+ * @returns {Promise<Array>} Callback arguments after the error
+ */
+const lookupPublic = (hostname, options = {}) =>
+  new Promise((resolve, reject) =>
+    publicLookup(hostname, options, (error, ...result) =>
+      error ? reject(error) : resolve(result)
+    )
+  );
+
+describe('isPrivateAddress', () => {
+  it('flags loopback, private, link-local and reserved IPv4 addresses', () => {
+    for (const address of [
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.16.0.1',
+      '172.31.255.255',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '255.255.255.255',
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('flags loopback, unique local, link-local and mapped IPv6 addresses', () => {
+    for (const address of [
+      '::1',
+      '::',
+      'fd00::1',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      '::ffff:169.254.169.254',
+      '::127.0.0.1',
+      '::a9fe:a9fe',
+      '64:ff9b::7f00:1',
+      '64:ff9b::8.8.8.8',
+      '64:ff9b:1::a00:1',
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('accepts public addresses', () => {
+    for (const address of [
+      '8.8.8.8',
+      '172.32.0.1',
+      '2606:4700::1111',
+      '::ffff:8.8.8.8',
+    ]) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('findPrivateAddress', () => {
+  it('checks IP literals without resolving them', async () => {
+    assert.equal(
+      await findPrivateAddress('169.254.169.254'),
+      '169.254.169.254'
+    );
+    assert.equal(await findPrivateAddress('[::1]'), '::1');
+    assert.equal(await findPrivateAddress('8.8.8.8'), null);
+  });
+
+  it('resolves hostnames', async () => {
+    assert.notEqual(await findPrivateAddress('localhost'), null);
+  });
+});
+
+describe('publicLookup', () => {
+  it('fails for hosts resolving to private addresses', async () => {
+    await assert.rejects(lookupPublic('localhost'), {
+      code: 'EPRIVATEADDRESS',
+    });
+    await assert.rejects(lookupPublic('localhost', { all: true }), {
+      code: 'EPRIVATEADDRESS',
+    });
+  });
+
+  it('passes resolution errors through', async () => {
+    await assert.rejects(lookupPublic('nonexistent.invalid'), {
+      code: 'ENOTFOUND',
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Fixed-window rate limiter tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixedWindowLimiter } from '../../src/utils/rate-limiter.js';
+import { sleep } from '../../src/utils/helpers.js';
+
+describe('createFixedWindowLimiter', () => {
+  it('allows `limit` requests per window, then rejects', () => {
+    const limiter = createFixedWindowLimiter({ windowMs: 60000 });
+
+    assert.deepEqual(limiter.consume('ip:1.2.3.4', 2), {
+      allowed: true,
+      limit: 2,
+      remaining: 1,
+      resetSeconds: 60,
+    });
+    assert.equal(limiter.consume('ip:1.2.3.4', 2).allowed, true);
+
+    const rejected = limiter.consume('ip:1.2.3.4', 2);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.remaining, 0);
+  });
+
+  it('counts each client separately', () => {
+    const limiter = createFixedWindowLimiter({ windowMs: 60000 });
+    limiter.consume('key:checkout', 1);
+
+    assert.equal(limiter.consume('key:checkout', 1).allowed, false);
+    assert.equal(limiter.consume('key:reporting', 1).allowed, true);
+  });
+
+  it('starts a new window once the current one expires', async () => {
+    const limiter = createFixedWindowLimiter({ windowMs: 30 });
+    limiter.consume('ip:1.2.3.4', 1);
+    assert.equal(limiter.consume('ip:1.2.3.4', 1).allowed, false);
+
+    await sleep(40);
+    const next = limiter.consume('ip:1.2.3.4', 1);
+    assert.equal(next.allowed, true);
+    assert.equal(next.remaining, 0);
+  });
+});